@@ -1,4 +1,23 @@
 // Biome classification based on elevation, moisture, and temperature
+//
+// Classification is data-driven (config.BIOME_TABLE), a Whittaker-style
+// lookup: below sea level is OCEAN and the first `beachHeight` meters above
+// it are BEACH; above that, the first elevation band whose `maxHeight`
+// (meters above sea level) the cell is under picks a temperature × moisture
+// grid of biome names. `temperatureBins` and `moistureBins` are the
+// ascending upper edges of every bin but the last, so a band's `biomes`
+// has temperatureBins.length + 1 rows (coldest first) of
+// moistureBins.length + 1 names (driest first). The last band has no
+// maxHeight and takes everything above the one before it.
+//
+// `maxWaterDistance` (optional) names biomes that need water nearby, in
+// meters to the nearest sea, lake or river cell. A beach farther out is
+// classified by its band instead; any other biome falls back to the next
+// drier moisture column. Without a water distance field the limits are
+// ignored.
+//
+// The table drives v1.1 only. The legacy v1.0 BiomeClassifier keeps its
+// original fixed thresholds so old v1.0 saves reproduce cell for cell.
 
 export const BiomeType = {
     OCEAN: 0,
@@ -24,7 +43,136 @@ export const BiomeColors = {
     [BiomeType.WETLAND]: [0.3, 0.6, 0.5],
 };
 
+/**
+ * Problems with a biome table (empty when it is usable)
+ *
+ * @param {Object} table - { beachHeight, temperatureBins, moistureBins, maxWaterDistance?, bands: [{ name, maxHeight?, biomes }] }
+ * @returns {string[]} Error messages
+ */
+export function validateBiomeTable(table) {
+    if (!table || typeof table !== 'object') return ['Biome table must be an object'];
+
+    const errors = [];
+    if (!(table.beachHeight >= 0)) errors.push('beachHeight must be a number >= 0 (meters above sea level)');
+
+    for (const key of ['temperatureBins', 'moistureBins']) {
+        const bins = table[key];
+        if (!Array.isArray(bins) || bins.some((edge, i) => !(edge > 0 && edge < 1) || (i > 0 && edge <= bins[i - 1]))) {
+            errors.push(`${key} must be ascending numbers between 0 and 1`);
+        }
+    }
+
+    if (table.maxWaterDistance != null) {
+        if (typeof table.maxWaterDistance !== 'object') {
+            errors.push('maxWaterDistance must map biome names to meters');
+        } else {
+            for (const [name, meters] of Object.entries(table.maxWaterDistance)) {
+                if (!Object.hasOwn(BiomeType, name)) errors.push(`maxWaterDistance has unknown biome "${name}"`);
+                if (!(meters >= 0)) errors.push(`maxWaterDistance for ${name} must be a number >= 0 (meters)`);
+            }
+        }
+    }
+
+    if (!Array.isArray(table.bands) || table.bands.length === 0) {
+        errors.push('bands must be a non-empty array');
+        return errors;
+    }
+
+    const rows = (table.temperatureBins?.length ?? 0) + 1;
+    const columns = (table.moistureBins?.length ?? 0) + 1;
+    table.bands.forEach((band, b) => {
+        const label = `Band "${band.name ?? b}"`;
+        const last = b === table.bands.length - 1;
+        if (last && band.maxHeight != null) {
+            errors.push(`${label} is the last band and must not set maxHeight`);
+        } else if (!last && !(band.maxHeight > (b > 0 ? table.bands[b - 1].maxHeight : table.beachHeight))) {
+            errors.push(`${label} maxHeight must be above the band (or beach) below it`);
+        }
+
+        if (!Array.isArray(band.biomes) || band.biomes.length !== rows ||
+            Array.from(band.biomes).some(row => !Array.isArray(row) || row.length !== columns)) {
+            errors.push(`${label} biomes must be ${rows} temperature rows of ${columns} moisture columns`);
+            return;
+        }
+        for (const name of band.biomes.flatMap(row => Array.from(row))) {
+            if (!Object.hasOwn(BiomeType, name)) errors.push(`${label} has unknown biome "${name}"`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Classify a whole field against a biome table
+ *
+ * @param {Object} fields - { elevation, moisture, temperature, seaLevel, heightScale, waterDistance }
+ *     heightScale is meters per elevation unit (1 for heights in meters);
+ *     waterDistance (meters, optional) enables the table's maxWaterDistance
+ * @param {Object} table - Biome table (see validateBiomeTable)
+ * @returns {Uint8Array} BiomeType per cell
+ */
+export function classifyBiomeField({ elevation, moisture, temperature, seaLevel, heightScale = 1, waterDistance = null }, table) {
+    const lookup = compileBiomeTable(table);
+    const biomes = new Uint8Array(elevation.length);
+    for (let i = 0; i < elevation.length; i++) {
+        const height = (elevation[i] - seaLevel) * heightScale;
+        biomes[i] = lookupBiome(lookup, height, moisture[i], temperature[i], waterDistance ? waterDistance[i] : 0);
+    }
+    return biomes;
+}
+
+/**
+ * Validate a table and resolve biome names to BiomeType ids
+ */
+function compileBiomeTable(table) {
+    const errors = validateBiomeTable(table);
+    if (errors.length > 0) {
+        throw new Error(`Invalid biome table: ${errors.join('; ')}`);
+    }
+
+    const maxWaterDistance = new Float32Array(Object.keys(BiomeType).length).fill(Infinity);
+    for (const [name, meters] of Object.entries(table.maxWaterDistance || {})) {
+        maxWaterDistance[BiomeType[name]] = meters;
+    }
+
+    return {
+        maxWaterDistance,
+        beachHeight: table.beachHeight,
+        temperatureBins: table.temperatureBins,
+        moistureBins: table.moistureBins,
+        bands: table.bands.map(band => ({
+            maxHeight: band.maxHeight ?? Infinity,
+            biomes: band.biomes.map(row => row.map(name => BiomeType[name]))
+        }))
+    };
+}
+
+/**
+ * Biome for one cell (height in meters above sea level, distance in meters
+ * to the nearest water)
+ */
+function lookupBiome(lookup, height, moisture, temperature, distance = 0) {
+    const limits = lookup.maxWaterDistance;
+    if (height < 0) return BiomeType.OCEAN;
+    if (height < lookup.beachHeight && distance <= limits[BiomeType.BEACH]) return BiomeType.BEACH;
+
+    let band = 0;
+    while (height >= lookup.bands[band].maxHeight) band++;
+    const row = lookup.bands[band].biomes[binOf(lookup.temperatureBins, temperature)];
+    let column = binOf(lookup.moistureBins, moisture);
+    while (column > 0 && distance > limits[row[column]]) column--;
+    return row[column];
+}
+
+function binOf(edges, value) {
+    let bin = 0;
+    while (bin < edges.length && value >= edges[bin]) bin++;
+    return bin;
+}
+
 export class BiomeClassifier {
+    // Legacy v1.0 rules on normalized (0..1) heights; BIOME_TABLE is not
+    // used here, so v1.0 maps match the saves they were made with
     constructor(config) {
         this.config = config;
         this.seaLevel = config.SEA_LEVEL;
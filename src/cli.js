@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI for TerrainGeneratorV1_1
+ *
+ * Generates a map without a browser or renderer and writes:
+ * - mapspec.json   (MapSpec v1.1, including metrics)
+ * - elevation.f32  (Float32 heights in meters, row-major)
+ * - biomes.u8      (Uint8 BiomeType per cell, row-major)
+ * - moisture.f32   (Float32 moisture 0..1, row-major)
+ * - water_distance.f32 (Float32 meters to the nearest sea, lake or river cell, row-major)
+ * - trees.json     (tree positions in world units)
+ * - rivers.json    (river polylines with width, Strahler order, discharge)
+ * - lakes.json     (lakes with water level, outlet, area, volume)
+ * - resources.json (resource deposits with owner and prop layout)
+ * - components.i32 (Int32 passable land component per cell, -1 = impassable)
+ * - navigation.u8  (Uint8 AI movement cost per cell, 0 = blocked)
+ * - navigation_tiles.u8 (same costs on the 4.8.8 tiles: octagons row-major, then squares)
+ * - strategic.u8   (Uint8 feature bits per cell: 1 chokepoint, 2 high ground, 4 ramp, 8 open field)
+ * - fields.json    (manifest describing the binary layers)
+ *
+ * Exits with code 1 when any invariant from _calculateMetrics fails,
+ * so CI can reject bad maps.
+ *
+ * Usage:
+ *   node src/cli.js --seed 12345 --out ./out
+ *   node src/cli.js --spec saved.json --out ./out
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Config } from './config.js';
+import { configFromMapSpec, createMapSpec, deserializeMapSpec, serializeMapSpec } from './mapSpec.js';
+import { NAV_BASE_COST, toOctagonTiles } from './navigation.js';
+import { OctagonGrid } from './octagonGrid.js';
+import { TerrainGeneratorV1_1 } from './terrainGeneratorV1_1.js';
+import { calculateTreeMetrics, generateTreePositions } from './treePlacement.js';
+
+const USAGE = `Usage: node src/cli.js [--seed <n> | --spec <mapspec.json>] [options]
+
+Options:
+  --seed <n>      Master seed (ignored when --spec is given)
+  --spec <file>   MapSpec JSON file to reproduce
+  --size <n>      Map width and height in cells (overrides the spec)
+  --attempts <n>  Generate until valid, trying up to n attempt seeds
+  --out <dir>     Output directory (default: ./out)
+  --quiet         Suppress generator progress logs
+  --help          Show this message
+`;
+
+/**
+ * Build a generator config from CLI options
+ */
+function buildConfig(options) {
+    let config;
+
+    if (options.spec) {
+        const mapSpec = deserializeMapSpec(readFileSync(options.spec, 'utf8'));
+        config = new Config(configFromMapSpec(mapSpec));
+    } else {
+        config = new Config();
+        if (options.seed !== undefined) {
+            config.SEED = parseSeed(options.seed);
+        }
+    }
+
+    if (options.size !== undefined) {
+        const size = parseInt(options.size, 10);
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new Error(`Invalid --size: ${options.size}`);
+        }
+        config.MAP_WIDTH = size;
+        config.MAP_HEIGHT = size;
+    }
+
+    if (options.attempts !== undefined) {
+        const attempts = parseInt(options.attempts, 10);
+        if (!Number.isInteger(attempts) || attempts <= 0) {
+            throw new Error(`Invalid --attempts: ${options.attempts}`);
+        }
+        config.GENERATE_UNTIL_VALID = true;
+        config.GENERATION_MAX_ATTEMPTS = attempts;
+    }
+
+    return config;
+}
+
+function parseSeed(value) {
+    const seed = parseInt(value, 10);
+    if (!Number.isInteger(seed)) {
+        throw new Error(`Invalid --seed: ${value}`);
+    }
+    return seed;
+}
+
+// DataView setters for multi-byte element types, so files are little-endian on any host
+const LITTLE_ENDIAN_SETTERS = new Map([
+    [Float32Array, 'setFloat32'],
+    [Float64Array, 'setFloat64'],
+    [Int32Array, 'setInt32'],
+    [Uint32Array, 'setUint32'],
+    [Int16Array, 'setInt16'],
+    [Uint16Array, 'setUint16']
+]);
+
+/**
+ * Write a typed array as raw little-endian binary
+ */
+function writeField(outDir, filename, array) {
+    const setter = LITTLE_ENDIAN_SETTERS.get(array.constructor);
+    if (!setter) {
+        // Single bytes have no byte order
+        writeFileSync(join(outDir, filename), new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+        return;
+    }
+    
+    const view = new DataView(new ArrayBuffer(array.byteLength));
+    for (let i = 0; i < array.length; i++) {
+        view[setter](i * array.BYTES_PER_ELEMENT, array[i], true);
+    }
+    writeFileSync(join(outDir, filename), view);
+}
+
+/**
+ * Run generation + tree placement and write all outputs
+ * @returns {boolean} true when every invariant passed
+ */
+function runCli(argv = process.argv.slice(2)) {
+    const { values: options } = parseArgs({
+        args: argv,
+        options: {
+            seed: { type: 'string' },
+            spec: { type: 'string' },
+            size: { type: 'string' },
+            attempts: { type: 'string' },
+            out: { type: 'string', default: 'out' },
+            quiet: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return true;
+    }
+
+    const config = buildConfig(options);
+
+    // Generator progress goes through console.log; silence it on request
+    const log = console.log;
+    if (options.quiet) console.log = () => {};
+
+    let terrainData;
+    try {
+        const generator = new TerrainGeneratorV1_1(config);
+        terrainData = generator.generate();
+
+        // Pipelines recorded without a 'trees' stage still get trees from the same stream
+        if (!terrainData.trees) {
+            terrainData.trees = generateTreePositions(terrainData, config, generator.rng.getStream('trees'));
+            terrainData.metrics.forestCoverage = calculateTreeMetrics(
+                terrainData.trees,
+                terrainData.elevation,
+                terrainData.width,
+                terrainData.height,
+                terrainData.cellSize,
+                config
+            );
+        }
+    } finally {
+        console.log = log;
+    }
+    const treePositions = terrainData.trees;
+
+    const mapSpec = createMapSpec(config, terrainData);
+
+    mkdirSync(options.out, { recursive: true });
+    writeFileSync(join(options.out, 'mapspec.json'), serializeMapSpec(mapSpec));
+    writeField(options.out, 'elevation.f32', terrainData.elevation);
+    writeField(options.out, 'biomes.u8', terrainData.biomes);
+    writeField(options.out, 'moisture.f32', terrainData.moisture);
+    if (terrainData.waterDistance) {
+        writeField(options.out, 'water_distance.f32', terrainData.waterDistance);
+    }
+    writeFileSync(join(options.out, 'trees.json'), JSON.stringify(treePositions));
+    writeFileSync(join(options.out, 'rivers.json'), JSON.stringify(terrainData.rivers));
+    writeFileSync(join(options.out, 'lakes.json'), JSON.stringify(terrainData.lakes));
+    writeFileSync(join(options.out, 'resources.json'), JSON.stringify(terrainData.resources || []));
+    if (terrainData.landComponents) {
+        writeField(options.out, 'components.i32', terrainData.landComponents);
+    }
+    let navigationTiles = null;
+    if (terrainData.navigation) {
+        navigationTiles = toOctagonTiles(terrainData.navigation, new OctagonGrid(config));
+        writeField(options.out, 'navigation.u8', terrainData.navigation.cost);
+        writeField(options.out, 'navigation_tiles.u8', Buffer.concat([navigationTiles.octagons, navigationTiles.squares]));
+    }
+    if (terrainData.strategic) {
+        writeField(options.out, 'strategic.u8', terrainData.strategic.features);
+    }
+    writeFileSync(join(options.out, 'fields.json'), JSON.stringify({
+        width: terrainData.width,
+        height: terrainData.height,
+        layout: 'row-major',
+        endianness: 'little',
+        fields: {
+            elevation: { file: 'elevation.f32', type: 'float32', units: 'meters' },
+            biomes: { file: 'biomes.u8', type: 'uint8', units: 'BiomeType' },
+            moisture: { file: 'moisture.f32', type: 'float32', units: 'normalized' },
+            ...(terrainData.waterDistance && {
+                waterDistance: { file: 'water_distance.f32', type: 'float32', units: 'meters to sea, lake or river (Infinity = no water)' }
+            }),
+            ...(terrainData.landComponents && {
+                components: { file: 'components.i32', type: 'int32', units: 'component id (0 = largest, -1 = impassable)' }
+            }),
+            ...(navigationTiles && {
+                navigation: {
+                    file: 'navigation.u8',
+                    type: 'uint8',
+                    units: `movement cost (0 = blocked, ${NAV_BASE_COST} = flat land)`
+                },
+                navigationTiles: {
+                    file: 'navigation_tiles.u8',
+                    type: 'uint8',
+                    units: `movement cost (0 = blocked, ${NAV_BASE_COST} = flat land)`,
+                    layout: 'octagons row-major, then squares in OctagonGrid.generateTiles() order',
+                    octagons: navigationTiles.octagons.length,
+                    squares: navigationTiles.squares.length
+                }
+            }),
+            ...(terrainData.strategic && {
+                strategic: {
+                    file: 'strategic.u8',
+                    type: 'uint8',
+                    units: 'feature bits (1 chokepoint, 2 high ground, 4 ramp, 8 open field)'
+                }
+            })
+        }
+    }, null, 2));
+
+    const invariants = terrainData.metrics.invariants;
+    const failed = Object.keys(invariants).filter(name => !invariants[name]);
+
+    console.log(`✓ Map ${config.SEED} written to ${options.out} (${treePositions.length} trees)`);
+    if (failed.length > 0) {
+        console.error(`❌ Invariants failed: ${failed.join(', ')}`);
+        return false;
+    }
+
+    console.log('✓ All invariants passed');
+    return true;
+}
+
+try {
+    process.exitCode = runCli() ? 0 : 1;
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.stderr.write(USAGE);
+    process.exitCode = 2;
+}
@@ -1,7 +1,7 @@
-// Default configuration for terrain generation (v1.1 - Deterministic)
+// Default configuration for terrain generation (v1.2 - Deterministic, heights in meters)
 export const DEFAULT_CONFIG = {
     // Version
-    VERSION: '1.1',
+    VERSION: '1.2',
     
     // Random seed
     SEED: 12345,
@@ -9,10 +9,14 @@ export const DEFAULT_CONFIG = {
     // Map dimensions (in lattice cells)
     MAP_WIDTH: 128,
     MAP_HEIGHT: 128,
-    CELL_SIZE: 1.0,  // Size of each cell in meters (for slope calculations)
+    CELL_SIZE: 8.0,  // Size of each cell in meters (for slopes and distances; 128 cells = ~1 km)
     
     // Octagon geometry
-    OCT_APOTHEM: 1.0,  // Distance from center to flat edge midpoint
+    OCT_APOTHEM: 1.0,  // Distance from center to flat edge midpoint (sets the tile spacing of every tiling)
+    
+    // Tile layout drawn over the lattice: 'octagon' (4.8.8), 'hexPointy',
+    // 'hexFlat', 'square' or 'triangle' (see tiling.js). Rendering only.
+    TILING: 'octagon',
     
     // Elevation settings
     ELEVATION_SCALE: 80,        // meters - taller relief
@@ -31,6 +35,8 @@ export const DEFAULT_CONFIG = {
     LAKE_SHAPE_SQUARENESS: 2.0, // Superellipse exponent (2.0 = circle, higher = square)
     LAKE_EDGE_NOISE_FREQ: 0.3,  // Frequency of edge noise for organic shores
     LAKE_EDGE_NOISE_AMP: 0.15,  // Amplitude of edge noise
+    LAKE_MIN_AREA: 12,          // Closed basins smaller than this (cells) are filled, not lakes
+    LAKE_MIN_DEPTH: 0.5,        // Closed basins shallower than this (meters) are filled
     
     // Noise parameters: Multi-band composition
     // Legacy noise parameter for pre-v1.1 TerrainGenerator
@@ -65,13 +71,20 @@ export const DEFAULT_CONFIG = {
         amplitude: 0.20
     },
     // Domain warping
-    NOISE_WARP_STRENGTH: 0.0,   // 0 = off, 0.5 = moderate, 1.0 = strong
+    NOISE_WARP_STRENGTH: 0.0,   // 0 = off, 0.5 = moderate, 1.0 = strong (relative to each band's wavelength)
+    NOISE_WARP_ITERATIONS: 1,   // 1 = single warp, 2+ = iterated (warp of a warp)
+    // Per-band override: add `warp: { strength, iterations }` to NOISE_MACRO/MESO/MICRO
     
     // Ridges (optional sharp mountain ranges)
     RIDGES_ENABLED: false,
     RIDGES_FREQUENCY: 0.008,
     RIDGES_DIRECTION: 45,       // Degrees (0=N, 90=E, 180=S, 270=W)
     RIDGES_STRENGTH: 0.3,
+    RIDGES_SHARPNESS: 2.0,      // Crest sharpness exponent (1 = soft, 3+ = knife-edge)
+    RIDGES_OCTAVES: 4,
+    RIDGES_ELONGATION: 3.0,     // Crest length/width ratio along RIDGES_DIRECTION
+    RIDGES_MASK_TO_MACRO: true, // Only raise ridges where the macro band is high
+    RIDGES_MASK_THRESHOLD: 0.5, // Macro value (0..1) where ridges start to appear
     
     // Moisture and temperature (for biomes)
     NOISE_MOIST: {
@@ -89,19 +102,93 @@ export const DEFAULT_CONFIG = {
     TEMP_LAPSE_RATE: -0.006,    // Temperature decrease per meter elevation
     TEMP_LATITUDE_EFFECT: 0.3,  // North-south temperature gradient
     
-    // Erosion (deterministic)
-    EROSION_ITERATIONS: 20,
-    EROSION_STRENGTH: 0.15,
+    // Rain shadow (see moisture.js): humidity carried by a prevailing wind,
+    // blended into the NOISE_MOIST field
+    MOISTURE_RAIN_SHADOW_WEIGHT: 0.5,  // 0 = noise only, 1 = wind model only
+    MOISTURE_WIND_DIRECTION: 270,      // Degrees the wind blows from (0=N, 90=E, 180=S, 270=W)
+    MOISTURE_INFLOW: 0.5,              // Humidity (0..1) of air entering the upwind edge
+    MOISTURE_EVAPORATION: 0.2,         // Fraction of missing humidity regained per water cell
+    MOISTURE_RAIN_RATE: 0.02,          // Fraction of humidity rained out per flat land cell
+    MOISTURE_OROGRAPHIC: 0.4,          // Extra rain fraction per unit of windward rise (m/m)
+    
+    // Coastal climate (see waterDistance.js): water's influence fades over
+    // CLIMATE_COAST_RANGE meters from the nearest sea, lake or river
+    CLIMATE_COAST_RANGE: 80,
+    TEMP_COASTAL_MODERATION: 0.3,      // Pull toward the map's mean temperature at the shore (0..1)
+    MOISTURE_COASTAL_BOOST: 0.3,       // Fraction of missing moisture added at the shore (0..1)
+    
+    // Whittaker-style biome table (see biomes.js): heights in meters above
+    // sea level, bins are upper edges of normalized temperature / moisture.
+    // v1.1 only; the legacy v1.0 generator keeps its fixed thresholds
+    BIOME_TABLE: {
+        beachHeight: 4,
+        temperatureBins: [0.3, 0.7],    // cold | temperate | hot
+        moistureBins: [0.4, 0.7],       // dry | moderate | wet
+        maxWaterDistance: { BEACH: 48, WETLAND: 128 },  // meters to sea, lake or river
+        bands: [
+            {
+                name: 'lowland',
+                maxHeight: 28,
+                biomes: [
+                    ['TUNDRA', 'TUNDRA', 'TUNDRA'],
+                    ['GRASSLAND', 'FOREST', 'WETLAND'],
+                    ['DESERT', 'FOREST', 'WETLAND']
+                ]
+            },
+            {
+                name: 'upland',
+                maxHeight: 48,
+                biomes: [
+                    ['TUNDRA', 'TUNDRA', 'TUNDRA'],
+                    ['GRASSLAND', 'FOREST', 'FOREST'],
+                    ['DESERT', 'FOREST', 'FOREST']
+                ]
+            },
+            {
+                name: 'alpine',
+                biomes: [
+                    ['SNOW', 'SNOW', 'SNOW'],
+                    ['MOUNTAIN', 'MOUNTAIN', 'MOUNTAIN'],
+                    ['MOUNTAIN', 'MOUNTAIN', 'MOUNTAIN']
+                ]
+            }
+        ]
+    },
+    
+    // Erosion (deterministic droplet simulation)
+    EROSION_ITERATIONS: 20,       // Max steps per droplet (0 = no erosion)
+    EROSION_STRENGTH: 0.15,       // Erode speed (fraction of free capacity per step)
     EROSION_DROPLET_COUNT: 5000,  // Fixed number of droplets
     EROSION_STRATIFIED: true,     // Use stratified starting positions
+    EROSION_INERTIA: 0.05,        // 0 = follow gradient, 1 = keep direction
+    EROSION_CAPACITY: 4,          // Sediment capacity multiplier
+    EROSION_MIN_SLOPE: 0.01,      // Capacity floor on flat ground
+    EROSION_DEPOSITION: 0.3,      // Fraction of excess sediment deposited per step
+    EROSION_EVAPORATION: 0.01,    // Water lost per step
+    EROSION_GRAVITY: 4,
+    EROSION_RADIUS: 3,            // Erosion brush radius (cells)
+    
+    // Thermal erosion (talus slopes, meters)
+    THERMAL_ITERATIONS: 8,        // 0 = off
+    THERMAL_TALUS_ANGLE: 35,      // Angle of repose (degrees)
+    THERMAL_RATE: 0.5,            // Fraction of excess material moved per iteration
+    
+    // Rivers (thresholded D8 flow accumulation)
+    RIVERS_ENABLED: true,
+    RIVER_FLOW_THRESHOLD: 150,    // Upstream cells needed to start a channel
+    RIVER_WIDTH_MIN: 6.4,         // Channel width at the threshold (meters)
+    RIVER_WIDTH_SCALE: 0.1,       // Width growth per sqrt(m²) of extra catchment
+    RIVER_BED_DEPTH: 1.5,         // Maximum bed carve depth (meters)
     
     // Forest settings (Poisson disk + suitability)
     FOREST_PERCENTAGE: 25,          // 0-100: percentage of suitable land
-    TREE_MIN_SPACING: 3.0,          // Minimum distance between trees (meters)
+    TREE_MIN_SPACING: 24.0,         // Minimum distance between trees (meters)
     TREE_MIN_HEIGHT: 'sea_level+2', // Above beach (special value or number in meters)
     TREE_MAX_HEIGHT: 60,            // Below alpine limit (meters)
     TREE_MAX_SLOPE: 35,             // Maximum slope angle (degrees)
     TREE_BEACH_BUFFER: 2.0,         // Extra buffer above sea level (meters)
+    TREE_MIN_MOISTURE: 0.2,         // No trees on drier land (normalized moisture)
+    TREE_MIN_WATER_DISTANCE: 8,     // Keep trunks out of rivers and off the waterline (meters)
     
     // Rendering
     CHUNK_SIZE: 16,
@@ -120,9 +207,73 @@ export const DEFAULT_CONFIG = {
     CAMERA_ANGLE: 45,
     CAMERA_ROTATION: 0,
     
+    // Player start locations (see startLocations.js)
+    START_PLAYERS: 2,               // Starts to place (0 = off)
+    START_MAX_SLOPE: 15,            // Buildable below this slope (degrees; relaxed if too few areas)
+    START_MIN_AREA: 16,             // Smallest flat area that can host a base (cells)
+    START_RADIUS: 96,               // Fairness scoring radius around each start (meters)
+    
+    // Resource deposits (see resources.js)
+    RESOURCES_ENABLED: true,
+    RESOURCE_PER_PLAYER: { gold: 1, stone: 1, wood: 2 },   // Guaranteed near every start
+    RESOURCE_CONTESTED: { gold: 2, stone: 2, wood: 4 },    // Between the starts
+    RESOURCE_MIN_SPACING: 64,       // Minimum distance between deposits (meters)
+    RESOURCE_NEAR_MIN: 48,          // Guaranteed deposits: ring around the start (meters)
+    RESOURCE_NEAR_MAX: 128,
+    SHOW_RESOURCES: true,
+    
+    // Map symmetry for fair multiplayer layouts (see symmetry.js)
+    // 'none' | 'mirrorX' | 'mirrorY' | 'diagonal' | 'rotate2' | 'rotate4' | 'radial'
+    SYMMETRY_MODE: 'none',
+    SYMMETRY_FOLDS: 6,              // Slices for 'radial' (one per player)
+    SYMMETRY_SEAM_WIDTH: 8,         // Cells blended where slices meet
+    
+    // Pipeline stages (null = built-in v1.1 stages)
+    // Array of { name, stream, enabled, params } as recorded in MapSpec.pipeline
+    PIPELINE_STAGES: null,
+    
     // Validation thresholds
     WATER_TOLERANCE: 0.1,           // ±0.1% acceptable error
     MIN_LANDMASS_FRACTION: 0.15,    // Minimum size of largest landmass (15%)
+    PASSABLE_MAX_SLOPE: 50,         // Steeper land splits landmasses (degrees)
+    LAND_MIN_POCKET_SIZE: 16,       // Islets smaller than this fail validation (cells)
+    
+    // Terrace mode (see terrace.js): discrete cliff levels joined by ramps
+    TERRACE_ENABLED: false,
+    TERRACE_LEVELS: 3,              // Cliff levels above the sea
+    TERRACE_LEVEL_HEIGHT: 20,       // Cliff height between levels (meters; steeper than PASSABLE_MAX_SLOPE over a cell)
+    TERRACE_MIN_PLATEAU: 100,       // Smaller plateaus merge into their surroundings (cells)
+    TERRACE_RAMPS: 8,               // Ramps to carve (raised when plateaus need more)
+    TERRACE_RAMP_SPACING: 16,       // Poisson spacing between ramp sites (cells)
+    TERRACE_RAMP_WIDTH: 4,          // Cells
+    TERRACE_RAMP_SLOPE: 35,         // Degrees, must stay below PASSABLE_MAX_SLOPE
+    
+    // Navigation cost grid (see navigation.js); PASSABLE_MAX_SLOPE blocks cliffs
+    NAV_SLOPE_COST: 4,              // Extra cost at the slope limit (× flat cost)
+    NAV_RIVER_COST: 2,              // Cost multiplier for fording rivers
+    // Per-unit-class cost tables for tile pathfinding (see tilePathfinding.js);
+    // each overrides maxSlope / slopeCost / riverCost of the base grid
+    NAV_UNIT_CLASSES: {
+        infantry: {},
+        vehicle: { maxSlope: 30, slopeCost: 8, riverCost: 4 }
+    },
+    
+    // Strategic feature analysis (see strategic.js)
+    STRATEGIC_CHOKE_MAX_WIDTH: 6,   // Widest corridor still reported as a chokepoint (cells)
+    STRATEGIC_OPEN_RADIUS: 5,       // Clearance that makes an open field (cells)
+    STRATEGIC_HIGH_GROUND_HEIGHT: 4, // Rise over nearby passable ground (meters)
+    STRATEGIC_HIGH_GROUND_RADIUS: 4, // How far high ground looks for lower ground (cells)
+    STRATEGIC_RAMP_MIN_SLOPE: 20,   // Slopes next to high ground count as ramps (degrees)
+    SHOW_STRATEGIC: false,          // Debug overlay in the renderer
+    
+    // Generate-until-valid: retry attempts with seeds derived from SEED. On by
+    // default: most default maps strand a few islets of one to a few cells
+    // (noSmallPockets) that only a repair or another attempt removes
+    GENERATE_UNTIL_VALID: true,
+    GENERATION_MAX_ATTEMPTS: 8,
+    GENERATION_REPAIRS: true,       // Bridge cut-off land before rejecting an attempt
+    GENERATION_ATTEMPT: 0,          // First attempt generated (MapSpec records the one that passed)
+    GENERATION_REPAIRED: false,     // Whether that attempt starts repaired
 };
 
 export class Config {
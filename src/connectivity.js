@@ -0,0 +1,366 @@
+/**
+ * Land Connectivity
+ *
+ * Labels connected components of passable land so maps whose land is
+ * split by water or cliffs can be rejected:
+ *
+ * - passable     dry land (not sea or lake) with a slope at or below the
+ *                passability limit (calculateSlopes output, degrees)
+ * - component    8-connected passable cells; ids are ordered by size, so
+ *                component 0 is always the largest landmass (-1 = impassable)
+ * - pocket       an islet: dry land cut off by water (at any slope) that is
+ *                smaller than the pocket threshold
+ *
+ * Rivers are fordable and do not split land.
+ *
+ * repairLandConnectivity() is the targeted repair used by generate-until-valid:
+ * it grades ramps through cliffs, raises shallows above the sea to reach
+ * islets and relaxes the cliffs around cut-off land.
+ */
+
+import { CellQueue } from './depressions.js';
+import { calculateSlopes } from './slope.js';
+
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Bridge path step cost multipliers (walking over passable land costs 1)
+const CLIFF_COST = 4;
+const SEA_COST = 12;
+
+// Bridged shallows end up this far above sea level (meters)
+const BRIDGE_FREEBOARD = 0.05;
+
+// Repair passes (label, bridge, relax) and the cliff band relaxed around cut-off land (cells)
+const REPAIR_PASSES = 8;
+const RELAX_RADIUS = 2;
+
+/**
+ * Label passable land components
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap }
+ * @param {Object} options - { maxSlope (degrees) }
+ * @returns {Object} {
+ *     components: Int32Array id per cell (-1 = impassable), sizes: cells per id,
+ *     landmasses: cells per dry landmass regardless of slope (largest first)
+ * }
+ */
+export function labelLandComponents(terrain, { maxSlope = 50 } = {}) {
+    const { elevation, width, height, cellSize = 1 } = terrain;
+    const size = width * height;
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const dry = createDryMask(terrain);
+
+    const passable = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        passable[i] = dry[i] && slopes[i] <= maxSlope ? 1 : 0;
+    }
+
+    const { labels, sizes } = labelMask(passable, width, height);
+    return { components: labels, sizes, landmasses: labelMask(dry, width, height).sizes };
+}
+
+/**
+ * Repair cut-off land in place. Each pass joins every cut-off component to
+ * the main landmass along its cheapest path, then relaxes the cliffs around
+ * whatever is still cut off; passes stop once the land is connected.
+ *
+ * @param {Object} terrain - { elevation (modified in place), width, height, cellSize, seaLevel, lakeMap }
+ * @param {Object} options - {
+ *     maxSlope (degrees),
+ *     maxSeaCells (sea cells bridges may raise, keeps water coverage in tolerance)
+ * }
+ * @returns {Object} { passes, bridges, cellsChanged, seaCellsRaised }
+ */
+export function repairLandConnectivity(terrain, { maxSlope = 50, maxSeaCells = Infinity } = {}) {
+    const { width, height } = terrain;
+    const changed = new Uint8Array(width * height);
+    const budget = { seaCells: maxSeaCells };
+    let bridges = 0;
+    let passes = 0;
+
+    for (; passes < REPAIR_PASSES; passes++) {
+        const labeling = labelLandComponents(terrain, { maxSlope });
+        if (labeling.sizes.length < 2) break;
+
+        bridges += bridgeComponents(terrain, labeling, changed, budget);
+        relaxCliffs(terrain, labeling, changed);
+    }
+
+    let cellsChanged = 0;
+    for (let i = 0; i < changed.length; i++) cellsChanged += changed[i];
+
+    return { passes, bridges, cellsChanged, seaCellsRaised: maxSeaCells - budget.seaCells };
+}
+
+/**
+ * Label 8-connected regions of a 0/1 mask; ids ordered by size (ties keep scan order)
+ */
+function labelMask(mask, width, height) {
+    const size = width * height;
+    const labels = new Int32Array(size).fill(-1);
+    const queue = new Int32Array(size);
+    const found = [];
+    for (let start = 0; start < size; start++) {
+        if (!mask[start] || labels[start] >= 0) continue;
+
+        const id = found.length;
+        let head = 0;
+        let tail = 0;
+        labels[start] = id;
+        queue[tail++] = start;
+        while (head < tail) {
+            const idx = queue[head++];
+            const x = idx % width;
+            const y = (idx - x) / width;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (mask[n] && labels[n] < 0) {
+                    labels[n] = id;
+                    queue[tail++] = n;
+                }
+            }
+        }
+        found.push({ id, size: tail });
+    }
+
+    found.sort((a, b) => b.size - a.size || a.id - b.id);
+    const remap = new Int32Array(found.length);
+    found.forEach((region, rank) => { remap[region.id] = rank; });
+    for (let i = 0; i < size; i++) {
+        if (labels[i] >= 0) labels[i] = remap[labels[i]];
+    }
+
+    return { labels, sizes: found.map(region => region.size) };
+}
+
+/**
+ * Cells above sea level and outside lakes
+ */
+function createDryMask({ elevation, width, height, seaLevel, lakeMap = null }) {
+    const dry = new Uint8Array(width * height);
+    for (let i = 0; i < dry.length; i++) {
+        dry[i] = elevation[i] > seaLevel && !(lakeMap && lakeMap[i] >= 0) ? 1 : 0;
+    }
+    return dry;
+}
+
+/**
+ * Join every cut-off component to the main landmass along the cheapest
+ * path (Dijkstra from component 0). Only the impassable stretches of a
+ * path are modified: heights are interpolated between the passable cells
+ * on either side and stamped one cell to each side, so the ramp is three
+ * cells wide. Lakes are never crossed; bridges that would raise more sea
+ * cells than the remaining budget are skipped.
+ *
+ * @returns {number} Components bridged
+ */
+function bridgeComponents(terrain, { components, sizes }, changed, budget) {
+    const { elevation, width, height, cellSize = 1, seaLevel, lakeMap = null } = terrain;
+    const size = width * height;
+    const cost = new Float64Array(size).fill(Infinity);
+    const parent = new Int32Array(size).fill(-1);
+    const settled = new Uint8Array(size);
+    const queue = new CellQueue();
+    for (let i = 0; i < size; i++) {
+        if (components[i] === 0) {
+            cost[i] = 0;
+            queue.push(0, i);
+        }
+    }
+
+    while (queue.size > 0) {
+        const idx = queue.pop();
+        if (settled[idx]) continue;
+        settled[idx] = 1;
+
+        const x = idx % width;
+        const y = (idx - x) / width;
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const n = ny * width + nx;
+            if (settled[n] || (lakeMap && lakeMap[n] >= 0)) continue;
+
+            let step = dx !== 0 && dy !== 0 ? Math.SQRT2 : 1;
+            if (components[n] < 0) {
+                step *= elevation[n] <= seaLevel ? SEA_COST : CLIFF_COST;
+                step += Math.abs(elevation[n] - elevation[idx]) / cellSize;
+            }
+            if (cost[idx] + step < cost[n]) {
+                cost[n] = cost[idx] + step;
+                parent[n] = idx;
+                queue.push(cost[n], n);
+            }
+        }
+    }
+
+    // Cheapest cell of each component: its parent chain leads to the main landmass
+    const entry = new Int32Array(sizes.length).fill(-1);
+    for (let i = 0; i < size; i++) {
+        const id = components[i];
+        if (id > 0 && Number.isFinite(cost[i]) && (entry[id] < 0 || cost[i] < cost[entry[id]])) {
+            entry[id] = i;
+        }
+    }
+
+    let bridges = 0;
+    for (let id = 1; id < sizes.length; id++) {
+        if (entry[id] < 0) continue;
+
+        const path = [];
+        for (let idx = entry[id]; idx >= 0; idx = parent[idx]) path.push(idx);
+
+        // Grade each impassable run between the passable cells that bound it
+        const writes = new Map();
+        let runStart = -1;
+        for (let i = 1; i < path.length; i++) {
+            if (components[path[i]] < 0) {
+                if (runStart < 0) runStart = i;
+                continue;
+            }
+            if (runStart > 0) {
+                gradeRun(path, runStart - 1, i, terrain, components, writes);
+                runStart = -1;
+            }
+        }
+
+        let seaCells = 0;
+        for (const idx of writes.keys()) {
+            if (elevation[idx] <= seaLevel) seaCells++;
+        }
+        if (seaCells > budget.seaCells) continue;
+
+        budget.seaCells -= seaCells;
+        for (const [idx, value] of writes) {
+            elevation[idx] = value;
+            changed[idx] = 1;
+        }
+        bridges++;
+    }
+
+    return bridges;
+}
+
+/**
+ * One smoothing step (3x3 mean over dry cells) on the impassable dry cells
+ * near cut-off components; relaxed cells never drop into the sea
+ */
+function relaxCliffs(terrain, { components }, changed) {
+    const { elevation, width, height, seaLevel } = terrain;
+    const size = width * height;
+    const dry = createDryMask(terrain);
+
+    const near = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        if (components[i] <= 0) continue;
+        const x = i % width;
+        const y = (i - x) / width;
+        for (let ny = Math.max(0, y - RELAX_RADIUS); ny <= Math.min(height - 1, y + RELAX_RADIUS); ny++) {
+            for (let nx = Math.max(0, x - RELAX_RADIUS); nx <= Math.min(width - 1, x + RELAX_RADIUS); nx++) {
+                near[ny * width + nx] = 1;
+            }
+        }
+    }
+
+    const source = Float32Array.from(elevation);
+    for (let i = 0; i < size; i++) {
+        if (!near[i] || !dry[i] || components[i] >= 0) continue;
+
+        const x = i % width;
+        const y = (i - x) / width;
+        let sum = 0;
+        let count = 0;
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                const n = ny * width + nx;
+                if (dry[n]) {
+                    sum += source[n];
+                    count++;
+                }
+            }
+        }
+        elevation[i] = Math.max(seaLevel + BRIDGE_FREEBOARD, sum / count);
+        changed[i] = 1;
+    }
+}
+
+/**
+ * Interpolate heights along path[from..to] (both ends passable) and stamp
+ * them onto the impassable cells beside the path; heights go to `writes`
+ */
+function gradeRun(path, from, to, { elevation, width, height, seaLevel, lakeMap = null }, components, writes) {
+    const startHeight = elevation[path[from]];
+    const endHeight = elevation[path[to]];
+    const steps = to - from;
+    const heightAt = (i) => Math.max(
+        seaLevel + BRIDGE_FREEBOARD,
+        startHeight + (endHeight - startHeight) * (i - from) / steps
+    );
+
+    const onPath = new Set(path.slice(from, to + 1));
+    for (let i = from + 1; i < to; i++) {
+        const idx = path[i];
+        const x = idx % width;
+        const y = (idx - x) / width;
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const n = ny * width + nx;
+            if (components[n] >= 0 || onPath.has(n) || (lakeMap && lakeMap[n] >= 0)) continue;
+            writes.set(n, heightAt(i));
+        }
+    }
+    for (let i = from + 1; i < to; i++) {
+        writes.set(path[i], heightAt(i));
+    }
+}
+
+/**
+ * Check a labeling against the connectivity invariants
+ *
+ * @param {Object} labeling - Output of labelLandComponents
+ * @param {Object} options - {
+ *     starts ([{ player, cell: { x, y } }]), width, height,
+ *     minLandmassFraction (of all cells), minPocketSize (cells)
+ * }
+ * @returns {Object} Report with `landmassValid`, `startsReachable`, `noSmallPockets`
+ */
+export function analyzeConnectivity({ components, sizes, landmasses = [] }, {
+    starts = [],
+    width,
+    height,
+    minLandmassFraction = 0,
+    minPocketSize = 0
+} = {}) {
+    const total = width * height;
+    const largest = sizes.length > 0 ? sizes[0] : 0;
+    const largestFraction = total > 0 ? largest / total : 0;
+
+    const pocketSizes = landmasses.slice(1).filter(cells => cells < minPocketSize);
+
+    const startComponents = starts.map(start => ({
+        player: start.player,
+        component: components[start.cell.y * width + start.cell.x]
+    }));
+    const reachable = startComponents.length === 0 || startComponents.every(
+        ({ component }) => component >= 0 && component === startComponents[0].component
+    );
+
+    return {
+        components: sizes.length,
+        largestCells: largest,
+        largestFraction,
+        passableFraction: total > 0 ? sizes.reduce((sum, cells) => sum + cells, 0) / total : 0,
+        pockets: pocketSizes.length,
+        pocketCells: pocketSizes.reduce((sum, cells) => sum + cells, 0),
+        startComponents,
+        landmassValid: largestFraction >= minLandmassFraction,
+        startsReachable: reachable,
+        noSmallPockets: pocketSizes.length === 0
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Depression Analysis (Priority-Flood)
+ *
+ * Finds closed basins on the terrain, decides which become lakes and gives
+ * each lake its own water level at its spill point. Basins too small or
+ * shallow to hold a lake are filled so the terrain drains consistently.
+ *
+ * Deterministic: the priority queue breaks height ties by cell index.
+ */
+
+// D8 neighbor offsets (E, SE, S, SW, W, NW, N, NE)
+export const D8_OFFSETS = [
+    [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]
+];
+
+/**
+ * Fill closed depressions (priority-flood + epsilon) so every cell drains
+ * to an outlet: the map border or any cell at/below sea level.
+ * With epsilon = 0 the result is the water level each cell would hold.
+ *
+ * @param {Float32Array} elevation - Height field in meters
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} seaLevel - Sea level in meters
+ * @param {number} epsilon - Minimum rise across filled flats (meters)
+ * @returns {Float64Array} Filled surface (>= elevation everywhere)
+ */
+export function fillDepressions(elevation, width, height, seaLevel, epsilon = 1e-4) {
+    const size = width * height;
+    const filled = new Float64Array(elevation);
+    const visited = new Uint8Array(size);
+    const queue = new CellQueue();
+
+    for (let idx = 0; idx < size; idx++) {
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+        const isBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+        if (isBorder || elevation[idx] <= seaLevel) {
+            visited[idx] = 1;
+            queue.push(filled[idx], idx);
+        }
+    }
+
+    while (queue.size > 0) {
+        const idx = queue.pop();
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+
+        for (const [dx, dy] of D8_OFFSETS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+            const nIdx = ny * width + nx;
+            if (visited[nIdx]) continue;
+            visited[nIdx] = 1;
+
+            // Raise pit cells just above their spill neighbor so they drain
+            filled[nIdx] = Math.max(filled[nIdx], filled[idx] + epsilon);
+            queue.push(filled[nIdx], nIdx);
+        }
+    }
+
+    return filled;
+}
+
+/**
+ * Find closed basins and turn the significant ones into lakes
+ * Small/shallow basins are filled to their spill level (modifies elevation in place)
+ *
+ * @param {Float32Array} elevation - Height field in meters
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} seaLevel - Sea level in meters
+ * @param {Object} options
+ * @param {number} options.cellSize - Size of each cell in meters
+ * @param {number} options.minArea - Minimum basin area to hold a lake (cells)
+ * @param {number} options.minDepth - Minimum basin depth to hold a lake (meters)
+ * @returns {{lakes: Array<Object>, lakeMap: Int32Array}} Lakes and the lake id
+ *          per cell (-1 = no lake)
+ *
+ * Each lake: { id, level, area, maxDepth, volume, center, outlet }
+ * - level: water surface in meters (the spill point height)
+ * - area: m², volume: m³
+ * - center: { x, z } centroid in meters
+ * - outlet: { x, z, height } spill cell in meters, where the lake drains
+ */
+export function findLakes(elevation, width, height, seaLevel, options = {}) {
+    const {
+        cellSize = 1.0,
+        minArea = 12,
+        minDepth = 0.5
+    } = options;
+
+    const size = width * height;
+    const cellArea = cellSize * cellSize;
+    const waterLevel = fillDepressions(elevation, width, height, seaLevel, 0);
+
+    const lakeMap = new Int32Array(size).fill(-1);
+    const visited = new Uint8Array(size);
+    const lakes = [];
+    let filledBasins = 0;
+
+    for (let start = 0; start < size; start++) {
+        if (visited[start] || waterLevel[start] <= elevation[start]) continue;
+
+        const level = waterLevel[start];
+        const cells = collectBasin(start, level, elevation, waterLevel, visited, width, height);
+
+        let maxDepth = 0;
+        let volume = 0;
+        let sumX = 0;
+        let sumY = 0;
+        for (const idx of cells) {
+            const depth = level - elevation[idx];
+            maxDepth = Math.max(maxDepth, depth);
+            volume += depth * cellArea;
+            sumX += idx % width;
+            sumY += Math.floor(idx / width);
+        }
+
+        if (cells.length < minArea || maxDepth < minDepth) {
+            // Too small for a lake: fill it so water passes through
+            for (const idx of cells) elevation[idx] = level;
+            filledBasins++;
+            continue;
+        }
+
+        const id = lakes.length;
+        for (const idx of cells) lakeMap[idx] = id;
+
+        const outlet = findOutlet(cells, lakeMap, id, waterLevel, width, height);
+        lakes.push({
+            id,
+            level,
+            area: cells.length * cellArea,
+            maxDepth,
+            volume,
+            center: {
+                x: (sumX / cells.length) * cellSize,
+                z: (sumY / cells.length) * cellSize
+            },
+            outlet: {
+                x: (outlet % width) * cellSize,
+                z: Math.floor(outlet / width) * cellSize,
+                height: elevation[outlet]
+            }
+        });
+    }
+
+    return { lakes, lakeMap, filledBasins };
+}
+
+/**
+ * Summary of lakes for MapSpec metrics
+ */
+export function summarizeLakes(lakes, totalCells, cellSize = 1.0) {
+    const totalArea = lakes.reduce((sum, lake) => sum + lake.area, 0);
+
+    return {
+        count: lakes.length,
+        totalArea,
+        coverage: (totalArea / (totalCells * cellSize * cellSize)) * 100,
+        list: lakes.map(({ id, level, area, maxDepth, volume, outlet }) => ({
+            id, level, area, maxDepth, volume, outlet
+        }))
+    };
+}
+
+/**
+ * Flood-fill the connected flooded cells sharing one water level
+ */
+function collectBasin(start, level, elevation, waterLevel, visited, width, height) {
+    const cells = [start];
+    visited[start] = 1;
+
+    for (let head = 0; head < cells.length; head++) {
+        const idx = cells[head];
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+
+        for (const [dx, dy] of D8_OFFSETS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+            const nIdx = ny * width + nx;
+            if (visited[nIdx] || waterLevel[nIdx] !== level || waterLevel[nIdx] <= elevation[nIdx]) continue;
+
+            visited[nIdx] = 1;
+            cells.push(nIdx);
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Spill point: the lowest rim cell around the lake (lowest index on ties).
+ * Rim cells never sit below the lake level, so this is where it overflows.
+ */
+function findOutlet(cells, lakeMap, id, waterLevel, width, height) {
+    let outlet = -1;
+
+    for (const idx of cells) {
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+
+        for (const [dx, dy] of D8_OFFSETS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+            const nIdx = ny * width + nx;
+            if (lakeMap[nIdx] === id) continue;
+
+            if (outlet < 0 || waterLevel[nIdx] < waterLevel[outlet] ||
+                (waterLevel[nIdx] === waterLevel[outlet] && nIdx < outlet)) {
+                outlet = nIdx;
+            }
+        }
+    }
+
+    return outlet;
+}
+
+/**
+ * Binary min-heap of cells keyed by height (or any cost), ties broken by index
+ */
+export class CellQueue {
+    constructor() {
+        this.heights = [];
+        this.cells = [];
+    }
+
+    get size() {
+        return this.cells.length;
+    }
+
+    push(height, cell) {
+        this.heights.push(height);
+        this.cells.push(cell);
+
+        let i = this.cells.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this._less(i, parent)) break;
+            this._swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.cells[0];
+        const lastHeight = this.heights.pop();
+        const lastCell = this.cells.pop();
+
+        if (this.cells.length > 0) {
+            this.heights[0] = lastHeight;
+            this.cells[0] = lastCell;
+
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.cells.length && this._less(left, smallest)) smallest = left;
+                if (right < this.cells.length && this._less(right, smallest)) smallest = right;
+                if (smallest === i) break;
+                this._swap(i, smallest);
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    _less(a, b) {
+        return this.heights[a] < this.heights[b] ||
+            (this.heights[a] === this.heights[b] && this.cells[a] < this.cells[b]);
+    }
+
+    _swap(a, b) {
+        [this.heights[a], this.heights[b]] = [this.heights[b], this.heights[a]];
+        [this.cells[a], this.cells[b]] = [this.cells[b], this.cells[a]];
+    }
+}
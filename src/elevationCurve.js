@@ -73,6 +73,7 @@ export const ELEVATION_PRESETS = {
     /**
      * Original RTS-style stepped terrain
      * Creates distinct flat zones at different elevations
+     * (TERRACE_ENABLED snaps them to true cliff levels with ramps, see terrace.js)
      */
     TERRACED_RTS: new PiecewiseLinearCurve([
         { x: 0.0, y: 0.0 },   // Sea level
@@ -103,6 +103,180 @@ export class HydraulicErosion {
     }
 }
 
+// Particle (droplet) hydraulic erosion
+// Each droplet carries water and sediment downhill: it erodes where it is
+// fast and under capacity and deposits where it slows down (valley floors,
+// slope breaks), carving valleys and leaving alluvial fans.
+//
+// Deterministic: droplets run in a fixed order from caller-supplied start
+// positions and only use +, -, *, / and sqrt (exactly rounded in IEEE 754).
+export class DropletErosion {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        
+        this.heightScale = options.heightScale ?? 1;      // Height units per normalized unit (e.g. meters)
+        this.maxLifetime = options.maxLifetime ?? 30;     // Max steps per droplet
+        this.inertia = options.inertia ?? 0.05;           // 0 = follows gradient, 1 = keeps direction
+        this.capacity = options.capacity ?? 4;            // Sediment capacity multiplier
+        this.minSlope = options.minSlope ?? 0.01;         // Capacity floor on flat ground
+        this.erodeSpeed = options.erodeSpeed ?? 0.3;      // Fraction of free capacity eroded per step
+        this.depositSpeed = options.depositSpeed ?? 0.3;  // Fraction of excess sediment dropped per step
+        this.evaporation = options.evaporation ?? 0.01;   // Water lost per step
+        this.gravity = options.gravity ?? 4;
+        this.radius = Math.max(1, Math.round(options.radius ?? 3));
+        
+        this._buildBrush();
+    }
+    
+    // Run one droplet per start position ({x, y} in cell units)
+    // Returns totals (in height units) for metrics
+    erode(heightField, starts) {
+        const stats = { droplets: starts.length, eroded: 0, deposited: 0 };
+        
+        for (let i = 0; i < starts.length; i++) {
+            this._simulateDroplet(heightField, starts[i].x, starts[i].y, stats);
+        }
+        
+        stats.eroded *= this.heightScale;
+        stats.deposited *= this.heightScale;
+        return stats;
+    }
+    
+    _simulateDroplet(heights, startX, startY, stats) {
+        const w = this.width;
+        const scale = this.heightScale;
+        
+        let posX = startX;
+        let posY = startY;
+        let dirX = 0;
+        let dirY = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+        
+        for (let step = 0; step < this.maxLifetime; step++) {
+            const cellX = Math.floor(posX);
+            const cellY = Math.floor(posY);
+            const offsetX = posX - cellX;
+            const offsetY = posY - cellY;
+            const idx = cellY * w + cellX;
+            
+            // Height (normalized) and gradient at the droplet position
+            const here = this._sample(heights, posX, posY);
+            
+            // Blend previous direction with downhill direction
+            dirX = dirX * this.inertia - here.gradX * (1 - this.inertia);
+            dirY = dirY * this.inertia - here.gradY * (1 - this.inertia);
+            const len = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (len === 0) break; // Flat and at rest
+            dirX /= len;
+            dirY /= len;
+            
+            posX += dirX;
+            posY += dirY;
+            
+            // Stop at the map edge (sediment leaves the map)
+            if (posX < 0 || posX >= w - 1 || posY < 0 || posY >= this.height - 1) break;
+            
+            const deltaH = this._sample(heights, posX, posY).height - here.height;
+            
+            // Faster, wetter droplets on steeper slopes carry more
+            const capacity = Math.max(-deltaH, this.minSlope) * speed * water * this.capacity;
+            
+            if (sediment > capacity || deltaH > 0) {
+                // Uphill: fill the pit behind; otherwise drop part of the excess
+                const amount = deltaH > 0
+                    ? Math.min(deltaH, sediment)
+                    : (sediment - capacity) * this.depositSpeed;
+                sediment -= amount;
+                this._deposit(heights, idx, offsetX, offsetY, amount * scale);
+                stats.deposited += amount;
+            } else {
+                // Never dig deeper than the height drop (avoids spikes)
+                const amount = Math.min((capacity - sediment) * this.erodeSpeed, -deltaH);
+                const removed = this._erodeBrush(heights, cellX, cellY, amount * scale) / scale;
+                sediment += removed;
+                stats.eroded += removed;
+            }
+            
+            speed = Math.sqrt(Math.max(0, speed * speed + deltaH * this.gravity));
+            water *= (1 - this.evaporation);
+        }
+    }
+    
+    // Bilinear height (normalized units) and gradient at a fractional position
+    _sample(heights, x, y) {
+        const w = this.width;
+        const cellX = Math.floor(x);
+        const cellY = Math.floor(y);
+        const u = x - cellX;
+        const v = y - cellY;
+        const idx = cellY * w + cellX;
+        const inv = 1 / this.heightScale;
+        
+        const hNW = heights[idx] * inv;
+        const hNE = heights[idx + 1] * inv;
+        const hSW = heights[idx + w] * inv;
+        const hSE = heights[idx + w + 1] * inv;
+        
+        return {
+            height: hNW * (1 - u) * (1 - v) + hNE * u * (1 - v) + hSW * (1 - u) * v + hSE * u * v,
+            gradX: (hNE - hNW) * (1 - v) + (hSE - hSW) * v,
+            gradY: (hSW - hNW) * (1 - u) + (hSE - hNE) * u
+        };
+    }
+    
+    // Deposit onto the 4 surrounding cells, weighted by proximity
+    _deposit(heights, idx, u, v, amount) {
+        const w = this.width;
+        heights[idx] += amount * (1 - u) * (1 - v);
+        heights[idx + 1] += amount * u * (1 - v);
+        heights[idx + w] += amount * (1 - u) * v;
+        heights[idx + w + 1] += amount * u * v;
+    }
+    
+    // Erode a radial brush around the cell; returns the amount actually removed
+    _erodeBrush(heights, cellX, cellY, amount) {
+        const w = this.width;
+        let removed = 0;
+        
+        for (let i = 0; i < this.brushOffsets.length; i++) {
+            const x = cellX + this.brushOffsets[i].dx;
+            const y = cellY + this.brushOffsets[i].dy;
+            if (x < 0 || x >= w || y < 0 || y >= this.height) continue;
+            
+            const idx = y * w + x;
+            const take = Math.min(heights[idx], amount * this.brushWeights[i]);
+            heights[idx] -= take;
+            removed += take;
+        }
+        
+        return removed;
+    }
+    
+    // Precompute brush offsets and normalized linear falloff weights
+    _buildBrush() {
+        const r = this.radius;
+        this.brushOffsets = [];
+        const weights = [];
+        let total = 0;
+        
+        for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist >= r) continue;
+                const weight = r - dist;
+                this.brushOffsets.push({ dx, dy });
+                weights.push(weight);
+                total += weight;
+            }
+        }
+        
+        this.brushWeights = weights.map(weight => weight / total);
+    }
+}
+
 // Apply thermal erosion (smoothing based on slope)
 export function applyThermalErosion(heightField, width, height, iterations = 3, threshold = 0.05) {
     const temp = new Float32Array(heightField.length);
@@ -145,3 +319,75 @@ export function applyThermalErosion(heightField, width, height, iterations = 3,
     }
 }
 
+// Thermal weathering in meters (v1.1)
+// Material on slopes steeper than the angle of repose slides to lower
+// neighbors and piles up as talus at cliff bases. Each iteration computes
+// all transfers from the same snapshot, so the result doesn't depend on
+// cell order. Returns the total height moved (meters, summed over cells).
+export function applyThermalWeathering(heightField, width, height, options = {}) {
+    const {
+        talusAngle = 35,   // Angle of repose (degrees)
+        iterations = 10,
+        rate = 0.5,        // Fraction of the excess moved per iteration (0..1)
+        cellSize = 1.0
+    } = options;
+    
+    const talus = Math.tan(talusAngle * Math.PI / 180);
+    const offsets = [];
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            const distance = Math.sqrt(dx * dx + dy * dy) * cellSize;
+            offsets.push({ dx, dy, maxDrop: talus * distance });
+        }
+    }
+    
+    const delta = new Float32Array(heightField.length);
+    const excess = new Float32Array(offsets.length);
+    let moved = 0;
+    
+    for (let iter = 0; iter < iterations; iter++) {
+        delta.fill(0);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const h = heightField[idx];
+                let totalExcess = 0;
+                let maxExcess = 0;
+                
+                for (let n = 0; n < offsets.length; n++) {
+                    excess[n] = 0;
+                    const nx = x + offsets[n].dx;
+                    const ny = y + offsets[n].dy;
+                    if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+                    
+                    const over = h - heightField[ny * width + nx] - offsets[n].maxDrop;
+                    if (over > 0) {
+                        excess[n] = over;
+                        totalExcess += over;
+                        maxExcess = Math.max(maxExcess, over);
+                    }
+                }
+                
+                if (totalExcess === 0) continue;
+                
+                // Move half the steepest excess (so the pair ends at repose), split by excess
+                const amount = maxExcess * 0.5 * rate;
+                delta[idx] -= amount;
+                for (let n = 0; n < offsets.length; n++) {
+                    if (excess[n] === 0) continue;
+                    const nIdx = (y + offsets[n].dy) * width + (x + offsets[n].dx);
+                    delta[nIdx] += amount * (excess[n] / totalExcess);
+                }
+                moved += amount;
+            }
+        }
+        
+        for (let i = 0; i < heightField.length; i++) {
+            heightField[i] += delta[i];
+        }
+    }
+    
+    return moved;
+}
@@ -0,0 +1,91 @@
+/**
+ * Generator Registry
+ *
+ * Maps MapSpec/config `version` strings to terrain generator
+ * implementations so saved maps reproduce with the pipeline that
+ * created them.
+ */
+
+import { TerrainGenerator } from './terrainGenerator.js';
+import { TerrainGeneratorV1_1 } from './terrainGeneratorV1_1.js';
+
+export const DEFAULT_GENERATOR_VERSION = '1.2';
+
+const GENERATORS = new Map();
+
+/**
+ * Register a generator implementation
+ * @param {string} version - Version key (matches MapSpec `version`)
+ * @param {Object} entry - { label, GeneratorClass }
+ */
+export function registerGenerator(version, entry) {
+    GENERATORS.set(version, { version, ...entry });
+}
+
+/**
+ * Look up a registered generator entry
+ * @param {string} version
+ * @returns {Object} Registry entry
+ */
+export function getGeneratorEntry(version) {
+    const entry = GENERATORS.get(version);
+    if (!entry) {
+        throw new Error(`Unknown generator version: ${version}`);
+    }
+    return entry;
+}
+
+/**
+ * Create a generator for the config's VERSION (default v1.2)
+ * @param {Object} config
+ * @param {Object} options - Passed through to the generator (e.g. onProgress)
+ */
+export function createGenerator(config, options = {}) {
+    const version = config.VERSION || DEFAULT_GENERATOR_VERSION;
+    const { GeneratorClass } = getGeneratorEntry(version);
+    return new GeneratorClass(config, options);
+}
+
+/**
+ * Check whether a MapSpec version can be reproduced
+ */
+export function isSupportedVersion(version) {
+    return GENERATORS.has(version);
+}
+
+/**
+ * Order two version strings numerically, part by part ('1.10' after '1.9')
+ */
+export function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * List registered generators (for UI selectors)
+ */
+export function listGenerators() {
+    return Array.from(GENERATORS.values()).map(({ version, label }) => ({ version, label }));
+}
+
+registerGenerator('1.0', {
+    label: 'v1.0 (Legacy)',
+    GeneratorClass: TerrainGenerator
+});
+
+registerGenerator('1.1', {
+    label: 'v1.1 (Deterministic)',
+    GeneratorClass: TerrainGeneratorV1_1
+});
+
+// Same pipeline as v1.1 with droplet erosion: heights stay in meters
+// (0..ELEVATION_SCALE) where v1.1 ends up with 0..1
+registerGenerator('1.2', {
+    label: 'v1.2 (Droplet erosion)',
+    GeneratorClass: TerrainGeneratorV1_1
+});
@@ -1,6 +1,7 @@
 // Low-poly terrain rendering (flat shading, discrete colors)
 import * as THREE from 'three';
 
+// Works with any tiling from tiling.js: each tile is a fan around its center
 export class LowPolyTerrainBuilder {
     constructor(config, grid) {
         this.config = config;
@@ -8,8 +9,9 @@ export class LowPolyTerrainBuilder {
     }
     
     // Build low-poly terrain mesh with flat shading
+    // Expects normalized terrain data (elevation and seaLevel in meters)
     buildLowPolyTerrain(terrainData) {
-        const { elevation, width, height } = terrainData;
+        const { elevation, width, height, seaLevel } = terrainData;
         
         console.log('🎨 Building low-poly terrain...');
         
@@ -22,21 +24,24 @@ export class LowPolyTerrainBuilder {
         let vertexIndex = 0;
         
         // Generate tile positions
-        const { octagons } = this.grid.generateTiles();
+        const { tiles } = this.grid.generateTiles();
         
-        // Build each octagon
-        octagons.forEach(tile => {
-            this._addOctagonToGeometry(
+        // Build each tile
+        tiles.forEach(tile => {
+            const polygon = this.grid.getTilePolygon(tile.gridX, tile.gridY);
+            this._addTileToGeometry(
                 tile, 
+                polygon,
                 elevation, 
                 width, 
                 height, 
+                seaLevel,
                 vertices, 
                 colors, 
                 indices, 
                 vertexIndex
             );
-            vertexIndex += 9; // 8 perimeter + 1 center
+            vertexIndex += polygon.length + 1; // perimeter + center
         });
         
         // Debug: Check if arrays are populated
@@ -78,25 +83,21 @@ export class LowPolyTerrainBuilder {
             hasMaterial: mesh.material !== null
         });
         
-        console.log(`✓ Built ${octagons.length} low-poly octagons`);
+        console.log(`✓ Built ${tiles.length} low-poly ${this.grid.type} tiles`);
         
         return mesh;
     }
     
-    // Add single octagon to geometry
-    _addOctagonToGeometry(tile, elevation, width, height, vertices, colors, indices, startIdx) {
-        // Get height at this tile's grid position
-        const h = this._sampleHeight(elevation, width, height, tile.gridX, tile.gridY);
-        
-        // Apply height scaling
-        const heightMeters = h * this.config.ELEVATION_SCALE;
+    // Add single tile to geometry
+    _addTileToGeometry(tile, polygon, elevation, width, height, seaLevel, vertices, colors, indices, startIdx) {
+        // Get height at this tile's grid position (meters)
+        const heightMeters = this._sampleHeight(elevation, width, height, tile.gridX, tile.gridY);
         
         // Flatten underwater areas to sea level
-        const seaLevel = this.config.SEA_LEVEL * this.config.ELEVATION_SCALE;
         const finalHeight = heightMeters < seaLevel ? seaLevel : heightMeters;
         
         // Get color for this height
-        const color = this._getHeightColor(finalHeight);
+        const color = this._getHeightColor(finalHeight, seaLevel);
         
         // Add center vertex
         const jitter = this.config.VERTEX_JITTER;
@@ -107,17 +108,14 @@ export class LowPolyTerrainBuilder {
         colors.push(color.r, color.g, color.b);
         
         // Add perimeter vertices
-        const radius = this.grid.radius;
-        for (let i = 0; i < 8; i++) {
-            const angle = (Math.PI / 4) * i;
-            const x = tile.x + radius * Math.cos(angle);
-            const z = tile.z + radius * Math.sin(angle);
+        for (const corner of polygon) {
+            const x = tile.x + corner.x;
+            const z = tile.z + corner.z;
             
             // Sample height at this vertex position
             const vx = (x / (this.config.MAP_WIDTH * this.grid.spacing)) * width;
             const vz = (z / (this.config.MAP_HEIGHT * this.grid.spacing)) * height;
-            const vh = this._sampleHeightBilinear(elevation, width, height, vx, vz);
-            const vHeight = vh * this.config.ELEVATION_SCALE;
+            const vHeight = this._sampleHeightBilinear(elevation, width, height, vx, vz);
             const finalVHeight = vHeight < seaLevel ? seaLevel : vHeight;
             
             // Add slight jitter
@@ -130,8 +128,8 @@ export class LowPolyTerrainBuilder {
         
         // Add indices (triangle fan from center)
         // CRITICAL: Ensure correct winding order for front faces
-        for (let i = 0; i < 8; i++) {
-            const nextI = (i + 1) % 8;
+        for (let i = 0; i < polygon.length; i++) {
+            const nextI = (i + 1) % polygon.length;
             indices.push(
                 startIdx,               // center
                 startIdx + 1 + i,       // current perimeter vertex
@@ -141,9 +139,7 @@ export class LowPolyTerrainBuilder {
     }
     
     // Get discrete color based on height (low-poly style)
-    _getHeightColor(height) {
-        const seaLevel = this.config.SEA_LEVEL * this.config.ELEVATION_SCALE;
-        
+    _getHeightColor(height, seaLevel) {
         // Discrete color bands
         if (height <= seaLevel) {
             return new THREE.Color(0x3a8bc6);  // Blue water
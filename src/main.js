@@ -1,12 +1,20 @@
 // Main entry point
 import { Config } from './config.js';
+import { compareVersions, createGenerator, DEFAULT_GENERATOR_VERSION, listGenerators } from './generatorRegistry.js';
+import { createMapSpec } from './mapSpec.js';
 import { TerrainRenderer } from './renderer.js';
-import { TerrainGenerator } from './terrainGenerator.js';
+import { normalizeTerrainData } from './terrainData.js';
+import { TerrainWorkerClient } from './terrainWorkerClient.js';
 
 class App {
     constructor() {
         this.config = new Config();
-        this.generator = new TerrainGenerator(this.config);
+        // Main-thread generator for the synchronous fallback, created on first use;
+        // generator.config is this.config, so keep the version it was built for
+        this.generator = null;
+        this.generatorVersion = null;
+        // Off-main-thread generation (falls back to synchronous if Workers are unavailable)
+        this.workerClient = typeof Worker !== 'undefined' ? new TerrainWorkerClient() : null;
         this.renderer = null;
         this.terrainData = null;
         this.currentMapSpec = null;
@@ -44,6 +52,21 @@ class App {
         const seedInput = document.getElementById('seed');
         seedInput.value = this.config.SEED;
         
+        // Generator version selector: one option per registered generator, newest first
+        const generatorVersionSelect = document.getElementById('generatorVersion');
+        if (generatorVersionSelect) {
+            const generators = listGenerators().sort((a, b) => compareVersions(b.version, a.version));
+            for (const { version, label } of generators) {
+                generatorVersionSelect.add(new Option(label, version));
+            }
+            generatorVersionSelect.value = this.config.VERSION || DEFAULT_GENERATOR_VERSION;
+            
+            generatorVersionSelect.addEventListener('change', (e) => {
+                this.config.VERSION = e.target.value;
+                this.regenerateTerrain();
+            });
+        }
+        
         // Water percentage slider
         const waterPercentageSlider = document.getElementById('waterPercentage');
         const waterPercentageValue = document.getElementById('waterPercentageValue');
@@ -178,6 +201,17 @@ class App {
             });
         }
 
+        // Tiling select
+        const tilingSelect = document.getElementById('tiling');
+        if (tilingSelect) {
+            tilingSelect.value = this.config.TILING;
+            
+            tilingSelect.addEventListener('change', (e) => {
+                this.config.TILING = e.target.value;
+                this.regenerateTerrain();
+            });
+        }
+
         // Low-poly mode checkbox
         const lowPolyCheckbox = document.getElementById('lowPolyMode');
         lowPolyCheckbox.checked = this.config.LOW_POLY_MODE;
@@ -205,6 +239,17 @@ class App {
             this.regenerateTerrain();
         });
         
+        // Strategic overlay checkbox
+        const showStrategicCheckbox = document.getElementById('showStrategic');
+        if (showStrategicCheckbox) {
+            showStrategicCheckbox.checked = this.config.SHOW_STRATEGIC;
+            
+            showStrategicCheckbox.addEventListener('change', (e) => {
+                this.config.SHOW_STRATEGIC = e.target.checked;
+                this.regenerateTerrain();
+            });
+        }
+        
         // Show grid checkbox
         const showGridCheckbox = document.getElementById('showGrid');
         if (showGridCheckbox) {
@@ -235,14 +280,25 @@ class App {
         });
     }
     
-    regenerateTerrain() {
+    async regenerateTerrain() {
         console.log('🔄 Regenerating terrain with seed:', this.config.SEED);
         
-        // Update generator with new config
-        this.generator = new TerrainGenerator(this.config);
+        let terrainData;
+        try {
+            terrainData = this.workerClient
+                ? await this.workerClient.generate(this.config, (phase, progress) => this._updateProgress(phase, progress))
+                : this._generateSync();
+        } catch (error) {
+            // Superseded by a newer request (e.g. slider still moving)
+            if (error.cancelled) return;
+            console.error('❌ Terrain generation failed:', error);
+            this._updateProgress('failed', 0);
+            return;
+        }
+        this._updateProgress('done', 1);
         
-        // Generate terrain data
-        this.terrainData = this.generator.generate();
+        this.terrainData = terrainData;
+        this.currentMapSpec = createMapSpec(this.config, this.terrainData);
         
         // Update renderer
         this.renderer.updateConfig(this.config);
@@ -252,6 +308,32 @@ class App {
         this._updateStats();
     }
     
+    // Synchronous fallback on the main thread
+    _generateSync() {
+        // v1.1 generators re-run only the stages affected by config changes
+        if (this.generator && this.generator.regenerate && this.generatorVersion === this.config.VERSION) {
+            return normalizeTerrainData(this.generator.regenerate(), this.config);
+        }
+        
+        // Update generator with new config (selected by VERSION)
+        this.generator = createGenerator(this.config);
+        this.generatorVersion = this.config.VERSION;
+        
+        // Generate terrain data and normalize to the renderer contract
+        return normalizeTerrainData(this.generator.generate(), this.config);
+    }
+    
+    _updateProgress(phase, progress) {
+        const statusElement = document.getElementById('generationStatus');
+        if (!statusElement) return;
+        
+        if (phase === 'done' || phase === 'failed') {
+            statusElement.textContent = phase;
+        } else {
+            statusElement.textContent = `${phase} (${Math.round(progress * 100)}%)`;
+        }
+    }
+    
     _updateSeaLevel(value) {
         // Update materials without full regeneration
         if (this.renderer.octagonMesh && this.renderer.octagonMesh.material && this.renderer.octagonMesh.material.uniforms && this.renderer.octagonMesh.material.uniforms.uSeaLevel) {
@@ -3,22 +3,39 @@
  * 
  * Allows maps to be saved, loaded, and reproduced exactly.
  * Includes all parameters needed for deterministic generation.
+ * `version` picks the generator: v1.2 keeps heights in meters, v1.1
+ * specs reproduce with v1.1's flow erosion and its 0..1 heights.
  */
 
+import { validateBiomeTable } from './biomes.js';
 import { DEFAULT_CONFIG } from './config.js';
+import { DEFAULT_GENERATOR_VERSION, isSupportedVersion } from './generatorRegistry.js';
+import { validateSymmetry } from './symmetry.js';
+import { TILING_TYPES } from './tiling.js';
 
 /**
  * Create a MapSpec from config and generation results
  */
 export function createMapSpec(config, terrainData) {
     return {
-        version: '1.1',
+        version: config.VERSION || DEFAULT_GENERATOR_VERSION,
         timestamp: Date.now(),
         
         // Core parameters
         seed: config.SEED,
         subSeeds: terrainData.subSeeds || {},
         
+        // Attempt that produced this map (attempt seeds derive from `seed`);
+        // reloading starts there, so the map reproduces in one shot
+        generation: {
+            untilValid: config.GENERATE_UNTIL_VALID,
+            maxAttempts: config.GENERATION_MAX_ATTEMPTS,
+            repairs: config.GENERATION_REPAIRS,
+            attempt: terrainData.metrics?.generation?.attempt ?? config.GENERATION_ATTEMPT,
+            repaired: terrainData.metrics?.generation?.repaired ?? config.GENERATION_REPAIRED,
+            attemptSeed: terrainData.metrics?.generation?.seed ?? config.SEED
+        },
+        
         // Map size
         size: {
             width: config.MAP_WIDTH,
@@ -26,6 +43,12 @@ export function createMapSpec(config, terrainData) {
             cellSize: config.CELL_SIZE
         },
         
+        // Tile layout (see tiling.js)
+        tiling: {
+            type: config.TILING,
+            apothem: config.OCT_APOTHEM
+        },
+        
         // Elevation
         elevation: {
             scale: config.ELEVATION_SCALE,
@@ -38,7 +61,8 @@ export function createMapSpec(config, terrainData) {
             macro: { ...config.NOISE_MACRO },
             meso: { ...config.NOISE_MESO },
             micro: { ...config.NOISE_MICRO },
-            warpStrength: config.NOISE_WARP_STRENGTH
+            warpStrength: config.NOISE_WARP_STRENGTH,
+            warpIterations: config.NOISE_WARP_ITERATIONS
         },
         
         // Ridges
@@ -46,7 +70,12 @@ export function createMapSpec(config, terrainData) {
             enabled: config.RIDGES_ENABLED,
             frequency: config.RIDGES_FREQUENCY,
             direction: config.RIDGES_DIRECTION,
-            strength: config.RIDGES_STRENGTH
+            strength: config.RIDGES_STRENGTH,
+            sharpness: config.RIDGES_SHARPNESS,
+            octaves: config.RIDGES_OCTAVES,
+            elongation: config.RIDGES_ELONGATION,
+            maskToMacro: config.RIDGES_MASK_TO_MACRO,
+            maskThreshold: config.RIDGES_MASK_THRESHOLD
         },
         
         // Water
@@ -67,7 +96,9 @@ export function createMapSpec(config, terrainData) {
             depthMax: config.LAKE_DEPTH_MAX,
             shapeSquareness: config.LAKE_SHAPE_SQUARENESS,
             edgeNoiseFreq: config.LAKE_EDGE_NOISE_FREQ,
-            edgeNoiseAmp: config.LAKE_EDGE_NOISE_AMP
+            edgeNoiseAmp: config.LAKE_EDGE_NOISE_AMP,
+            minArea: config.LAKE_MIN_AREA,
+            minDepth: config.LAKE_MIN_DEPTH
         },
         
         // Erosion
@@ -75,7 +106,26 @@ export function createMapSpec(config, terrainData) {
             iterations: config.EROSION_ITERATIONS,
             strength: config.EROSION_STRENGTH,
             dropletCount: config.EROSION_DROPLET_COUNT,
-            stratified: config.EROSION_STRATIFIED
+            stratified: config.EROSION_STRATIFIED,
+            inertia: config.EROSION_INERTIA,
+            capacity: config.EROSION_CAPACITY,
+            minSlope: config.EROSION_MIN_SLOPE,
+            deposition: config.EROSION_DEPOSITION,
+            evaporation: config.EROSION_EVAPORATION,
+            gravity: config.EROSION_GRAVITY,
+            radius: config.EROSION_RADIUS,
+            thermalIterations: config.THERMAL_ITERATIONS,
+            talusAngle: config.THERMAL_TALUS_ANGLE,
+            thermalRate: config.THERMAL_RATE
+        },
+        
+        // Rivers
+        rivers: {
+            enabled: config.RIVERS_ENABLED,
+            flowThreshold: config.RIVER_FLOW_THRESHOLD,
+            widthMin: config.RIVER_WIDTH_MIN,
+            widthScale: config.RIVER_WIDTH_SCALE,
+            bedDepth: config.RIVER_BED_DEPTH
         },
         
         // Biomes
@@ -83,7 +133,21 @@ export function createMapSpec(config, terrainData) {
             moistureNoise: { ...config.NOISE_MOIST },
             temperatureNoise: { ...config.NOISE_TEMP },
             tempLapseRate: config.TEMP_LAPSE_RATE,
-            tempLatitudeEffect: config.TEMP_LATITUDE_EFFECT
+            tempLatitudeEffect: config.TEMP_LATITUDE_EFFECT,
+            table: config.BIOME_TABLE,
+            rainShadow: {
+                weight: config.MOISTURE_RAIN_SHADOW_WEIGHT,
+                windDirection: config.MOISTURE_WIND_DIRECTION,
+                inflow: config.MOISTURE_INFLOW,
+                evaporation: config.MOISTURE_EVAPORATION,
+                rainRate: config.MOISTURE_RAIN_RATE,
+                orographic: config.MOISTURE_OROGRAPHIC
+            },
+            coast: {
+                range: config.CLIMATE_COAST_RANGE,
+                temperatureModeration: config.TEMP_COASTAL_MODERATION,
+                moistureBoost: config.MOISTURE_COASTAL_BOOST
+            }
         },
         
         // Forest
@@ -93,7 +157,75 @@ export function createMapSpec(config, terrainData) {
             minHeight: config.TREE_MIN_HEIGHT,
             maxHeight: config.TREE_MAX_HEIGHT,
             maxSlope: config.TREE_MAX_SLOPE,
-            beachBuffer: config.TREE_BEACH_BUFFER
+            beachBuffer: config.TREE_BEACH_BUFFER,
+            minMoisture: config.TREE_MIN_MOISTURE,
+            minWaterDistance: config.TREE_MIN_WATER_DISTANCE
+        },
+        
+        // Player starts (positions and fairness report are in metrics.startLocations)
+        starts: {
+            players: config.START_PLAYERS,
+            maxSlope: config.START_MAX_SLOPE,
+            minArea: config.START_MIN_AREA,
+            radius: config.START_RADIUS
+        },
+        
+        // Resource deposits (placement settings and the placed deposits)
+        resources: {
+            enabled: config.RESOURCES_ENABLED,
+            perPlayer: { ...config.RESOURCE_PER_PLAYER },
+            contested: { ...config.RESOURCE_CONTESTED },
+            minSpacing: config.RESOURCE_MIN_SPACING,
+            nearMin: config.RESOURCE_NEAR_MIN,
+            nearMax: config.RESOURCE_NEAR_MAX,
+            deposits: terrainData.resources || []
+        },
+        
+        // Land connectivity validation (measured report is in metrics.connectivity)
+        connectivity: {
+            passableMaxSlope: config.PASSABLE_MAX_SLOPE,
+            minLandmassFraction: config.MIN_LANDMASS_FRACTION,
+            minPocketSize: config.LAND_MIN_POCKET_SIZE
+        },
+        
+        // Terrace mode (plateaus, ramp sites and reachability are in metrics.terrace)
+        terrace: {
+            enabled: config.TERRACE_ENABLED,
+            levels: config.TERRACE_LEVELS,
+            levelHeight: config.TERRACE_LEVEL_HEIGHT,
+            minPlateau: config.TERRACE_MIN_PLATEAU,
+            ramps: config.TERRACE_RAMPS,
+            rampSpacing: config.TERRACE_RAMP_SPACING,
+            rampWidth: config.TERRACE_RAMP_WIDTH,
+            rampSlope: config.TERRACE_RAMP_SLOPE
+        },
+        
+        // Navigation cost grid (blocked share and start path lengths are in metrics.navigation)
+        navigation: {
+            slopeCost: config.NAV_SLOPE_COST,
+            riverCost: config.NAV_RIVER_COST,
+            unitClasses: config.NAV_UNIT_CLASSES
+        },
+        
+        // Strategic feature analysis (chokepoints and coverage are in metrics.strategic)
+        strategic: {
+            chokeMaxWidth: config.STRATEGIC_CHOKE_MAX_WIDTH,
+            openRadius: config.STRATEGIC_OPEN_RADIUS,
+            highGroundHeight: config.STRATEGIC_HIGH_GROUND_HEIGHT,
+            highGroundRadius: config.STRATEGIC_HIGH_GROUND_RADIUS,
+            rampMinSlope: config.STRATEGIC_RAMP_MIN_SLOPE
+        },
+        
+        // Symmetry
+        symmetry: {
+            mode: config.SYMMETRY_MODE,
+            folds: config.SYMMETRY_FOLDS,
+            seamWidth: config.SYMMETRY_SEAM_WIDTH
+        },
+        
+        // Pipeline stage list (order, enabled flags, params)
+        pipeline: {
+            stages: terrainData.pipeline || config.PIPELINE_STAGES || null
         },
         
         // Rendering
@@ -125,9 +257,9 @@ export function deserializeMapSpec(jsonString) {
     try {
         const spec = JSON.parse(jsonString);
         
-        // Validate version
-        if (!spec.version || spec.version !== '1.1') {
-            console.warn(`MapSpec version mismatch: expected 1.1, got ${spec.version}`);
+        // Validate version against registered generators
+        if (!spec.version || !isSupportedVersion(spec.version)) {
+            console.warn(`MapSpec version not supported by any registered generator: ${spec.version}`);
         }
         
         return spec;
@@ -148,11 +280,28 @@ export function configFromMapSpec(mapSpec) {
     config.VERSION = mapSpec.version;
     config.SEED = mapSpec.seed;
     
+    // Generation attempt (absent in older specs = one unrepaired first attempt)
+    if (mapSpec.generation) {
+        config.GENERATE_UNTIL_VALID = mapSpec.generation.untilValid;
+        config.GENERATION_MAX_ATTEMPTS = mapSpec.generation.maxAttempts;
+        config.GENERATION_REPAIRS = mapSpec.generation.repairs;
+        config.GENERATION_ATTEMPT = mapSpec.generation.attempt;
+        config.GENERATION_REPAIRED = mapSpec.generation.repaired;
+    } else {
+        config.GENERATE_UNTIL_VALID = false;
+    }
+    
     // Size
     config.MAP_WIDTH = mapSpec.size.width;
     config.MAP_HEIGHT = mapSpec.size.height;
     config.CELL_SIZE = mapSpec.size.cellSize;
     
+    // Tiling (absent in older specs = octagons)
+    if (mapSpec.tiling) {
+        config.TILING = mapSpec.tiling.type;
+        config.OCT_APOTHEM = mapSpec.tiling.apothem;
+    }
+    
     // Elevation
     config.ELEVATION_SCALE = mapSpec.elevation.scale;
     config.ELEVATION_CURVE = mapSpec.elevation.curve;
@@ -163,12 +312,18 @@ export function configFromMapSpec(mapSpec) {
     config.NOISE_MESO = { ...mapSpec.noise.meso };
     config.NOISE_MICRO = { ...mapSpec.noise.micro };
     config.NOISE_WARP_STRENGTH = mapSpec.noise.warpStrength;
+    config.NOISE_WARP_ITERATIONS = mapSpec.noise.warpIterations ?? config.NOISE_WARP_ITERATIONS;
     
     // Ridges
     config.RIDGES_ENABLED = mapSpec.ridges.enabled;
     config.RIDGES_FREQUENCY = mapSpec.ridges.frequency;
     config.RIDGES_DIRECTION = mapSpec.ridges.direction;
     config.RIDGES_STRENGTH = mapSpec.ridges.strength;
+    config.RIDGES_SHARPNESS = mapSpec.ridges.sharpness ?? config.RIDGES_SHARPNESS;
+    config.RIDGES_OCTAVES = mapSpec.ridges.octaves ?? config.RIDGES_OCTAVES;
+    config.RIDGES_ELONGATION = mapSpec.ridges.elongation ?? config.RIDGES_ELONGATION;
+    config.RIDGES_MASK_TO_MACRO = mapSpec.ridges.maskToMacro ?? config.RIDGES_MASK_TO_MACRO;
+    config.RIDGES_MASK_THRESHOLD = mapSpec.ridges.maskThreshold ?? config.RIDGES_MASK_THRESHOLD;
     
     // Water
     config.WATER_PERCENTAGE = mapSpec.water.percentage;
@@ -182,18 +337,64 @@ export function configFromMapSpec(mapSpec) {
     config.LAKE_SHAPE_SQUARENESS = mapSpec.lakes.shapeSquareness;
     config.LAKE_EDGE_NOISE_FREQ = mapSpec.lakes.edgeNoiseFreq;
     config.LAKE_EDGE_NOISE_AMP = mapSpec.lakes.edgeNoiseAmp;
+    config.LAKE_MIN_AREA = mapSpec.lakes.minArea ?? config.LAKE_MIN_AREA;
+    config.LAKE_MIN_DEPTH = mapSpec.lakes.minDepth ?? config.LAKE_MIN_DEPTH;
     
     // Erosion
     config.EROSION_ITERATIONS = mapSpec.erosion.iterations;
     config.EROSION_STRENGTH = mapSpec.erosion.strength;
     config.EROSION_DROPLET_COUNT = mapSpec.erosion.dropletCount;
     config.EROSION_STRATIFIED = mapSpec.erosion.stratified;
+    config.EROSION_INERTIA = mapSpec.erosion.inertia ?? config.EROSION_INERTIA;
+    config.EROSION_CAPACITY = mapSpec.erosion.capacity ?? config.EROSION_CAPACITY;
+    config.EROSION_MIN_SLOPE = mapSpec.erosion.minSlope ?? config.EROSION_MIN_SLOPE;
+    config.EROSION_DEPOSITION = mapSpec.erosion.deposition ?? config.EROSION_DEPOSITION;
+    config.EROSION_EVAPORATION = mapSpec.erosion.evaporation ?? config.EROSION_EVAPORATION;
+    config.EROSION_GRAVITY = mapSpec.erosion.gravity ?? config.EROSION_GRAVITY;
+    config.EROSION_RADIUS = mapSpec.erosion.radius ?? config.EROSION_RADIUS;
+    config.THERMAL_ITERATIONS = mapSpec.erosion.thermalIterations ?? 0;  // absent in older specs = no thermal erosion
+    config.THERMAL_TALUS_ANGLE = mapSpec.erosion.talusAngle ?? config.THERMAL_TALUS_ANGLE;
+    config.THERMAL_RATE = mapSpec.erosion.thermalRate ?? config.THERMAL_RATE;
+    
+    // Rivers (absent in older specs = no rivers)
+    if (mapSpec.rivers) {
+        config.RIVERS_ENABLED = mapSpec.rivers.enabled;
+        config.RIVER_FLOW_THRESHOLD = mapSpec.rivers.flowThreshold;
+        config.RIVER_WIDTH_MIN = mapSpec.rivers.widthMin;
+        config.RIVER_WIDTH_SCALE = mapSpec.rivers.widthScale;
+        config.RIVER_BED_DEPTH = mapSpec.rivers.bedDepth;
+    } else {
+        config.RIVERS_ENABLED = false;
+    }
     
     // Biomes
     config.NOISE_MOIST = { ...mapSpec.biomes.moistureNoise };
     config.NOISE_TEMP = { ...mapSpec.biomes.temperatureNoise };
     config.TEMP_LAPSE_RATE = mapSpec.biomes.tempLapseRate;
     config.TEMP_LATITUDE_EFFECT = mapSpec.biomes.tempLatitudeEffect;
+    if (mapSpec.biomes.table) config.BIOME_TABLE = mapSpec.biomes.table;  // absent in older specs = default table
+    
+    // Rain shadow (absent in older specs = noise-only moisture)
+    if (mapSpec.biomes.rainShadow) {
+        config.MOISTURE_RAIN_SHADOW_WEIGHT = mapSpec.biomes.rainShadow.weight;
+        config.MOISTURE_WIND_DIRECTION = mapSpec.biomes.rainShadow.windDirection;
+        config.MOISTURE_INFLOW = mapSpec.biomes.rainShadow.inflow;
+        config.MOISTURE_EVAPORATION = mapSpec.biomes.rainShadow.evaporation;
+        config.MOISTURE_RAIN_RATE = mapSpec.biomes.rainShadow.rainRate;
+        config.MOISTURE_OROGRAPHIC = mapSpec.biomes.rainShadow.orographic;
+    } else {
+        config.MOISTURE_RAIN_SHADOW_WEIGHT = 0;
+    }
+    
+    // Coastal climate (absent in older specs = no coastal effects)
+    if (mapSpec.biomes.coast) {
+        config.CLIMATE_COAST_RANGE = mapSpec.biomes.coast.range;
+        config.TEMP_COASTAL_MODERATION = mapSpec.biomes.coast.temperatureModeration;
+        config.MOISTURE_COASTAL_BOOST = mapSpec.biomes.coast.moistureBoost;
+    } else {
+        config.TEMP_COASTAL_MODERATION = 0;
+        config.MOISTURE_COASTAL_BOOST = 0;
+    }
     
     // Forest
     config.FOREST_PERCENTAGE = mapSpec.forest.percentage;
@@ -202,6 +403,75 @@ export function configFromMapSpec(mapSpec) {
     config.TREE_MAX_HEIGHT = mapSpec.forest.maxHeight;
     config.TREE_MAX_SLOPE = mapSpec.forest.maxSlope;
     config.TREE_BEACH_BUFFER = mapSpec.forest.beachBuffer;
+    config.TREE_MIN_MOISTURE = mapSpec.forest.minMoisture ?? 0;  // absent in older specs = no moisture limit
+    config.TREE_MIN_WATER_DISTANCE = mapSpec.forest.minWaterDistance ?? 0;
+    
+    // Player starts (absent in older specs = no starts)
+    if (mapSpec.starts) {
+        config.START_PLAYERS = mapSpec.starts.players;
+        config.START_MAX_SLOPE = mapSpec.starts.maxSlope;
+        config.START_MIN_AREA = mapSpec.starts.minArea;
+        config.START_RADIUS = mapSpec.starts.radius;
+    } else {
+        config.START_PLAYERS = 0;
+    }
+    
+    // Resources (absent in older specs = no resources)
+    if (mapSpec.resources) {
+        config.RESOURCES_ENABLED = mapSpec.resources.enabled;
+        config.RESOURCE_PER_PLAYER = { ...mapSpec.resources.perPlayer };
+        config.RESOURCE_CONTESTED = { ...mapSpec.resources.contested };
+        config.RESOURCE_MIN_SPACING = mapSpec.resources.minSpacing;
+        config.RESOURCE_NEAR_MIN = mapSpec.resources.nearMin;
+        config.RESOURCE_NEAR_MAX = mapSpec.resources.nearMax;
+    } else {
+        config.RESOURCES_ENABLED = false;
+    }
+    
+    // Connectivity (absent in older specs = defaults)
+    if (mapSpec.connectivity) {
+        config.PASSABLE_MAX_SLOPE = mapSpec.connectivity.passableMaxSlope;
+        config.MIN_LANDMASS_FRACTION = mapSpec.connectivity.minLandmassFraction;
+        config.LAND_MIN_POCKET_SIZE = mapSpec.connectivity.minPocketSize;
+    }
+    
+    // Terrace mode (absent in older specs = off)
+    if (mapSpec.terrace) {
+        config.TERRACE_ENABLED = mapSpec.terrace.enabled;
+        config.TERRACE_LEVELS = mapSpec.terrace.levels;
+        config.TERRACE_LEVEL_HEIGHT = mapSpec.terrace.levelHeight;
+        config.TERRACE_MIN_PLATEAU = mapSpec.terrace.minPlateau;
+        config.TERRACE_RAMPS = mapSpec.terrace.ramps;
+        config.TERRACE_RAMP_SPACING = mapSpec.terrace.rampSpacing;
+        config.TERRACE_RAMP_WIDTH = mapSpec.terrace.rampWidth;
+        config.TERRACE_RAMP_SLOPE = mapSpec.terrace.rampSlope;
+    }
+    
+    // Navigation (absent in older specs = defaults)
+    if (mapSpec.navigation) {
+        config.NAV_SLOPE_COST = mapSpec.navigation.slopeCost;
+        config.NAV_RIVER_COST = mapSpec.navigation.riverCost;
+        if (mapSpec.navigation.unitClasses) config.NAV_UNIT_CLASSES = mapSpec.navigation.unitClasses;
+    }
+    
+    // Strategic analysis (absent in older specs = defaults)
+    if (mapSpec.strategic) {
+        config.STRATEGIC_CHOKE_MAX_WIDTH = mapSpec.strategic.chokeMaxWidth;
+        config.STRATEGIC_OPEN_RADIUS = mapSpec.strategic.openRadius;
+        config.STRATEGIC_HIGH_GROUND_HEIGHT = mapSpec.strategic.highGroundHeight;
+        config.STRATEGIC_HIGH_GROUND_RADIUS = mapSpec.strategic.highGroundRadius;
+        config.STRATEGIC_RAMP_MIN_SLOPE = mapSpec.strategic.rampMinSlope;
+    }
+    
+    // Symmetry (absent in older specs = asymmetric)
+    if (mapSpec.symmetry) {
+        config.SYMMETRY_MODE = mapSpec.symmetry.mode;
+        config.SYMMETRY_FOLDS = mapSpec.symmetry.folds;
+        config.SYMMETRY_SEAM_WIDTH = mapSpec.symmetry.seamWidth;
+    }
+    
+    // Pipeline (absent in older specs = built-in stages)
+    config.PIPELINE_STAGES = mapSpec.pipeline?.stages || null;
     
     // Rendering
     config.TRIANGLE_BUDGET = mapSpec.render.triangleBudget;
@@ -340,6 +610,20 @@ export function validateMapSpec(mapSpec) {
         errors.push('Forest percentage out of range (0-100)');
     }
     
+    if (mapSpec.biomes?.table) {
+        errors.push(...validateBiomeTable(mapSpec.biomes.table));
+    }
+    
+    if (mapSpec.symmetry && mapSpec.size) {
+        errors.push(...validateSymmetry(mapSpec.symmetry.mode, mapSpec.size.width, mapSpec.size.height, {
+            folds: mapSpec.symmetry.folds
+        }));
+    }
+    
+    if (mapSpec.tiling && !TILING_TYPES.includes(mapSpec.tiling.type)) {
+        errors.push(`Unknown tiling "${mapSpec.tiling.type}" (expected one of ${TILING_TYPES.join(', ')})`);
+    }
+    
     return {
         valid: errors.length === 0,
         errors
@@ -207,17 +207,17 @@ export function createHeightTexture(elevationData, width, height) {
     return texture;
 }
 
-// Create splat texture from weights
+// Create splat texture from per-channel weights ({ grass, rock, sand, snow } arrays)
 export function createSplatTexture(splatWeights, width, height) {
     const size = width * height;
     const data = new Uint8Array(size * 4);
+    const { grass, rock, sand, snow } = splatWeights;
     
     for (let i = 0; i < size; i++) {
-        const weights = splatWeights[i];
-        data[i * 4 + 0] = Math.floor(weights.grass * 255); // R = grass
-        data[i * 4 + 1] = Math.floor(weights.rock * 255);  // G = rock
-        data[i * 4 + 2] = Math.floor(weights.sand * 255);  // B = sand
-        data[i * 4 + 3] = Math.floor(weights.snow * 255);  // A = snow
+        data[i * 4 + 0] = Math.floor(grass[i] * 255); // R = grass
+        data[i * 4 + 1] = Math.floor(rock[i] * 255);  // G = rock
+        data[i * 4 + 2] = Math.floor(sand[i] * 255);  // B = sand
+        data[i * 4 + 3] = Math.floor(snow[i] * 255);  // A = snow
     }
     
     const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
@@ -0,0 +1,100 @@
+/**
+ * Rain-Shadow Moisture
+ *
+ * Moist air enters the map on the upwind edge and is carried along a
+ * prevailing wind. Over the sea and lakes it picks humidity back up; over
+ * land it rains out a little every cell, and much more where the ground
+ * rises into the wind (orographic lift). Air that has crossed a range
+ * arrives on the leeward side dry, so the lee stays dry even at the foot
+ * of the slope.
+ *
+ * The march is semi-Lagrangian and runs line by line along the wind's
+ * dominant axis: each cell pulls air from the point one line upwind,
+ * interpolated between the two cells there, so every cell is visited once
+ * and the result depends only on the terrain (no random draws).
+ *
+ * Ground moisture is the rain a cell received relative to what saturated
+ * air drops on flat land (1 = as wet as the coast), clamped to 0..1.
+ */
+
+/**
+ * Simulate moisture carried by a prevailing wind
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap }
+ * @param {Object} options - { windDirection (degrees the wind blows from: 0=N, 90=E, 180=S, 270=W),
+ *     inflow (humidity entering the map, 0..1), evaporation (fraction of missing humidity regained
+ *     per water cell), rainRate (fraction of humidity rained out per land cell), orographic
+ *     (extra fraction per unit of upwind rise, m/m) }
+ * @returns {Float32Array} Moisture 0..1 (water cells 1)
+ */
+export function simulateRainShadow(terrain, {
+    windDirection = 270,
+    inflow = 0.5,
+    evaporation = 0.2,
+    rainRate = 0.02,
+    orographic = 0.05
+} = {}) {
+    const { elevation, width, height, cellSize = 1, seaLevel, lakeMap = null } = terrain;
+    if (!(rainRate > 0)) {
+        throw new Error(`Rain-shadow rain rate must be above 0 (got ${rainRate})`);
+    }
+
+    const size = width * height;
+    const water = new Uint8Array(size);
+    const surface = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        water[i] = elevation[i] <= seaLevel || (lakeMap && lakeMap[i] >= 0) ? 1 : 0;
+        surface[i] = Math.max(elevation[i], seaLevel);
+    }
+
+    // Direction the air moves (z grows south, so a north wind moves toward +z)
+    const radians = windDirection * Math.PI / 180;
+    const windX = -Math.sin(radians);
+    const windZ = Math.cos(radians);
+
+    // Lines are columns when the wind is mostly east-west, rows otherwise
+    const alongX = Math.abs(windX) >= Math.abs(windZ);
+    const lines = alongX ? width : height;
+    const span = alongX ? height : width;
+    const main = alongX ? windX : windZ;
+    const step = main < 0 ? -1 : 1;
+    const shift = (alongX ? windZ : windX) / Math.abs(main);  // cross-axis drift per line, cells
+    const stepLength = Math.hypot(1, shift) * cellSize;
+    const index = alongX ? (u, v) => v * width + u : (u, v) => u * width + v;
+
+    const humidity = new Float32Array(size);
+    const moisture = new Float32Array(size);
+    const first = step > 0 ? 0 : lines - 1;
+    for (let n = 0; n < lines; n++) {
+        const u = first + n * step;
+        for (let v = 0; v < span; v++) {
+            const i = index(u, v);
+
+            // Air arriving from one line upwind
+            let air = inflow;
+            let upwindSurface = surface[i];
+            if (n > 0) {
+                const from = Math.min(span - 1, Math.max(0, v - shift));
+                const v0 = Math.floor(from);
+                const t = from - v0;
+                const a = index(u - step, v0);
+                const b = index(u - step, Math.min(span - 1, v0 + 1));
+                air = humidity[a] * (1 - t) + humidity[b] * t;
+                upwindSurface = surface[a] * (1 - t) + surface[b] * t;
+            }
+
+            if (water[i]) {
+                air += (1 - air) * evaporation;
+                moisture[i] = 1;
+            } else {
+                const lift = Math.max(0, surface[i] - upwindSurface) / stepLength;
+                const rain = air * Math.min(1, rainRate + orographic * lift);
+                air -= rain;
+                moisture[i] = Math.min(1, rain / rainRate);
+            }
+            humidity[i] = air;
+        }
+    }
+
+    return moisture;
+}
@@ -0,0 +1,206 @@
+/**
+ * Navigation Cost Grid
+ *
+ * Walkability and movement cost for game AI, derived from the same
+ * elevation, water, slope and tree data the renderer shows:
+ *
+ * - 0 (NAV_BLOCKED)   sea, lakes, land steeper than the passability limit,
+ *                     cells holding a tree trunk
+ * - 1..255            cost of entering the cell; NAV_BASE_COST is flat land,
+ *                     slopes add up to `slopeCost` × base at the limit and
+ *                     rivers (fordable) multiply by `riverCost`
+ *
+ * The grid is one byte per cell so it exports as a compact binary layer;
+ * toOctagonTiles() resamples it onto the OctagonGrid 4.8.8 tiles.
+ * findPath() is a deterministic A* over the cell grid; tilePathfinding.js
+ * searches the tiles themselves.
+ */
+
+import { CellQueue } from './depressions.js';
+import { calculateSlopes } from './slope.js';
+
+export const NAV_BLOCKED = 0;
+export const NAV_BASE_COST = 10;
+const NAV_MAX_COST = 255;
+
+// 8-connected moves (E, SE, S, SW, W, NW, N, NE)
+const MOVES = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+/**
+ * Build the cell-space navigation grid
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap, rivers, trees }
+ * @param {Object} options - { maxSlope (degrees), slopeCost, riverCost }
+ * @returns {Object} { width, height, cellSize, cost: Uint8Array }
+ */
+export function createNavigationGrid(terrain, { maxSlope = 50, slopeCost = 4, riverCost = 2 } = {}) {
+    const { elevation, width, height, cellSize = 1, seaLevel, lakeMap = null, rivers = [], trees = [] } = terrain;
+    const size = width * height;
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const toCell = (x, z) => {
+        const cx = Math.min(width - 1, Math.max(0, Math.round(x / cellSize)));
+        const cy = Math.min(height - 1, Math.max(0, Math.round(z / cellSize)));
+        return cy * width + cx;
+    };
+
+    const river = new Uint8Array(size);
+    for (const { points } of rivers || []) {
+        for (const point of points) river[toCell(point.x, point.z)] = 1;
+    }
+
+    const cost = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        const water = elevation[i] <= seaLevel || (lakeMap && lakeMap[i] >= 0);
+        if (water || slopes[i] > maxSlope) continue;
+
+        let value = NAV_BASE_COST * (1 + slopeCost * slopes[i] / maxSlope);
+        if (river[i]) value *= riverCost;
+        cost[i] = Math.min(NAV_MAX_COST, Math.max(1, Math.round(value)));
+    }
+
+    for (const tree of trees || []) {
+        cost[toCell(tree.x, tree.z)] = NAV_BLOCKED;
+    }
+
+    return { width, height, cellSize, cost };
+}
+
+/**
+ * Resample a navigation grid onto the OctagonGrid tiles. A tile takes the
+ * worst cell under its center (blocked if any is), so tile paths never
+ * cross terrain the cell grid blocks.
+ *
+ * @param {Object} navigation - Output of createNavigationGrid
+ * @param {OctagonGrid} grid - Tile layout (positions are scaled to cells by grid.spacing)
+ * @returns {Object} { octagons: Uint8Array (gridY * width + gridX), squares: Uint8Array in generateTiles() order }
+ */
+export function toOctagonTiles(navigation, grid) {
+    const { octagons, squares } = grid.generateTiles();
+    const sample = (tile) => sampleTileCost(navigation, tile.x / grid.spacing, tile.z / grid.spacing);
+
+    const octagonCosts = new Uint8Array(octagons.length);
+    for (const tile of octagons) {
+        octagonCosts[tile.gridY * navigation.width + tile.gridX] = sample(tile);
+    }
+
+    return {
+        octagons: octagonCosts,
+        squares: Uint8Array.from(squares, sample)
+    };
+}
+
+/**
+ * Deterministic A* between two cells (8-connected, no corner cutting past
+ * blocked cells). Ties are broken by cell index, so equal-cost paths always
+ * resolve the same way.
+ *
+ * @param {Object} navigation - Output of createNavigationGrid
+ * @param {Object} start - { x, y } cell
+ * @param {Object} goal - { x, y } cell
+ * @returns {Object|null} { cells: [{ x, y }], cost, length (meters) }, or null when unreachable
+ */
+export function findPath(navigation, start, goal) {
+    const { width, height, cellSize = 1, cost } = navigation;
+    const startIdx = start.y * width + start.x;
+    const goalIdx = goal.y * width + goal.x;
+    if (cost[startIdx] === NAV_BLOCKED || cost[goalIdx] === NAV_BLOCKED) return null;
+
+    // Octile distance at the cheapest cost on the grid keeps the heuristic admissible
+    let minCost = NAV_MAX_COST;
+    for (let i = 0; i < cost.length; i++) {
+        if (cost[i] !== NAV_BLOCKED && cost[i] < minCost) minCost = cost[i];
+    }
+    const heuristic = (idx) => {
+        const dx = Math.abs(idx % width - goal.x);
+        const dy = Math.abs(Math.floor(idx / width) - goal.y);
+        return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * minCost;
+    };
+
+    const g = new Float64Array(width * height).fill(Infinity);
+    const parent = new Int32Array(width * height).fill(-1);
+    const closed = new Uint8Array(width * height);
+    const open = new CellQueue();
+    g[startIdx] = 0;
+    open.push(heuristic(startIdx), startIdx);
+
+    while (open.size > 0) {
+        const idx = open.pop();
+        if (closed[idx]) continue;
+        if (idx === goalIdx) break;
+        closed[idx] = 1;
+
+        const x = idx % width;
+        const y = (idx - x) / width;
+        for (const [dx, dy] of MOVES) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const n = ny * width + nx;
+            if (closed[n] || cost[n] === NAV_BLOCKED) continue;
+
+            const diagonal = dx !== 0 && dy !== 0;
+            if (diagonal && (cost[y * width + nx] === NAV_BLOCKED || cost[ny * width + x] === NAV_BLOCKED)) continue;
+
+            const step = (diagonal ? Math.SQRT2 : 1) * (cost[idx] + cost[n]) / 2;
+            if (g[idx] + step < g[n]) {
+                g[n] = g[idx] + step;
+                parent[n] = idx;
+                open.push(g[n] + heuristic(n), n);
+            }
+        }
+    }
+
+    if (!Number.isFinite(g[goalIdx])) return null;
+
+    const cells = [];
+    let length = 0;
+    for (let idx = goalIdx; idx >= 0; idx = parent[idx]) {
+        const x = idx % width;
+        const y = (idx - x) / width;
+        if (cells.length > 0) {
+            const prev = cells[cells.length - 1];
+            length += Math.hypot(prev.x - x, prev.y - y);
+        }
+        cells.push({ x, y });
+    }
+    cells.reverse();
+
+    return { cells, cost: g[goalIdx], length: length * cellSize };
+}
+
+/**
+ * Path lengths between every pair of starts (null when unreachable)
+ */
+export function measureStartPaths(navigation, starts) {
+    const paths = [];
+    for (let a = 0; a < starts.length; a++) {
+        for (let b = a + 1; b < starts.length; b++) {
+            const path = findPath(navigation, starts[a].cell, starts[b].cell);
+            paths.push({
+                from: starts[a].player,
+                to: starts[b].player,
+                length: path ? path.length : null,
+                cost: path ? path.cost : null
+            });
+        }
+    }
+    return paths;
+}
+
+/**
+ * Worst cost among the cells around a point in cell coordinates (the cost
+ * of a tile centered there)
+ */
+export function sampleTileCost({ width, height, cost }, cx, cy) {
+    const x0 = Math.max(0, Math.min(width - 1, Math.floor(cx)));
+    const y0 = Math.max(0, Math.min(height - 1, Math.floor(cy)));
+    const x1 = Math.min(width - 1, Math.ceil(cx));
+    const y1 = Math.min(height - 1, Math.ceil(cy));
+
+    let worst = 0;
+    for (const idx of [y0 * width + x0, y0 * width + x1, y1 * width + x0, y1 * width + x1]) {
+        if (cost[idx] === NAV_BLOCKED) return NAV_BLOCKED;
+        worst = Math.max(worst, cost[idx]);
+    }
+    return worst;
+}
@@ -132,15 +132,51 @@ export function fbm(noise, x, y, params) {
     return value / maxValue;
 }
 
+// Domain warp: displace (x, y) by a noise vector field.
+// Each iteration samples the warp field at the previously warped point
+// (q -> r -> ... as in iterated fBm warping), always displacing from the
+// original point. warp = { noiseX, noiseY, amount, iterations, params }
+export function warpDomain(x, y, warp) {
+    let wx = x;
+    let wy = y;
+    
+    for (let i = 0; i < warp.iterations; i++) {
+        const dx = fbm(warp.noiseX, wx, wy, warp.params);
+        const dy = fbm(warp.noiseY, wx, wy, warp.params);
+        wx = x + dx * warp.amount;
+        wy = y + dy * warp.amount;
+    }
+    
+    return { x: wx, y: wy };
+}
+
 // Generate a 2D noise field
-export function generateNoiseField(width, height, seed, params) {
+// Optional warp = { seed, strength, iterations }: strength 1.0 displaces by
+// half a wavelength of the band, so each band warps at its own scale
+export function generateNoiseField(width, height, seed, params, warp = null) {
     const noise = new SimplexNoise(seed);
     const field = new Float32Array(width * height);
     
+    const domainWarp = warp && warp.strength > 0 && warp.iterations > 0
+        ? {
+            noiseX: new SimplexNoise(warp.seed),
+            noiseY: new SimplexNoise(warp.seed + 1),
+            amount: warp.strength * 0.5 / params.frequency,
+            iterations: warp.iterations,
+            params: { octaves: 2, frequency: params.frequency, gain: 0.5, lacunarity: 2.0 }
+        }
+        : null;
+    
     for (let y = 0; y < height; y++) {
         for (let x = 0; x < width; x++) {
             const idx = y * width + x;
-            const value = fbm(noise, x, y, params);
+            let value;
+            if (domainWarp) {
+                const p = warpDomain(x, y, domainWarp);
+                value = fbm(noise, p.x, p.y, params);
+            } else {
+                value = fbm(noise, x, y, params);
+            }
             // Normalize to [0, 1]
             field[idx] = (value + 1) * 0.5;
         }
@@ -149,5 +185,54 @@ export function generateNoiseField(width, height, seed, params) {
     return field;
 }
 
+// Ridged multifractal noise (Musgrave): sharp crests where |noise| is 0.
+// Each octave is weighted by the previous one so detail gathers on the
+// ridges and valleys between them stay smooth. Returns [0, 1].
+export function ridgedNoise(noise, x, y, params) {
+    const { octaves, frequency, gain, lacunarity, sharpness = 2.0 } = params;
+    let value = 0;
+    let amplitude = 1.0;
+    let freq = frequency;
+    let maxValue = 0;
+    let weight = 1.0;
+    
+    for (let i = 0; i < octaves; i++) {
+        let signal = 1 - Math.abs(noise.noise2D(x * freq, y * freq));
+        signal = Math.pow(signal, sharpness) * weight;
+        weight = Math.min(1, signal * 2);
+        
+        value += signal * amplitude;
+        maxValue += amplitude;
+        amplitude *= gain;
+        freq *= lacunarity;
+    }
+    
+    return value / maxValue;
+}
+
+// Generate a ridged noise field with crests running along a compass direction
+// params.direction: degrees (0 = N, 90 = E); params.elongation: crest length/width ratio
+export function generateRidgeField(width, height, seed, params) {
+    const noise = new SimplexNoise(seed);
+    const field = new Float32Array(width * height);
+    
+    // Rows increase southward, so north is -y
+    const angle = (params.direction || 0) * Math.PI / 180;
+    const dirX = Math.sin(angle);
+    const dirY = -Math.cos(angle);
+    const stretch = 1 / Math.max(1, params.elongation || 1);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Compress the along-crest axis so features elongate in that direction
+            const along = (x * dirX + y * dirY) * stretch;
+            const across = -x * dirY + y * dirX;
+            field[y * width + x] = ridgedNoise(noise, along, across, params);
+        }
+    }
+    
+    return field;
+}
+
 export { SimplexNoise };
 
@@ -6,11 +6,40 @@
  * - Regular octagons as primary tiles
  * - Small squares fill gaps between octagons
  * - Each octagon touches 8 other octagons and 4 squares
+ *
+ * Odd rows are shifted east by half a spacing (brick pattern), so the
+ * topology helpers work in "doubled" columns: col = 2 * gridX + (gridY & 1).
+ * An octagon's 8 neighbors are E/W in its own row, the two half-offset
+ * tiles in each adjacent row (NE, NW, SE, SW) and the tiles straight above
+ * and below, two rows away (N, S). Squares are addressed on the half-spacing
+ * lattice: an octagon sits at (col, 2 * gridY), its E/W squares at
+ * (col ± 1, 2 * gridY) and its N/S squares at (col, 2 * gridY ± 1).
  */
 
+// Neighbor steps in (doubled column, row), clockwise from east (z grows south)
+const NEIGHBOR_STEPS = [
+    { dCol: 2, dRow: 0, dir: 'E' },
+    { dCol: 1, dRow: 1, dir: 'SE' },
+    { dCol: 0, dRow: 2, dir: 'S' },
+    { dCol: -1, dRow: 1, dir: 'SW' },
+    { dCol: -2, dRow: 0, dir: 'W' },
+    { dCol: -1, dRow: -1, dir: 'NW' },
+    { dCol: 0, dRow: -2, dir: 'N' },
+    { dCol: 1, dRow: -1, dir: 'NE' }
+];
+
+// Square offsets on the half-spacing lattice, in getSquarePositions() order
+const SQUARE_STEPS = [
+    { dx: 1, dz: 0, dir: 'E' },
+    { dx: -1, dz: 0, dir: 'W' },
+    { dx: 0, dz: 1, dir: 'S' },
+    { dx: 0, dz: -1, dir: 'N' }
+];
+
 export class OctagonGrid {
     constructor(config) {
         this.config = config;
+        this.type = 'octagon';  // Tiling interface (see tiling.js)
         this.apothem = config.OCT_APOTHEM;
         
         // Octagon metrics
@@ -29,11 +58,26 @@ export class OctagonGrid {
     
     // Get world position for octagon at grid coordinates
     getOctagonPosition(gridX, gridY) {
-        const x = gridX * this.spacing + (gridY % 2) * this.rowOffset;
+        const x = gridX * this.spacing + (gridY & 1) * this.rowOffset;
         const z = gridY * this.spacing;
         return { x, z };
     }
     
+    // Tiling interface: octagons are the tiles
+    getTilePosition(gridX, gridY) {
+        return this.getOctagonPosition(gridX, gridY);
+    }
+    
+    // Tiling interface: octagon corners relative to its center
+    getTilePolygon() {
+        const vertices = this.createOctagonVertices();
+        const polygon = [];
+        for (let i = 0; i < vertices.length; i += 3) {
+            polygon.push({ x: vertices[i], z: vertices[i + 2] });
+        }
+        return polygon;
+    }
+    
     // Get positions of 4 connector squares around an octagon
     getSquarePositions(gridX, gridY) {
         const octPos = this.getOctagonPosition(gridX, gridY);
@@ -77,7 +121,8 @@ export class OctagonGrid {
             }
         }
         
-        return { octagons, squares };
+        // tiles/connectors are the names every tiling shares
+        return { octagons, squares, tiles: octagons, connectors: squares };
     }
     
     // Create octagon geometry vertices (flat shape, Y=0)
@@ -122,11 +167,169 @@ export class OctagonGrid {
     }
     
     // Grid to world coordinate conversion helpers
+    // Nearest octagon center to a world point (not clamped to the map)
     worldToGrid(worldX, worldZ) {
-        const gridY = Math.floor(worldZ / this.spacing);
-        const offset = (gridY % 2) * this.rowOffset;
-        const gridX = Math.floor((worldX - offset) / this.spacing);
-        return { gridX, gridY };
+        const row = Math.round(worldZ / this.spacing);
+        let best = null;
+        let bestDistance = Infinity;
+        
+        // The nearest center can sit in an adjacent, half-offset row
+        for (let gridY = row - 1; gridY <= row + 1; gridY++) {
+            const gridX = Math.round((worldX - (gridY & 1) * this.rowOffset) / this.spacing);
+            const pos = this.getOctagonPosition(gridX, gridY);
+            const distance = Math.hypot(worldX - pos.x, worldZ - pos.z);
+            if (distance < bestDistance) {
+                best = { gridX, gridY };
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+    
+    // Whether an octagon lies on the map
+    isInBounds(gridX, gridY) {
+        return gridX >= 0 && gridY >= 0 && gridX < this.config.MAP_WIDTH && gridY < this.config.MAP_HEIGHT;
+    }
+    
+    // The 8 neighboring octagons on the map, clockwise from east: [{ gridX, gridY, dir }]
+    getNeighbors(gridX, gridY) {
+        const col = 2 * gridX + (gridY & 1);
+        const neighbors = [];
+        for (const { dCol, dRow, dir } of NEIGHBOR_STEPS) {
+            const tile = this._fromDoubled(col + dCol, gridY + dRow);
+            if (this.isInBounds(tile.gridX, tile.gridY)) neighbors.push({ ...tile, dir });
+        }
+        return neighbors;
+    }
+    
+    // The 4 connector squares of an octagon, in getSquarePositions() order:
+    // [{ squareX, squareZ, x, z, dir }]
+    getSquares(gridX, gridY) {
+        const col = 2 * gridX + (gridY & 1);
+        return SQUARE_STEPS.map(({ dx, dz, dir }) => ({
+            x: (col + dx) * this.rowOffset,
+            z: (2 * gridY + dz) * this.rowOffset,
+            squareX: col + dx,
+            squareZ: 2 * gridY + dz,
+            dir
+        }));
+    }
+    
+    // World position of a square on the half-spacing lattice
+    getSquarePosition(squareX, squareZ) {
+        return { x: squareX * this.rowOffset, z: squareZ * this.rowOffset };
+    }
+    
+    // Octagons on the map touching a square: two for E/W squares, one for N/S squares
+    // (the brick offset leaves no octagon directly across them)
+    getSquareOctagons(squareX, squareZ) {
+        const octagons = [];
+        for (const { dx, dz } of SQUARE_STEPS) {
+            const x = squareX - dx;
+            const z = squareZ - dz;
+            if ((z & 1) || ((x - z / 2) & 1)) continue;
+            const tile = this._fromDoubled(x, z / 2);
+            if (this.isInBounds(tile.gridX, tile.gridY)) octagons.push(tile);
+        }
+        return octagons;
+    }
+    
+    // Tile under a world point: { type: 'octagon', gridX, gridY } or
+    // { type: 'square', squareX, squareZ }, null in the gaps and off the map
+    pickTile(worldX, worldZ) {
+        const { gridX, gridY } = this.worldToGrid(worldX, worldZ);
+        const center = this.getOctagonPosition(gridX, gridY);
+        if (this.isInBounds(gridX, gridY) && this._insideOctagon(worldX - center.x, worldZ - center.z)) {
+            return { type: 'octagon', gridX, gridY };
+        }
+        
+        const squareX = Math.round(worldX / this.rowOffset);
+        const squareZ = Math.round(worldZ / this.rowOffset);
+        const isOctagon = (squareZ & 1) === 0 && ((squareX - squareZ / 2) & 1) === 0;
+        const pos = this.getSquarePosition(squareX, squareZ);
+        const half = this.squareSide * 0.5;
+        if (!isOctagon && Math.abs(worldX - pos.x) <= half && Math.abs(worldZ - pos.z) <= half &&
+            this.getSquareOctagons(squareX, squareZ).length > 0) {
+            return { type: 'square', squareX, squareZ };
+        }
+        return null;
+    }
+    
+    // Number of neighbor steps between two octagons
+    getDistance(a, b) {
+        const dCol = Math.abs((2 * a.gridX + (a.gridY & 1)) - (2 * b.gridX + (b.gridY & 1)));
+        const dRow = Math.abs(a.gridY - b.gridY);
+        // Diagonal steps cover one column and one row, straight steps two of either
+        return (dCol + dRow) / 2;
+    }
+    
+    // Octagons on the map exactly `radius` steps away, clockwise from east
+    getRing(gridX, gridY, radius) {
+        if (radius === 0) return this.isInBounds(gridX, gridY) ? [{ gridX, gridY }] : [];
+        
+        const col = 2 * gridX + (gridY & 1);
+        const ring = [];
+        // Walk the diamond |dCol| + |dRow| = 2 * radius from its east corner
+        const corners = [[2 * radius, 0], [0, 2 * radius], [-2 * radius, 0], [0, -2 * radius]];
+        for (let side = 0; side < 4; side++) {
+            const [fromCol, fromRow] = corners[side];
+            const [toCol, toRow] = corners[(side + 1) % 4];
+            const stepCol = Math.sign(toCol - fromCol);
+            const stepRow = Math.sign(toRow - fromRow);
+            for (let k = 0; k < 2 * radius; k++) {
+                const tile = this._fromDoubled(col + fromCol + k * stepCol, gridY + fromRow + k * stepRow);
+                if (this.isInBounds(tile.gridX, tile.gridY)) ring.push(tile);
+            }
+        }
+        return ring;
+    }
+    
+    // Contiguous octagons from a to b (both included): every step is a neighbor
+    // that gets one step closer to b, picking the one nearest the straight line
+    getLine(a, b) {
+        const start = this.getOctagonPosition(a.gridX, a.gridY);
+        const end = this.getOctagonPosition(b.gridX, b.gridY);
+        const length = Math.hypot(end.x - start.x, end.z - start.z);
+        const offLine = (tile) => {
+            if (length === 0) return 0;
+            const pos = this.getOctagonPosition(tile.gridX, tile.gridY);
+            return Math.abs((end.x - start.x) * (pos.z - start.z) - (end.z - start.z) * (pos.x - start.x)) / length;
+        };
+        
+        const line = [{ gridX: a.gridX, gridY: a.gridY }];
+        let current = line[0];
+        for (let remaining = this.getDistance(a, b); remaining > 0; remaining--) {
+            const col = 2 * current.gridX + (current.gridY & 1);
+            let best = null;
+            let bestOffset = Infinity;
+            for (const { dCol, dRow } of NEIGHBOR_STEPS) {
+                const tile = this._fromDoubled(col + dCol, current.gridY + dRow);
+                if (this.getDistance(tile, b) !== remaining - 1) continue;
+                const offset = offLine(tile);
+                if (offset < bestOffset - 1e-9) {
+                    best = tile;
+                    bestOffset = offset;
+                }
+            }
+            line.push(best);
+            current = best;
+        }
+        return line;
+    }
+    
+    // Octagon at a doubled column and row
+    _fromDoubled(col, gridY) {
+        return { gridX: (col - (gridY & 1)) / 2, gridY };
+    }
+    
+    // Point (relative to the center) inside the octagon drawn by createOctagonVertices()
+    _insideOctagon(dx, dz) {
+        // Vertices sit at multiples of 45°, so edge normals are at 22.5° + k·45°
+        for (let i = 0; i < 8; i++) {
+            const angle = Math.PI / 8 + (Math.PI / 4) * i;
+            if (dx * Math.cos(angle) + dz * Math.sin(angle) > this.apothem) return false;
+        }
+        return true;
     }
 }
 
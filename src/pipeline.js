@@ -0,0 +1,213 @@
+/**
+ * Pipeline Stage Registry
+ *
+ * TerrainGeneratorV1_1 runs an ordered list of named stages. Stages can be
+ * inserted, replaced or disabled without forking the generator, and the
+ * resulting stage list (names, order, enabled flags, params) is recorded in
+ * the MapSpec so custom pipelines reproduce exactly.
+ *
+ * Stage definition:
+ * {
+ *   name: 'studioPass',        // Unique stage name (also the buildTime key)
+ *   stream: 'studioPass',      // MultiStreamRNG label (defaults to name)
+ *   params: { ... },           // JSON-serializable parameters
+ *   inputs: ['elevation'],     // Optional: state fields read
+ *   outputs: ['elevation'],    // Optional: state fields written
+ *   configKeys: ['STUDIO_X'],  // Optional: config keys the stage depends on
+ *   run(state, context) { }    // Mutates state (elevation, seaLevelData, ...)
+ * }
+ *
+ * inputs/outputs/configKeys drive partial regeneration; stages that omit
+ * them are re-run on any change.
+ *
+ * context = { rng, params, config, generator, width, height }
+ */
+
+// Global library of stage definitions, used to rebuild pipelines from MapSpecs
+const STAGE_LIBRARY = new Map();
+
+/**
+ * Register a stage definition so MapSpecs referencing it can be reproduced
+ * (register in the Web Worker too when generating off the main thread)
+ */
+export function registerStage(stage) {
+    validateStage(stage);
+    STAGE_LIBRARY.set(stage.name, stage);
+}
+
+/**
+ * Look up a registered stage definition
+ */
+export function getRegisteredStage(name) {
+    return STAGE_LIBRARY.get(name) || null;
+}
+
+function validateStage(stage) {
+    if (!stage || typeof stage.name !== 'string' || stage.name.length === 0) {
+        throw new Error('Pipeline stage requires a non-empty name');
+    }
+    if (typeof stage.run !== 'function') {
+        throw new Error(`Pipeline stage "${stage.name}" requires a run(state, context) function`);
+    }
+}
+
+/**
+ * Create a pipeline entry from a stage definition
+ */
+function createEntry(stage, overrides = {}) {
+    validateStage(stage);
+    return {
+        ...stage,
+        stream: stage.stream || stage.name,
+        params: { ...(stage.params || {}), ...(overrides.params || {}) },
+        enabled: overrides.enabled ?? stage.enabled ?? true
+    };
+}
+
+export class Pipeline {
+    /**
+     * @param {Array<Object>} stages - Stage definitions in execution order
+     */
+    constructor(stages = []) {
+        this.stages = [];
+        for (const stage of stages) {
+            this.append(stage);
+        }
+    }
+
+    /**
+     * Add a stage at the end of the pipeline
+     */
+    append(stage) {
+        this._assertUnique(stage.name);
+        this.stages.push(createEntry(stage));
+        return this;
+    }
+
+    /**
+     * Insert a stage directly after an existing stage
+     */
+    insertAfter(target, stage) {
+        const index = this._indexOf(target);
+        this._assertUnique(stage.name);
+        this.stages.splice(index + 1, 0, createEntry(stage));
+        return this;
+    }
+
+    /**
+     * Insert a stage directly before an existing stage
+     */
+    insertBefore(target, stage) {
+        const index = this._indexOf(target);
+        this._assertUnique(stage.name);
+        this.stages.splice(index, 0, createEntry(stage));
+        return this;
+    }
+
+    /**
+     * Replace an existing stage's implementation (keeps its position)
+     */
+    replace(name, stage) {
+        const index = this._indexOf(name);
+        if (stage.name !== name) this._assertUnique(stage.name);
+        this.stages[index] = createEntry(stage);
+        return this;
+    }
+
+    /**
+     * Disable a stage (it stays in the list and in the MapSpec)
+     */
+    disable(name) {
+        this.stages[this._indexOf(name)].enabled = false;
+        return this;
+    }
+
+    /**
+     * Re-enable a previously disabled stage
+     */
+    enable(name) {
+        this.stages[this._indexOf(name)].enabled = true;
+        return this;
+    }
+
+    /**
+     * Merge parameters into a stage's params
+     */
+    setParams(name, params) {
+        const entry = this.stages[this._indexOf(name)];
+        entry.params = { ...entry.params, ...params };
+        return this;
+    }
+
+    has(name) {
+        return this.stages.some(stage => stage.name === name);
+    }
+
+    getStage(name) {
+        return this.stages[this._indexOf(name)];
+    }
+
+    /**
+     * Stages that will run, in order
+     */
+    getActiveStages() {
+        return this.stages.filter(stage => stage.enabled);
+    }
+
+    /**
+     * Serializable stage list for the MapSpec
+     */
+    toSpec() {
+        return this.stages.map(({ name, stream, enabled, params }) => ({
+            name,
+            stream,
+            enabled,
+            params: JSON.parse(JSON.stringify(params))
+        }));
+    }
+
+    /**
+     * Rebuild a pipeline from a MapSpec stage list
+     * Stage implementations are resolved from `defaults` first, then the
+     * global stage library. Unknown stages throw, since silently skipping
+     * them would produce a different map.
+     *
+     * @param {Array<Object>} specStages - Output of toSpec()
+     * @param {Pipeline} defaults - Pipeline providing built-in stages
+     */
+    static fromSpec(specStages, defaults = new Pipeline()) {
+        const pipeline = new Pipeline();
+
+        for (const spec of specStages) {
+            const stage = defaults.has(spec.name)
+                ? defaults.getStage(spec.name)
+                : getRegisteredStage(spec.name);
+
+            if (!stage) {
+                throw new Error(`Unknown pipeline stage "${spec.name}" - register it with registerStage() to reproduce this map`);
+            }
+
+            pipeline._assertUnique(spec.name);
+            pipeline.stages.push(createEntry(
+                { ...stage, stream: spec.stream || stage.stream, params: {} },
+                { params: { ...stage.params, ...spec.params }, enabled: spec.enabled }
+            ));
+        }
+
+        return pipeline;
+    }
+
+    _indexOf(name) {
+        const index = this.stages.findIndex(stage => stage.name === name);
+        if (index < 0) {
+            throw new Error(`Unknown pipeline stage: ${name}`);
+        }
+        return index;
+    }
+
+    _assertUnique(name) {
+        if (this.has(name)) {
+            throw new Error(`Pipeline stage already exists: ${name}`);
+        }
+    }
+}
@@ -7,7 +7,10 @@ import {
     createTerrainMaterial,
     createWaterMaterial
 } from './materials.js';
-import { OctagonGrid } from './octagonGrid.js';
+import { createTiling } from './tiling.js';
+import { MultiStreamRNG } from './rng.js';
+import { FEATURE_CHOKEPOINT, FEATURE_HIGH_GROUND, FEATURE_OPEN_FIELD, FEATURE_RAMP } from './strategic.js';
+import { normalizeTerrainData } from './terrainData.js';
 import { calculateTreeMetrics, generateTreePositions } from './treePlacement.js';
 
 // Low‑poly knobs for Guide Mode
@@ -19,7 +22,7 @@ export class TerrainRenderer {
     constructor(container, config) {
         this.container = container;
         this.config = config;
-        this.grid = new OctagonGrid(config);
+        this.grid = createTiling(config);
         
         this.scene = null;
         this.camera = null;
@@ -30,6 +33,8 @@ export class TerrainRenderer {
         this.squareMesh = null;
         this.waterMesh = null;
         this.treeMeshes = [];
+        this.resourceMeshes = [];
+        this.strategicMesh = null;
         this.gridMesh = null;
         
         this.chunks = [];
@@ -202,6 +207,10 @@ export class TerrainRenderer {
     buildTerrain(terrainData) {
         this._clearTerrain();
         
+        // Accept any registered generator's output via the normalized contract
+        terrainData = normalizeTerrainData(terrainData, this.config);
+        this.lastTerrainData = terrainData;
+        
         // Update camera target to new map center
         this.cameraTarget.set(
             (this.config.MAP_WIDTH * this.grid.spacing) / 2,
@@ -232,8 +241,18 @@ export class TerrainRenderer {
                 // Add a smooth water surface at solved sea level for low‑poly look
                 this._buildFlatWater();
             } else {
-                this._buildWaterMesh();
+                this._buildWaterMesh(terrainData);
             }
+            this._buildLakeMesh(terrainData);
+            this._buildRiverMesh(terrainData);
+        }
+        
+        if (this.config.SHOW_RESOURCES) {
+            this._buildResourceProps(terrainData);
+        }
+        
+        if (this.config.SHOW_STRATEGIC) {
+            this._buildStrategicOverlay(terrainData);
         }
     }
 
@@ -336,12 +355,8 @@ export class TerrainRenderer {
                 const x = Math.min(width - 1, i);
                 const y = Math.min(height - 1, j);
                 
-                // If terrainData provided seaLevel, we assume meters (v1.1);
-                // otherwise, old generator uses normalized 0..1, so scale to meters here
+                // Normalized terrain data is always in meters
                 let h = elevation[y * width + x];
-                if (typeof seaLevelMeters === 'undefined') {
-                    h *= this.config.ELEVATION_SCALE;
-                }
                 
                 // Quantize height for low-poly look (visual only)
                 h = Math.round(h / quantizationStep) * quantizationStep;
@@ -371,8 +386,8 @@ export class TerrainRenderer {
             colorAttr.setXYZ(c, color.r, color.g, color.b);
         };
         
-        // seaLevelMeters comes from terrainData (v1.1)
-        const seaLevelM = seaLevelMeters || (this.config.SEA_LEVEL * this.config.ELEVATION_SCALE);
+        // seaLevelMeters comes from normalized terrainData
+        const seaLevelM = seaLevelMeters;
         console.log('Sea level in meters:', seaLevelM);
 
         // Compute dynamic bands based on actual elevation range
@@ -467,8 +482,13 @@ export class TerrainRenderer {
         this.octagonMesh = mesh;
         this.scene.add(mesh);
         
-        // Add low‑poly props using legacy geometry sampling
-        this._spawnLowPolyTrees(geoRef, mesh);
+        // Add low‑poly props: v1.1+ uses Poisson + slope placement,
+        // legacy maps keep the color-sampling spawner
+        if (terrainData.version !== '1.0') {
+            this._spawnLowPolyTreesV1_1(terrainData, mesh);
+        } else {
+            this._spawnLowPolyTrees(geoRef, mesh);
+        }
         console.log('Trees spawned, treeMeshes count:', this.treeMeshes.length);
         
         } catch (error) {
@@ -800,14 +820,12 @@ export class TerrainRenderer {
      * v1.1 Tree placement using Poisson disk sampling with slope constraints
      */
     _spawnLowPolyTreesV1_1(terrainData, terrainMesh) {
-        // Get RNG stream from terrain data (v1.1)
-        const treeRng = terrainData.rngStates ? 
-            { next: () => Math.random(), nextInt: (min, max) => Math.floor(Math.random() * (max - min)) + min } : 
-            terrainData.rng?.getStream('trees') || 
-            { next: () => Math.random(), nextInt: (min, max) => Math.floor(Math.random() * (max - min)) + min };
+        // Dedicated 'trees' stream derived from the master seed (v1.1)
+        const treeRng = terrainData.rng?.getStream('trees') ||
+            new MultiStreamRNG(this.config.SEED).getStream('trees');
         
-        // Generate tree positions using v1.1 system
-        const treePositions = generateTreePositions(terrainData, this.config, treeRng);
+        // Use positions precomputed by the worker, else generate with the v1.1 system
+        const treePositions = terrainData.trees || generateTreePositions(terrainData, this.config, treeRng);
         
         if (treePositions.length === 0) {
             console.log('No trees to place');
@@ -842,7 +860,8 @@ export class TerrainRenderer {
         const crownMat = new THREE.MeshLambertMaterial({ color: 0x28cc49, flatShading: true });
         const crowns = new THREE.InstancedMesh(crownGeo, crownMat, count);
         
-        // Place trees
+        // Place trees (positions are in cell meters; terrain mesh is scaled by grid spacing)
+        const worldScale = this.grid.spacing / terrainData.cellSize;
         const dummy = new THREE.Object3D();
         for (let i = 0; i < treePositions.length; i++) {
             const pos = treePositions[i];
@@ -850,7 +869,7 @@ export class TerrainRenderer {
             // Random scale and rotation
             const scale = 0.7 + treeRng.next() * 0.6;
             
-            dummy.position.set(pos.x, pos.height, pos.z);
+            dummy.position.set(pos.x * worldScale, pos.height, pos.z * worldScale);
             dummy.scale.setScalar(scale);
             dummy.rotation.y = treeRng.next() * Math.PI * 2;
             dummy.updateMatrix();
@@ -891,9 +910,13 @@ export class TerrainRenderer {
     
     // Build standard terrain (instanced with shaders)
     _buildStandardTerrain(terrainData) {
+        // Height texture stores normalized (0..1) heights
+        const scale = terrainData.elevationScale;
+        const normalizedElevation = terrainData.elevation.map(h => h / scale);
+        
         // Create textures
         const heightTexture = createHeightTexture(
-            terrainData.elevation,
+            normalizedElevation,
             terrainData.width,
             terrainData.height
         );
@@ -906,35 +929,41 @@ export class TerrainRenderer {
         
         // Create material
         const material = createTerrainMaterial(heightTexture, splatTexture, this.config, this.grid.spacing);
+        material.uniforms.uSeaLevel.value = terrainData.seaLevelNormalized;
         
         // Generate tile positions
-        const { octagons, squares } = this.grid.generateTiles();
+        const { tiles, connectors } = this.grid.generateTiles();
         
-        // Build octagon instances
-        this._buildOctagonMesh(octagons, material);
+        // Build tile instances
+        this._buildTileMesh(tiles, material);
         
-        // Build square instances (if visible)
-        if (this.config.SHOW_SQUARES) {
-            this._buildSquareMesh(squares, material);
+        // Build square instances (if visible; only the 4.8.8 tiling has connectors)
+        if (this.config.SHOW_SQUARES && connectors.length > 0) {
+            this._buildSquareMesh(connectors, material);
         }
         
-        console.log(`✓ Built ${octagons.length} octagons, ${squares.length} squares`);
+        console.log(`✓ Built ${tiles.length} ${this.grid.type} tiles, ${connectors.length} squares`);
     }
     
-    _buildOctagonMesh(tiles, material) {
-        // Create base geometry with center vertex
-        const vertices = this.grid.createOctagonVertices();
+    _buildTileMesh(tiles, material) {
+        // Create base geometry: tile polygon as a fan around a center vertex
+        const polygon = this.grid.getTilePolygon(0, 0);
+        const vertices = [];
+        for (const corner of polygon) vertices.push(corner.x, 0, corner.z);
         vertices.push(0, 0, 0); // Center vertex
         
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
         
-        const indices = this.grid.createOctagonIndices();
+        const indices = [];
+        for (let i = 0; i < polygon.length; i++) {
+            indices.push(polygon.length, i, (i + 1) % polygon.length);
+        }
         geometry.setIndex(indices);
         
         // Compute UVs based on world position
         const uvs = [];
-        for (let i = 0; i < 9; i++) {
+        for (let i = 0; i <= polygon.length; i++) {
             uvs.push(0.5, 0.5); // Will be set per-instance
         }
         geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
@@ -949,6 +978,8 @@ export class TerrainRenderer {
         const mapHeight = this.config.MAP_HEIGHT * this.grid.spacing;
         
         tiles.forEach((tile, i) => {
+            // Tiles of other orientations are the base polygon turned (triangles)
+            matrix.makeRotationY(tile.rotation || 0);
             matrix.setPosition(tile.x, 0, tile.z);
             instancedMesh.setMatrixAt(i, matrix);
             
@@ -1001,8 +1032,9 @@ export class TerrainRenderer {
         this.squareMesh = instancedMesh;
     }
     
-    _buildWaterMesh() {
+    _buildWaterMesh(terrainData) {
         const waterMaterial = createWaterMaterial(this.config);
+        waterMaterial.uniforms.uSeaLevel.value = terrainData.seaLevelNormalized;
         
         const size = Math.max(
             this.config.MAP_WIDTH * this.grid.spacing,
@@ -1015,13 +1047,258 @@ export class TerrainRenderer {
         this.waterMesh = new THREE.Mesh(geometry, waterMaterial);
         this.waterMesh.position.set(
             (this.config.MAP_WIDTH * this.grid.spacing) / 2,
-            this.config.SEA_LEVEL * this.config.ELEVATION_SCALE,
+            terrainData.seaLevel,
             (this.config.MAP_HEIGHT * this.grid.spacing) / 2
         );
         
         this.scene.add(this.waterMesh);
     }
     
+    // Build a flat water surface over each lake's cells at its own level
+    _buildLakeMesh(terrainData) {
+        const { lakes, lakeMap, width, height } = terrainData;
+        if (!lakeMap || !lakes || lakes.length === 0) return;
+        
+        const spacing = this.grid.spacing;
+        const step = this.config.QUANTIZATION_STEP || LOW_POLY.stepMeters;
+        const lift = 0.1;
+        
+        // Guide mode rounds terrain heights; keep the surface above the lake bed facets
+        const levels = lakes.map(lake => (this.config.GUIDE_MODE
+            ? Math.max(lake.level, Math.round(lake.level / step) * step)
+            : lake.level) + lift);
+        
+        const vertices = [];
+        const indices = [];
+        
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                const lakeId = lakeMap[z * width + x];
+                if (lakeId < 0) continue;
+                
+                const y = levels[lakeId];
+                const x0 = (x - 0.5) * spacing;
+                const x1 = (x + 0.5) * spacing;
+                const z0 = (z - 0.5) * spacing;
+                const z1 = (z + 0.5) * spacing;
+                
+                const base = vertices.length / 3;
+                vertices.push(x0, y, z0, x1, y, z0, x1, y, z1, x0, y, z1);
+                indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        const material = new THREE.MeshLambertMaterial({
+            color: 0x4a9fd8,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
+        
+        this.lakeMesh = new THREE.Mesh(geometry, material);
+        this.lakeMesh.renderOrder = 2;
+        this.scene.add(this.lakeMesh);
+        
+        console.log(`🏞️ Lakes rendered: ${lakes.length} at their own levels`);
+    }
+    
+    // Build a flat water ribbon along each river polyline
+    _buildRiverMesh(terrainData) {
+        const rivers = terrainData.rivers || [];
+        if (rivers.length === 0) return;
+        
+        const { elevation, width, height, cellSize } = terrainData;
+        const toWorld = this.grid.spacing / cellSize;
+        const step = this.config.QUANTIZATION_STEP || LOW_POLY.stepMeters;
+        const lift = 0.1; // Avoid z-fighting with the bed
+        
+        // Guide mode quantizes terrain heights; keep the ribbon above the facets
+        const surfaceY = (point) => {
+            if (!this.config.GUIDE_MODE) return point.y + lift;
+            const x = Math.min(width - 1, Math.round(point.x / cellSize));
+            const z = Math.min(height - 1, Math.round(point.z / cellSize));
+            const ground = Math.round(elevation[z * width + x] / step) * step;
+            return Math.max(point.y, ground) + lift;
+        };
+        
+        const vertices = [];
+        const indices = [];
+        
+        for (const river of rivers) {
+            const points = river.points;
+            if (points.length < 2) continue;
+            
+            const base = vertices.length / 3;
+            for (let i = 0; i < points.length; i++) {
+                const prev = points[Math.max(0, i - 1)];
+                const next = points[Math.min(points.length - 1, i + 1)];
+                
+                // Perpendicular to the local direction
+                let nx = -(next.z - prev.z);
+                let nz = next.x - prev.x;
+                const len = Math.hypot(nx, nz) || 1;
+                nx /= len;
+                nz /= len;
+                
+                const halfWidth = (points[i].width / 2) * toWorld;
+                const x = points[i].x * toWorld;
+                const z = points[i].z * toWorld;
+                const y = surfaceY(points[i]);
+                
+                vertices.push(x + nx * halfWidth, y, z + nz * halfWidth);
+                vertices.push(x - nx * halfWidth, y, z - nz * halfWidth);
+                
+                if (i > 0) {
+                    const a = base + (i - 1) * 2;
+                    indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+                }
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        
+        const material = new THREE.MeshLambertMaterial({
+            color: 0x4a9fd8,
+            transparent: true,
+            opacity: 0.85,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        });
+        
+        this.riverMesh = new THREE.Mesh(geometry, material);
+        this.riverMesh.renderOrder = 2;
+        this.scene.add(this.riverMesh);
+        
+        console.log(`🏞️ Rivers rendered: ${rivers.length} segments`);
+    }
+    
+    /**
+     * Resource deposits as instanced props (one draw call per resource type)
+     */
+    _buildResourceProps(terrainData) {
+        const deposits = terrainData.resources || [];
+        if (deposits.length === 0) return;
+        
+        const propStyles = {
+            gold: { geometry: new THREE.OctahedronGeometry(0.45), color: 0xf2c230 },
+            stone: { geometry: new THREE.DodecahedronGeometry(0.55), color: 0x8a8d91 },
+            wood: { geometry: new THREE.ConeGeometry(0.7, 2.2, 5).translate(0, 1.1, 0), color: 0x1f6e35 }
+        };
+        
+        const toWorld = this.grid.spacing / terrainData.cellSize;
+        const dummy = new THREE.Object3D();
+        
+        for (const [type, style] of Object.entries(propStyles)) {
+            const props = deposits.filter(d => d.type === type).flatMap(d => d.props);
+            if (props.length === 0) {
+                style.geometry.dispose();
+                continue;
+            }
+            
+            const material = new THREE.MeshLambertMaterial({ color: style.color, flatShading: true });
+            const mesh = new THREE.InstancedMesh(style.geometry, material, props.length);
+            props.forEach((prop, i) => {
+                dummy.position.set(prop.x * toWorld, prop.y, prop.z * toWorld);
+                dummy.scale.setScalar(prop.scale);
+                dummy.rotation.y = prop.rotation;
+                dummy.updateMatrix();
+                mesh.setMatrixAt(i, dummy.matrix);
+            });
+            
+            this.scene.add(mesh);
+            this.resourceMeshes.push(mesh);
+        }
+        
+        console.log(`💎 Resources rendered: ${deposits.length} deposits`);
+    }
+    
+    /**
+     * Debug overlay for strategic features: tinted cells for open fields,
+     * high ground and ramps, chokepoints as red squares as wide as their gap
+     */
+    _buildStrategicOverlay(terrainData) {
+        const strategic = terrainData.strategic;
+        if (!strategic) return;
+        
+        const { elevation, width, height, cellSize } = terrainData;
+        const spacing = this.grid.spacing;
+        const step = this.config.QUANTIZATION_STEP || LOW_POLY.stepMeters;
+        const lift = 0.15;
+        
+        // Guide mode rounds terrain heights; keep the overlay above the facets
+        const surfaceY = (idx) => (this.config.GUIDE_MODE
+            ? Math.max(elevation[idx], Math.round(elevation[idx] / step) * step)
+            : elevation[idx]) + lift;
+        
+        // Later entries win when a cell carries several features
+        const tints = [
+            [FEATURE_OPEN_FIELD, new THREE.Color(0x4caf50)],
+            [FEATURE_HIGH_GROUND, new THREE.Color(0xff9800)],
+            [FEATURE_RAMP, new THREE.Color(0xffeb3b)]
+        ];
+        const chokeColor = new THREE.Color(0xe53935);
+        
+        const vertices = [];
+        const colors = [];
+        const indices = [];
+        const addQuad = (cx, cz, halfSize, y, color) => {
+            const base = vertices.length / 3;
+            vertices.push(
+                cx - halfSize, y, cz - halfSize,
+                cx + halfSize, y, cz - halfSize,
+                cx + halfSize, y, cz + halfSize,
+                cx - halfSize, y, cz + halfSize
+            );
+            for (let k = 0; k < 4; k++) colors.push(color.r, color.g, color.b);
+            indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+        };
+        
+        for (let z = 0; z < height; z++) {
+            for (let x = 0; x < width; x++) {
+                const idx = z * width + x;
+                let color = null;
+                for (const [bit, tint] of tints) {
+                    if (strategic.features[idx] & bit) color = tint;
+                }
+                if (color) addQuad(x * spacing, z * spacing, spacing / 2, surfaceY(idx), color);
+            }
+        }
+        
+        for (const choke of strategic.chokepoints) {
+            const idx = choke.cell.y * width + choke.cell.x;
+            const halfSize = Math.max(0.5, choke.width / cellSize / 2) * spacing;
+            addQuad(choke.cell.x * spacing, choke.cell.y * spacing, halfSize, surfaceY(idx) + lift, chokeColor);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.55,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        this.strategicMesh = new THREE.Mesh(geometry, material);
+        this.strategicMesh.renderOrder = 3;
+        this.scene.add(this.strategicMesh);
+        
+        console.log(`🎯 Strategic overlay: ${strategic.chokepoints.length} chokepoints`);
+    }
+    
     _clearTerrain() {
         if (this.octagonMesh) {
             this.scene.remove(this.octagonMesh);
@@ -1044,6 +1321,20 @@ export class TerrainRenderer {
             this.waterMesh = null;
         }
         
+        if (this.lakeMesh) {
+            this.scene.remove(this.lakeMesh);
+            this.lakeMesh.geometry.dispose();
+            this.lakeMesh.material.dispose();
+            this.lakeMesh = null;
+        }
+        
+        if (this.riverMesh) {
+            this.scene.remove(this.riverMesh);
+            this.riverMesh.geometry.dispose();
+            this.riverMesh.material.dispose();
+            this.riverMesh = null;
+        }
+        
         // Clear trees
         if (this.treeMeshes && this.treeMeshes.length > 0) {
             this.treeMeshes.forEach(mesh => {
@@ -1054,6 +1345,21 @@ export class TerrainRenderer {
             this.treeMeshes = [];
         }
         
+        // Clear resource props
+        this.resourceMeshes.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.resourceMeshes = [];
+        
+        if (this.strategicMesh) {
+            this.scene.remove(this.strategicMesh);
+            this.strategicMesh.geometry.dispose();
+            this.strategicMesh.material.dispose();
+            this.strategicMesh = null;
+        }
+        
         // Clear grid
         if (this.gridMesh) {
             this.scene.remove(this.gridMesh);
@@ -1204,7 +1510,7 @@ export class TerrainRenderer {
     // Update config and rebuild
     updateConfig(newConfig) {
         Object.assign(this.config, newConfig);
-        this.grid = new OctagonGrid(this.config);
+        this.grid = createTiling(this.config);
         
         // Update camera target if map size changed
         this.cameraTarget.set(
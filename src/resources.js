@@ -0,0 +1,369 @@
+/**
+ * Resource Deposits
+ *
+ * Places economic resources (gold, stone and wood clusters) after the
+ * player starts are known:
+ *
+ * - guaranteed deposits: every player gets the same set of deposits in a
+ *   ring around their start (RESOURCE_PER_PLAYER)
+ * - contested deposits: Poisson-spread over the band of land roughly
+ *   equidistant from the nearest two starts (RESOURCE_CONTESTED)
+ *
+ * Each type has a suitability rule scored 0..1 per cell (0 = never):
+ * gold sits on high flat plateaus, stone at the foot of mountains, wood
+ * clusters on forestable land. Every deposit carries its prop layout
+ * (positions of the nuggets/rocks/trees drawn by the renderer), so saved
+ * deposits render identically.
+ */
+
+import { poissonDiskSampling, stratifiedPoissonSampling } from './poisson.js';
+import { calculateDistanceField, calculateSlopes } from './slope.js';
+import { createWaterMask } from './startLocations.js';
+import { symmetrizePoints } from './symmetry.js';
+
+/**
+ * Built-in resource types
+ * amount: units per deposit, props: instances drawn, clusterRadius: prop spread (meters)
+ */
+export const RESOURCE_TYPES = {
+    gold: { amount: 2500, props: 4, clusterRadius: 1.2, suitability: goldSuitability },
+    stone: { amount: 1500, props: 5, clusterRadius: 1.6, suitability: stoneSuitability },
+    wood: { amount: 1200, props: 9, clusterRadius: 2.5, suitability: woodSuitability }
+};
+
+// Slope (degrees) treated as mountain face for stone; gold wants flatter than the plateau limit
+const MOUNTAIN_SLOPE = 35;
+const PLATEAU_SLOPE = 20;
+
+// Candidate spacing inside a player's ring (meters)
+const RING_SAMPLE_SPACING = 1.5;
+
+/**
+ * Place all deposits
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap, rivers }
+ * @param {Array<Object>} starts - Player starts [{ player, x, z }] (meters)
+ * @param {Object} rng - RNG stream ({ next() })
+ * @param {Object} options - {
+ *     perPlayer: { type: count }, contested: { type: count },
+ *     minSpacing, nearMin, nearMax (meters), treeMaxSlope, treeMaxHeight, beachBuffer,
+ *     symmetry (from symmetry.js; contested and per-player deposits are replicated)
+ * }
+ * @returns {Object} { deposits, summary }
+ */
+export function placeResources(terrain, starts, rng, options = {}) {
+    const { width, height, cellSize = 1 } = terrain;
+    const {
+        perPlayer = {},
+        contested = {},
+        minSpacing = 8,
+        nearMin = 6,
+        nearMax = 16,
+        symmetry = null
+    } = options;
+
+    const context = createContext(terrain, options);
+    const deposits = [];
+    const isFree = (x, z) =>
+        deposits.every(d => Math.hypot(d.x - x, d.z - z) >= minSpacing) &&
+        starts.every(s => Math.hypot(s.x - x, s.z - z) >= nearMin);
+
+    const addDeposit = (type, x, z, owner) => {
+        const spec = RESOURCE_TYPES[type];
+        const deposit = {
+            id: deposits.length,
+            type,
+            owner,
+            x,
+            z,
+            y: sampleHeight(terrain, x, z),
+            amount: spec.amount,
+            props: []
+        };
+        deposits.push(deposit);
+        return deposit;
+    };
+
+    // Symmetric maps with one start per slice: lay out player 0, copy to the others
+    const replicate = symmetry && starts.length > 1 && symmetry.transforms.length === starts.length &&
+        symmetry.transforms.every((t, p) => {
+            const image = transformPoint(t, starts[0], cellSize);
+            return Math.hypot(image.x - starts[p].x, image.z - starts[p].z) <= cellSize;
+        });
+    const ringStarts = replicate ? starts.slice(0, 1) : starts;
+
+    // 1. Guaranteed deposits near every start (rarest first so gold gets first pick)
+    for (const type of Object.keys(RESOURCE_TYPES)) {
+        const count = perPlayer[type] || 0;
+        for (const start of ringStarts) {
+            for (let k = 0; k < count; k++) {
+                const site = findRingSite(type, start, context, rng, isFree, { nearMin, nearMax });
+                if (!site) continue;
+
+                if (replicate) {
+                    for (let p = 0; p < symmetry.transforms.length; p++) {
+                        const image = transformPoint(symmetry.transforms[p], site, cellSize);
+                        addDeposit(type, image.x, image.z, starts[p].player);
+                    }
+                } else {
+                    addDeposit(type, site.x, site.z, start.player);
+                }
+            }
+        }
+    }
+
+    // 2. Contested deposits between the starts
+    for (const type of Object.keys(RESOURCE_TYPES)) {
+        const count = contested[type] || 0;
+        if (count <= 0) continue;
+
+        // Symmetric sites come as whole orbits; keep or drop each orbit together
+        const sites = findContestedSites(type, starts, context, rng, isFree, { minSpacing, symmetry });
+        const orbitSize = symmetry ? symmetry.transforms.length : 1;
+        let placed = 0;
+        for (let k = 0; k + orbitSize <= sites.length && placed < count; k += orbitSize) {
+            const orbit = sites.slice(k, k + orbitSize);
+            if (!orbit.every(site => isFree(site.x, site.z))) continue;
+            orbit.forEach(site => addDeposit(type, site.x, site.z, null));
+            placed += orbit.length;
+        }
+    }
+
+    // 3. Prop layout per deposit
+    for (const deposit of deposits) {
+        deposit.props = layoutProps(deposit, terrain, rng);
+    }
+
+    return { deposits, summary: summarizeResources(deposits, starts) };
+}
+
+/**
+ * Per-type counts and what every player has within reach
+ */
+export function summarizeResources(deposits, starts = []) {
+    const counts = {};
+    for (const type of Object.keys(RESOURCE_TYPES)) counts[type] = { owned: 0, contested: 0 };
+    for (const deposit of deposits) {
+        counts[deposit.type][deposit.owner === null ? 'contested' : 'owned']++;
+    }
+
+    const players = starts.map(start => {
+        const entry = { player: start.player };
+        for (const type of Object.keys(RESOURCE_TYPES)) {
+            const own = deposits.filter(d => d.type === type && d.owner === start.player);
+            const nearest = deposits
+                .filter(d => d.type === type && d.owner === null)
+                .reduce((min, d) => Math.min(min, Math.hypot(d.x - start.x, d.z - start.z)), Infinity);
+            entry[type] = {
+                deposits: own.length,
+                amount: own.reduce((sum, d) => sum + d.amount, 0),
+                nearestContested: Number.isFinite(nearest) ? nearest : null
+            };
+        }
+        return entry;
+    });
+
+    return { total: deposits.length, counts, players };
+}
+
+/**
+ * Shared per-cell analysis for the suitability rules
+ */
+function createContext(terrain, options) {
+    const { elevation, width, height, cellSize = 1, seaLevel } = terrain;
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const water = createWaterMask(terrain);
+
+    const steep = new Uint8Array(width * height);
+    let landMax = seaLevel;
+    for (let i = 0; i < steep.length; i++) {
+        if (slopes[i] > MOUNTAIN_SLOPE) steep[i] = 1;
+        if (!water[i]) landMax = Math.max(landMax, elevation[i]);
+    }
+
+    return {
+        terrain,
+        slopes,
+        water,
+        steepDistance: calculateDistanceField(steep, width, height),
+        landRange: Math.max(1e-6, landMax - seaLevel),
+        treeMaxSlope: options.treeMaxSlope ?? 35,
+        treeMaxHeight: options.treeMaxHeight ?? 60,
+        beachBuffer: options.beachBuffer ?? 2
+    };
+}
+
+/**
+ * Gold: high flat ground (plateaus)
+ */
+function goldSuitability(i, ctx) {
+    const { terrain, slopes, water, landRange } = ctx;
+    if (water[i] || slopes[i] >= PLATEAU_SLOPE) return 0;
+
+    const relativeHeight = (terrain.elevation[i] - terrain.seaLevel) / landRange;
+    if (relativeHeight < 0.3) return 0;
+    return relativeHeight * (1 - slopes[i] / PLATEAU_SLOPE);
+}
+
+/**
+ * Stone: walkable ground at the foot of mountain faces
+ */
+function stoneSuitability(i, ctx) {
+    const { terrain, slopes, water, steepDistance, landRange } = ctx;
+    if (water[i] || slopes[i] > MOUNTAIN_SLOPE || steepDistance[i] > 3) return 0;
+
+    const relativeHeight = (terrain.elevation[i] - terrain.seaLevel) / landRange;
+    return (1 - steepDistance[i] / 4) * (0.5 + 0.5 * relativeHeight);
+}
+
+/**
+ * Wood: land trees can grow on (same limits as tree placement)
+ */
+function woodSuitability(i, ctx) {
+    const { terrain, slopes, water, treeMaxSlope, treeMaxHeight, beachBuffer } = ctx;
+    const h = terrain.elevation[i];
+    if (water[i] || h < terrain.seaLevel + beachBuffer || h > treeMaxHeight || slopes[i] > treeMaxSlope) return 0;
+    return 1 - slopes[i] / treeMaxSlope;
+}
+
+function suitabilityAt(type, x, z, ctx) {
+    const { width, height, cellSize = 1 } = ctx.terrain;
+    const cx = Math.round(x / cellSize);
+    const cz = Math.round(z / cellSize);
+    if (cx < 0 || cx >= width || cz < 0 || cz >= height) return 0;
+    return RESOURCE_TYPES[type].suitability(cz * width + cx, ctx);
+}
+
+/**
+ * Best site for a guaranteed deposit in the ring around a start;
+ * falls back to any dry land in the ring when no cell suits the type
+ */
+function findRingSite(type, start, ctx, rng, isFree, { nearMin, nearMax }) {
+    const size = 2 * nearMax;
+    const originX = start.x - nearMax;
+    const originZ = start.z - nearMax;
+    const { width, height, cellSize = 1 } = ctx.terrain;
+    const inRing = (x, z) => {
+        if (x < 0 || z < 0 || x > (width - 1) * cellSize || z > (height - 1) * cellSize) return false;
+        const d = Math.hypot(x - start.x, z - start.z);
+        return d >= nearMin && d <= nearMax;
+    };
+
+    const samples = poissonDiskSampling(size, size, RING_SAMPLE_SPACING, () => rng.next(), 30,
+        (x, y) => inRing(originX + x, originZ + y));
+
+    let best = null;
+    let bestScore = 0;
+    let fallback = null;
+    for (const sample of samples) {
+        const x = originX + sample.x;
+        const z = originZ + sample.y;
+        if (!isFree(x, z) || isWater(x, z, ctx)) continue;
+
+        fallback = fallback || { x, z };
+        const score = suitabilityAt(type, x, z, ctx);
+        if (score > bestScore) {
+            bestScore = score;
+            best = { x, z };
+        }
+    }
+    return best || fallback;
+}
+
+/**
+ * Contested sites: suitable land about equally far from the nearest two
+ * starts (anywhere when there are fewer than two), best first
+ */
+function findContestedSites(type, starts, ctx, rng, isFree, { minSpacing, symmetry }) {
+    const { width, height, cellSize = 1 } = ctx.terrain;
+
+    const contestedZone = (x, z) => {
+        if (starts.length < 2) return true;
+        const [d1, d2] = starts
+            .map(s => Math.hypot(s.x - x, s.z - z))
+            .sort((a, b) => a - b);
+        return d2 - d1 <= 0.25 * d2;
+    };
+
+    const samples = stratifiedPoissonSampling(
+        width * cellSize,
+        height * cellSize,
+        minSpacing,
+        () => rng.next(),
+        3,
+        (x, y) => contestedZone(x, y) && suitabilityAt(type, x, y, ctx) > 0
+    );
+
+    let sites = samples
+        .map((sample, order) => ({
+            x: sample.x,
+            z: sample.y,
+            score: suitabilityAt(type, sample.x, sample.y, ctx),
+            order
+        }))
+        .filter(site => isFree(site.x, site.z))
+        .sort((a, b) => b.score - a.score || a.order - b.order);
+
+    // Symmetric maps: whole orbits, spaced like the deposits themselves
+    if (symmetry) {
+        sites = symmetrizePoints(sites, symmetry, { cellSize, minSpacing });
+    }
+    return sites;
+}
+
+/**
+ * Scatter a deposit's props on dry land around its center
+ */
+function layoutProps(deposit, terrain, rng) {
+    const spec = RESOURCE_TYPES[deposit.type];
+    const props = [];
+    for (let k = 0; k < spec.props; k++) {
+        // First prop marks the center; the rest fill a disk (sqrt for uniform area)
+        const angle = rng.next() * Math.PI * 2;
+        const radius = k === 0 ? 0 : Math.sqrt(rng.next()) * spec.clusterRadius;
+        const x = deposit.x + Math.cos(angle) * radius;
+        const z = deposit.z + Math.sin(angle) * radius;
+        props.push({
+            x,
+            z,
+            y: sampleHeight(terrain, x, z),
+            scale: 0.7 + rng.next() * 0.6,
+            rotation: rng.next() * Math.PI * 2
+        });
+    }
+    return props;
+}
+
+function isWater(x, z, ctx) {
+    const { width, height, cellSize = 1 } = ctx.terrain;
+    const cx = Math.min(width - 1, Math.max(0, Math.round(x / cellSize)));
+    const cz = Math.min(height - 1, Math.max(0, Math.round(z / cellSize)));
+    return ctx.water[cz * width + cx] === 1;
+}
+
+function transformPoint(t, point, cellSize) {
+    const x = point.x / cellSize;
+    const y = point.z / cellSize;
+    return {
+        x: (t.a * x + t.b * y + t.e) * cellSize,
+        z: (t.c * x + t.d * y + t.f) * cellSize
+    };
+}
+
+/**
+ * Bilinear ground height at a position in meters
+ */
+function sampleHeight({ elevation, width, height, cellSize = 1 }, x, z) {
+    const fx = Math.max(0, Math.min(width - 1, x / cellSize));
+    const fz = Math.max(0, Math.min(height - 1, z / cellSize));
+    const x0 = Math.floor(fx);
+    const z0 = Math.floor(fz);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const z1 = Math.min(height - 1, z0 + 1);
+    const tx = fx - x0;
+    const tz = fz - z0;
+
+    const top = elevation[z0 * width + x0] * (1 - tx) + elevation[z0 * width + x1] * tx;
+    const bottom = elevation[z1 * width + x0] * (1 - tx) + elevation[z1 * width + x1] * tx;
+    return top * (1 - tz) + bottom * tz;
+}
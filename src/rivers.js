@@ -0,0 +1,367 @@
+/**
+ * River Network Extraction
+ *
+ * Routes water downhill with D8 steepest descent over a depression-filled
+ * copy of the terrain (so flow never dead-ends in a pit), thresholds the
+ * flow accumulation into a channel network and traces it into polylines
+ * (source/confluence → confluence/mouth) carrying width, Strahler order
+ * and discharge. River beds are carved into the elevation field.
+ *
+ * Fully deterministic: cells are processed in a fixed height order with
+ * index tie-breaking, and no RNG is used.
+ */
+
+import { D8_OFFSETS, fillDepressions } from './depressions.js';
+
+/**
+ * Steepest-descent receiver for each cell
+ *
+ * @param {Float32Array} elevation - Height field in meters
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} cellSize - Size of each cell in meters
+ * @returns {Int32Array} Index of the downstream neighbor, or -1 for pits
+ */
+export function computeFlowDirections(elevation, width, height, cellSize = 1.0) {
+    const receivers = new Int32Array(width * height).fill(-1);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            let steepest = 0;
+
+            for (const [dx, dy] of D8_OFFSETS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                const nIdx = ny * width + nx;
+                const distance = (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * cellSize;
+                const drop = (elevation[idx] - elevation[nIdx]) / distance;
+
+                if (drop > steepest) {
+                    steepest = drop;
+                    receivers[idx] = nIdx;
+                }
+            }
+        }
+    }
+
+    return receivers;
+}
+
+/**
+ * Accumulate upstream cell counts along the receiver graph
+ *
+ * @param {Float32Array} elevation - Height field in meters
+ * @param {Int32Array} receivers - Output of computeFlowDirections
+ * @returns {{accumulation: Float32Array, order: Uint32Array}} Upstream cell
+ *          count per cell (including itself) and the high-to-low processing order
+ */
+export function computeFlowAccumulation(elevation, receivers) {
+    const size = elevation.length;
+    const order = new Uint32Array(size);
+    for (let i = 0; i < size; i++) order[i] = i;
+
+    // Highest first; index tie-break keeps the order stable across engines
+    order.sort((a, b) => (elevation[b] - elevation[a]) || (a - b));
+
+    const accumulation = new Float32Array(size).fill(1);
+    for (let i = 0; i < size; i++) {
+        const idx = order[i];
+        const receiver = receivers[idx];
+        if (receiver >= 0) {
+            accumulation[receiver] += accumulation[idx];
+        }
+    }
+
+    return { accumulation, order };
+}
+
+/**
+ * Extract the river network and carve river beds (modifies elevation in place)
+ *
+ * @param {Float32Array} elevation - Height field in meters
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} seaLevel - Sea level in meters
+ * @param {Object} options
+ * @param {number} options.cellSize - Size of each cell in meters
+ * @param {number} options.threshold - Upstream cells needed to form a channel
+ * @param {number} options.widthMin - Channel width at the threshold (meters)
+ * @param {number} options.widthScale - Width growth per sqrt(m²) of catchment
+ * @param {number} options.bedDepth - Maximum bed depth (meters)
+ * @param {Int32Array} options.lakeMap - Lake id per cell (-1 = none), from findLakes
+ * @param {Array<Object>} options.lakes - Lakes from findLakes (for surface levels)
+ * @returns {{rivers: Array<Object>, flowMap: Float32Array}} River polylines and
+ *          the flow accumulation field
+ *
+ * Each river: { id, order, discharge, length, mouth, downstream, points }
+ * - order: Strahler order
+ * - discharge: catchment area at the river's last point (m², uniform runoff)
+ * - mouth: 'sea' | 'lake' | 'confluence' | 'edge' (leaves the map) |
+ *   'sink' (an inland pit below sea level that is neither sea nor lake)
+ * - lake: id of the lake it ends in (findLakes), or -1
+ * - downstream: id of the river it flows into, or -1
+ * - points: [{ x, z, y, width, discharge }] in meters; y is the water surface
+ */
+export function extractRivers(elevation, width, height, seaLevel, options = {}) {
+    const {
+        cellSize = 1.0,
+        threshold = 150,
+        widthMin = 0.8,
+        widthScale = 0.1,
+        bedDepth = 1.5,
+        lakeMap = null,
+        lakes = []
+    } = options;
+
+    const size = width * height;
+    const cellArea = cellSize * cellSize;
+    const routing = fillDepressions(elevation, width, height, seaLevel);
+    const receivers = computeFlowDirections(routing, width, height, cellSize);
+    const { accumulation, order } = computeFlowAccumulation(routing, receivers);
+
+    // Channel cells: enough upstream area, on land and outside lakes
+    // (lake outflows start a new channel at the outlet)
+    const isRiver = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        const inLake = lakeMap && lakeMap[i] >= 0;
+        isRiver[i] = accumulation[i] >= threshold && elevation[i] > seaLevel && !inLake ? 1 : 0;
+    }
+
+    // Strahler order (upstream cells are always processed first)
+    const strahler = new Uint8Array(size);
+    const inflowCount = new Uint8Array(size);
+    const maxInflowOrder = new Uint8Array(size);
+    const maxInflowCount = new Uint8Array(size);
+
+    for (let i = 0; i < size; i++) {
+        const idx = order[i];
+        if (!isRiver[idx]) continue;
+
+        strahler[idx] = inflowCount[idx] === 0
+            ? 1
+            : maxInflowOrder[idx] + (maxInflowCount[idx] >= 2 ? 1 : 0);
+
+        const receiver = receivers[idx];
+        if (receiver >= 0 && isRiver[receiver]) {
+            inflowCount[receiver]++;
+            if (strahler[idx] > maxInflowOrder[receiver]) {
+                maxInflowOrder[receiver] = strahler[idx];
+                maxInflowCount[receiver] = 1;
+            } else if (strahler[idx] === maxInflowOrder[receiver]) {
+                maxInflowCount[receiver]++;
+            }
+        }
+    }
+
+    const widthAt = (idx) => widthMin + widthScale * Math.sqrt((accumulation[idx] - threshold) * cellArea);
+    const depthAt = (idx) => Math.min(bedDepth, widthAt(idx) * 0.25);
+
+    // Carve beds, never below sea level (keeps the solved water coverage)
+    const originalElevation = new Float32Array(elevation);
+    const bedFloor = seaLevel + 0.05;
+    const bed = new Float32Array(size);
+
+    for (let idx = 0; idx < size; idx++) {
+        if (!isRiver[idx]) continue;
+        bed[idx] = Math.min(originalElevation[idx], Math.max(bedFloor, originalElevation[idx] - depthAt(idx)));
+        elevation[idx] = bed[idx];
+    }
+    carveBanks(elevation, isRiver, bed, width, height, cellSize, widthAt, depthAt, bedFloor);
+
+    const oceanMask = findOpenWater(originalElevation, width, height, seaLevel);
+    const rivers = traceRivers({
+        elevation, originalElevation, routing, receivers, accumulation, order, isRiver,
+        inflowCount, strahler, oceanMask, lakeMap, lakes, width, cellSize, cellArea, seaLevel, widthAt, depthAt
+    });
+
+    return { rivers, flowMap: accumulation };
+}
+
+/**
+ * Summary of a river network for MapSpec metrics
+ */
+export function summarizeRivers(rivers) {
+    let totalLength = 0;
+    let maxOrder = 0;
+    for (const river of rivers) {
+        totalLength += river.length;
+        maxOrder = Math.max(maxOrder, river.order);
+    }
+
+    return {
+        count: rivers.length,
+        totalLength,
+        maxOrder,
+        list: rivers.map(({ id, order, length, discharge, mouth, lake, downstream, points }) => ({
+            id,
+            order,
+            length,
+            discharge,
+            mouth,
+            lake,
+            downstream,
+            source: { x: points[0].x, z: points[0].z },
+            end: { x: points[points.length - 1].x, z: points[points.length - 1].z }
+        }))
+    };
+}
+
+/**
+ * Lower cells beside wide channels toward the bed (V-shaped banks)
+ */
+function carveBanks(elevation, isRiver, bed, width, height, cellSize, widthAt, depthAt, bedFloor) {
+    for (let idx = 0; idx < isRiver.length; idx++) {
+        if (!isRiver[idx]) continue;
+
+        const radius = Math.floor(widthAt(idx) / (2 * cellSize));
+        if (radius < 1) continue;
+
+        const cx = idx % width;
+        const cy = Math.floor(idx / width);
+        const depth = depthAt(idx);
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+                const nIdx = ny * width + nx;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (isRiver[nIdx] || dist > radius) continue;
+
+                // Order-independent: every channel cell only ever lowers its banks
+                const target = Math.max(bedFloor, bed[idx] + (dist / (radius + 1)) * depth);
+                elevation[nIdx] = Math.min(elevation[nIdx], target);
+            }
+        }
+    }
+}
+
+/**
+ * Mark below-sea-level cells connected to the map border (open sea)
+ */
+function findOpenWater(elevation, width, height, seaLevel) {
+    const mask = new Uint8Array(width * height);
+    const queue = [];
+
+    const visit = (idx) => {
+        if (!mask[idx] && elevation[idx] <= seaLevel) {
+            mask[idx] = 1;
+            queue.push(idx);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+
+    for (let head = 0; head < queue.length; head++) {
+        const idx = queue[head];
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+        if (x > 0) visit(idx - 1);
+        if (x < width - 1) visit(idx + 1);
+        if (y > 0) visit(idx - width);
+        if (y < height - 1) visit(idx + width);
+    }
+
+    return mask;
+}
+
+/**
+ * Split the channel network into polylines at sources and confluences
+ */
+function traceRivers(ctx) {
+    const {
+        elevation, originalElevation, routing, receivers, accumulation, order, isRiver,
+        inflowCount, strahler, oceanMask, lakeMap, lakes, width, cellSize, cellArea, seaLevel, widthAt, depthAt
+    } = ctx;
+
+    const toPoint = (idx, surface) => ({
+        x: (idx % width) * cellSize,
+        z: Math.floor(idx / width) * cellSize,
+        y: surface,
+        width: widthAt(idx),
+        discharge: accumulation[idx] * cellArea
+    });
+
+    // Water surface sits in the carved bed, or at the spill level where
+    // the river crosses a filled depression
+    const surfaceAt = (idx) => routing[idx] > originalElevation[idx]
+        ? routing[idx]
+        : Math.min(originalElevation[idx], elevation[idx] + depthAt(idx) * 0.6);
+
+    const rivers = [];
+    const riverByHead = new Map();
+
+    for (let i = 0; i < order.length; i++) {
+        const head = order[i];
+        if (!isRiver[head] || inflowCount[head] === 1) continue;
+
+        const points = [toPoint(head, surfaceAt(head))];
+        let current = head;
+        let mouth = 'edge';
+        let lake = -1;
+        let downstreamHead = -1;
+
+        for (;;) {
+            const next = receivers[current];
+            if (next < 0) break; // Leaves the map
+
+            if (!isRiver[next]) {
+                // Reached water: end on its surface (a sink has none; end on its floor)
+                lake = lakeMap ? lakeMap[next] : -1;
+                mouth = lake >= 0 ? 'lake' : oceanMask[next] ? 'sea' : 'sink';
+                const surface = lake >= 0 ? lakes[lake].level : mouth === 'sea' ? seaLevel : elevation[next];
+                points.push({ ...toPoint(next, surface), width: widthAt(current) });
+                break;
+            }
+
+            if (inflowCount[next] >= 2) {
+                mouth = 'confluence';
+                downstreamHead = next;
+                points.push(toPoint(next, surfaceAt(next)));
+                break;
+            }
+
+            points.push(toPoint(next, surfaceAt(next)));
+            current = next;
+        }
+
+        let length = 0;
+        for (let p = 1; p < points.length; p++) {
+            length += Math.hypot(points[p].x - points[p - 1].x, points[p].z - points[p - 1].z);
+        }
+
+        const river = {
+            id: rivers.length,
+            order: strahler[head],
+            discharge: accumulation[current] * cellArea,
+            length,
+            mouth,
+            lake,
+            downstream: downstreamHead,
+            points
+        };
+        riverByHead.set(head, river);
+        rivers.push(river);
+    }
+
+    // Resolve confluence heads to river ids
+    for (const river of rivers) {
+        if (river.downstream >= 0) {
+            river.downstream = riverByHead.get(river.downstream).id;
+        }
+    }
+
+    return rivers;
+}
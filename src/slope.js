@@ -251,6 +251,48 @@ export function findFlatAreas(slopes, width, height, maxSlope = 5.0, minAreaSize
     return regions;
 }
 
+/**
+ * Distance transform: chamfer distance (in cells) from every cell to the
+ * nearest nonzero mask cell; Infinity everywhere when the mask is empty
+ * 
+ * @param {Uint8Array} mask - Source cells (nonzero)
+ * @param {number} width 
+ * @param {number} height 
+ * @returns {Float32Array} Distance in cells
+ */
+export function calculateDistanceField(mask, width, height) {
+    const distance = new Float32Array(width * height).fill(Infinity);
+    for (let i = 0; i < mask.length; i++) {
+        if (mask[i]) distance[i] = 0;
+    }
+
+    const diagonal = Math.SQRT2;
+    // Two-pass 3x3 chamfer: forward then backward
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (x > 0) distance[i] = Math.min(distance[i], distance[i - 1] + 1);
+            if (y > 0) {
+                distance[i] = Math.min(distance[i], distance[i - width] + 1);
+                if (x > 0) distance[i] = Math.min(distance[i], distance[i - width - 1] + diagonal);
+                if (x < width - 1) distance[i] = Math.min(distance[i], distance[i - width + 1] + diagonal);
+            }
+        }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+        for (let x = width - 1; x >= 0; x--) {
+            const i = y * width + x;
+            if (x < width - 1) distance[i] = Math.min(distance[i], distance[i + 1] + 1);
+            if (y < height - 1) {
+                distance[i] = Math.min(distance[i], distance[i + width] + 1);
+                if (x < width - 1) distance[i] = Math.min(distance[i], distance[i + width + 1] + diagonal);
+                if (x > 0) distance[i] = Math.min(distance[i], distance[i + width - 1] + diagonal);
+            }
+        }
+    }
+    return distance;
+}
+
 /**
  * Calculate terrain statistics
  */
@@ -0,0 +1,370 @@
+/**
+ * Player Start Locations
+ *
+ * Picks N start positions on large flat land areas (findFlatAreas) so the
+ * minimum distance between any two starts is as large as possible, then
+ * scores every start on what a player gets around their base:
+ *
+ * - buildableArea  flat land within the scoring radius (m²)
+ * - wood           trees within the scoring radius
+ * - waterDistance  distance to the nearest sea, lake or river cell (m)
+ * - exposure       fraction of approach directions not blocked by water,
+ *                  cliffs or the map edge (0 = sheltered, 1 = open on all sides)
+ *
+ * The per-player report and an overall fairness ratio go to the metrics
+ * (and from there into the MapSpec).
+ */
+
+import { calculateDistanceField, calculateSlopes, findFlatAreas } from './slope.js';
+
+// Approach directions sampled for exposure
+const EXPOSURE_RAYS = 16;
+
+// Flat areas are re-searched with a steeper limit (×1.5 each time) when too few exist
+const SLOPE_RELAX_STEPS = 3;
+
+// Minimum cells between a start and the map edge
+const EDGE_MARGIN = 2;
+
+// Candidate starts considered by the distance optimizer
+const MAX_CANDIDATES = 256;
+
+/**
+ * Place and score player start locations
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap, trees, rivers }
+ * @param {Object} options - {
+ *     players, maxSlope (degrees), minArea (cells), radius (meters),
+ *     blockSlope (degrees, blocks approaches for exposure),
+ *     symmetry (from symmetry.js; starts are replicated when it has one slice per player)
+ * }
+ * @returns {Object} { starts, report }
+ */
+export function placeStartLocations(terrain, options = {}) {
+    const { elevation, width, height, cellSize = 1 } = terrain;
+    const {
+        players = 2,
+        maxSlope = 15,
+        minArea = 16,
+        radius = 12,
+        blockSlope = 40,
+        symmetry = null
+    } = options;
+
+    const radiusCells = Math.max(1, radius / cellSize);
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const water = createWaterMask(terrain);
+
+    // Water is never buildable, however flat
+    const landSlopes = new Float32Array(slopes);
+    for (let i = 0; i < landSlopes.length; i++) {
+        if (water[i]) landSlopes[i] = 90;
+    }
+
+    // Relax the flatness limit until there is room for every player
+    let slopeLimit = maxSlope;
+    let regions = findFlatAreas(landSlopes, width, height, slopeLimit, minArea);
+    for (let step = 0; step < SLOPE_RELAX_STEPS && regions.length < players; step++) {
+        slopeLimit *= 1.5;
+        regions = findFlatAreas(landSlopes, width, height, slopeLimit, minArea);
+    }
+
+    const buildable = new Uint8Array(width * height);
+    for (const region of regions) {
+        for (const idx of region) buildable[idx] = 1;
+    }
+
+    const candidates = findCandidates(buildable, width, height, radiusCells);
+    const picks = (symmetry && symmetry.transforms.length === players && selectSymmetric(candidates, water, symmetry))
+        || selectMaxMin(candidates, players);
+
+    const waterDistance = calculateDistanceField(water, width, height);
+    const starts = picks.map((candidate, player) => scoreStart(candidate, player, {
+        terrain, buildable, slopes, water, waterDistance, radiusCells, blockSlope
+    }));
+
+    const report = createReport(starts, players, slopeLimit, cellSize);
+    if (starts.length < players) {
+        console.warn(`  ⚠️ Only ${starts.length}/${players} start locations fit (flat limit ${slopeLimit.toFixed(1)}°)`);
+    }
+
+    return { starts, report };
+}
+
+/**
+ * Sea, lake and river cells
+ */
+export function createWaterMask({ elevation, width, height, cellSize = 1, seaLevel, lakeMap = null, rivers = [] }) {
+    const water = new Uint8Array(width * height);
+    for (let i = 0; i < water.length; i++) {
+        if (elevation[i] <= seaLevel || (lakeMap && lakeMap[i] >= 0)) water[i] = 1;
+    }
+    for (const river of rivers || []) {
+        for (const point of river.points) {
+            const x = Math.min(width - 1, Math.max(0, Math.round(point.x / cellSize)));
+            const y = Math.min(height - 1, Math.max(0, Math.round(point.z / cellSize)));
+            water[y * width + x] = 1;
+        }
+    }
+    return water;
+}
+
+/**
+ * Base sites: the most interior buildable cells (farthest from unbuildable
+ * ground or the map edge), at least half a scoring radius apart
+ */
+function findCandidates(buildable, width, height, radiusCells) {
+    const blocked = new Uint8Array(buildable.length);
+    for (let i = 0; i < blocked.length; i++) blocked[i] = buildable[i] ? 0 : 1;
+    const interior = calculateDistanceField(blocked, width, height);
+
+    const cells = [];
+    for (let i = 0; i < buildable.length; i++) {
+        if (!buildable[i]) continue;
+        const x = i % width;
+        const y = Math.floor(i / width);
+        const edgeDistance = Math.min(x, y, width - 1 - x, height - 1 - y);
+        // Bases need a little room toward the map edge too
+        if (edgeDistance < EDGE_MARGIN) continue;
+        interior[i] = Math.min(interior[i], edgeDistance + 1);
+        cells.push(i);
+    }
+    cells.sort((a, b) => interior[b] - interior[a] || a - b);
+
+    const candidates = [];
+    const spacing = radiusCells / 2;
+    for (const idx of cells) {
+        const x = idx % width;
+        const y = Math.floor(idx / width);
+        if (candidates.some(c => Math.hypot(c.x - x, c.y - y) < spacing)) continue;
+
+        candidates.push({ x, y, idx, interior: interior[idx] });
+        if (candidates.length >= MAX_CANDIDATES) break;
+    }
+    return candidates;
+}
+
+/**
+ * Choose `count` candidates maximizing the minimum pairwise distance:
+ * start from the farthest pair, add farthest points, then swap members
+ * while that increases the minimum distance
+ */
+function selectMaxMin(candidates, count) {
+    if (count <= 0 || candidates.length === 0) return [];
+    if (candidates.length <= count) return candidates.slice();
+
+    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const minDistance = (set) => {
+        let min = Infinity;
+        for (let i = 0; i < set.length; i++) {
+            for (let j = i + 1; j < set.length; j++) {
+                min = Math.min(min, dist(set[i], set[j]));
+            }
+        }
+        return min;
+    };
+
+    if (count === 1) {
+        // A lone start takes the roomiest site
+        return [candidates[0]];
+    }
+
+    // Farthest pair
+    let best = [candidates[0], candidates[1]];
+    let bestDistance = -1;
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            const d = dist(candidates[i], candidates[j]);
+            if (d > bestDistance) {
+                bestDistance = d;
+                best = [candidates[i], candidates[j]];
+            }
+        }
+    }
+
+    // Farthest-point insertion
+    const chosen = best;
+    while (chosen.length < count) {
+        let next = null;
+        let nextDistance = -1;
+        for (const candidate of candidates) {
+            if (chosen.includes(candidate)) continue;
+            const d = Math.min(...chosen.map(c => dist(c, candidate)));
+            if (d > nextDistance) {
+                nextDistance = d;
+                next = candidate;
+            }
+        }
+        chosen.push(next);
+    }
+
+    // Swap refinement
+    let current = minDistance(chosen);
+    let improved = true;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < chosen.length; i++) {
+            for (const candidate of candidates) {
+                if (chosen.includes(candidate)) continue;
+                const trial = chosen.slice();
+                trial[i] = candidate;
+                const d = minDistance(trial);
+                if (d > current + 1e-9) {
+                    chosen[i] = candidate;
+                    current = d;
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return chosen;
+}
+
+/**
+ * Symmetric maps: pick the fundamental-domain site whose images are
+ * farthest apart, and give every player one image of it (images of
+ * resampled symmetries can round onto slightly steeper cells, so they
+ * only need dry land)
+ */
+function selectSymmetric(candidates, water, symmetry) {
+    const { width, height } = symmetry;
+    let best = null;
+    let bestScore = -Infinity;
+
+    for (const candidate of candidates) {
+        if (symmetry.domainDistance(candidate.x, candidate.y) <= 0) continue;
+
+        const images = [];
+        for (const t of symmetry.transforms) {
+            const x = Math.round(t.a * candidate.x + t.b * candidate.y + t.e);
+            const y = Math.round(t.c * candidate.x + t.d * candidate.y + t.f);
+            if (x < 0 || x >= width || y < 0 || y >= height || water[y * width + x]) break;
+            images.push({ x, y, idx: y * width + x, interior: candidate.interior });
+        }
+        if (images.length !== symmetry.transforms.length) continue;
+
+        let spread = Infinity;
+        for (let i = 0; i < images.length; i++) {
+            for (let j = i + 1; j < images.length; j++) {
+                spread = Math.min(spread, Math.hypot(images[i].x - images[j].x, images[i].y - images[j].y));
+            }
+        }
+        if (spread > bestScore) {
+            bestScore = spread;
+            best = images;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Measure what a player gets around their start
+ */
+function scoreStart(candidate, player, context) {
+    const { terrain, buildable, slopes, water, waterDistance, radiusCells, blockSlope } = context;
+    const { elevation, width, height, cellSize = 1, trees = [] } = terrain;
+    const { x, y, idx } = candidate;
+
+    let buildableCells = 0;
+    const r = Math.ceil(radiusCells);
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            if (dx * dx + dy * dy > radiusCells * radiusCells) continue;
+            buildableCells += buildable[ny * width + nx];
+        }
+    }
+
+    const radiusMeters = radiusCells * cellSize;
+    let wood = 0;
+    for (const tree of trees || []) {
+        if (Math.hypot(tree.x - x * cellSize, tree.z - y * cellSize) <= radiusMeters) wood++;
+    }
+
+    // Rays that reach the scoring radius without crossing water or cliffs
+    let openRays = 0;
+    for (let k = 0; k < EXPOSURE_RAYS; k++) {
+        const angle = (2 * Math.PI * k) / EXPOSURE_RAYS;
+        let open = true;
+        for (let step = 1; step <= radiusCells; step++) {
+            const rx = Math.round(x + Math.cos(angle) * step);
+            const ry = Math.round(y + Math.sin(angle) * step);
+            if (rx < 0 || rx >= width || ry < 0 || ry >= height) {
+                open = false; // Map edge: nobody comes from there
+                break;
+            }
+            const ri = ry * width + rx;
+            if (water[ri] || slopes[ri] > blockSlope) {
+                open = false;
+                break;
+            }
+        }
+        if (open) openRays++;
+    }
+
+    const distance = waterDistance[idx];
+    return {
+        player,
+        x: x * cellSize,
+        z: y * cellSize,
+        cell: { x, y },
+        elevation: elevation[idx],
+        buildableArea: buildableCells * cellSize * cellSize,
+        wood,
+        waterDistance: Number.isFinite(distance) ? distance * cellSize : null,
+        exposure: openRays / EXPOSURE_RAYS
+    };
+}
+
+/**
+ * Per-player scores (each metric relative to the player average) and the
+ * overall fairness ratio (worst score / best score, 1 = perfectly fair)
+ */
+function createReport(starts, players, slopeLimit, cellSize) {
+    let minDistance = Infinity;
+    for (let i = 0; i < starts.length; i++) {
+        for (let j = i + 1; j < starts.length; j++) {
+            minDistance = Math.min(minDistance, Math.hypot(starts[i].x - starts[j].x, starts[i].z - starts[j].z));
+        }
+    }
+
+    // Higher is better for every term
+    const terms = {
+        buildableArea: s => s.buildableArea,
+        wood: s => s.wood,
+        waterAccess: s => (s.waterDistance === null ? 0 : 1 / (1 + s.waterDistance / cellSize)),
+        shelter: s => 1 - s.exposure
+    };
+
+    for (const start of starts) start.score = 0;
+    for (const term of Object.values(terms)) {
+        const mean = starts.reduce((sum, s) => sum + term(s), 0) / Math.max(1, starts.length);
+        for (const start of starts) {
+            start.score += (mean > 0 ? term(start) / mean : 1) / Object.keys(terms).length;
+        }
+    }
+
+    const spread = (values) => (values.length > 0 ? Math.max(...values) - Math.min(...values) : 0);
+    const scores = starts.map(s => s.score);
+    const maxScore = Math.max(...scores);
+
+    return {
+        players,
+        placed: starts.length,
+        complete: starts.length === players,
+        flatSlopeLimit: slopeLimit,
+        minDistance: starts.length > 1 ? minDistance : null,
+        starts,
+        fairness: starts.length > 0 && maxScore > 0 ? Math.min(...scores) / maxScore : 1,
+        spread: {
+            buildableArea: spread(starts.map(s => s.buildableArea)),
+            wood: spread(starts.map(s => s.wood)),
+            waterDistance: spread(starts.map(s => s.waterDistance ?? Infinity).filter(Number.isFinite)),
+            exposure: spread(starts.map(s => s.exposure))
+        }
+    };
+}
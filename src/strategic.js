@@ -0,0 +1,269 @@
+/**
+ * Strategic Feature Analysis
+ *
+ * Tells designers where the interesting ground is, using only passable land
+ * (the components from connectivity.js):
+ *
+ * - Clearance: distance transform of passable land, i.e. how far each cell
+ *   is from the nearest cliff, water or map edge
+ * - Chokepoints: narrow corridors between two open regions. Regions grow
+ *   from clearance peaks in descending clearance order; where two regions
+ *   with room to fight in first touch, the touching cell is the corridor's
+ *   bottleneck
+ * - High ground: crests (negative Laplacian from calculateCurvature) that
+ *   stand well above passable ground nearby
+ * - Ramps: passable slopes leading up onto high ground
+ * - Open fields: cells with room to maneuver on every side
+ *
+ * Only the widest corridor between two regions is reported; a second,
+ * narrower pass between the same pair closes a loop and is not a bottleneck.
+ */
+
+import { calculateCurvature, calculateDistanceField, calculateSlopes } from './slope.js';
+
+// Feature bits in the per-cell `features` array
+export const FEATURE_CHOKEPOINT = 1;
+export const FEATURE_HIGH_GROUND = 2;
+export const FEATURE_RAMP = 4;
+export const FEATURE_OPEN_FIELD = 8;
+
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+/**
+ * Analyze passable land for chokepoints, high ground, ramps and open fields
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, components } (components from labelLandComponents)
+ * @param {Object} options - { chokeMaxWidth (cells), openRadius (cells), highGroundHeight (m), highGroundRadius (cells), rampMinSlope (degrees) }
+ * @returns {Object} { clearance: Float32Array (cells), features: Uint8Array, chokepoints, summary }
+ */
+export function analyzeStrategicFeatures(terrain, {
+    chokeMaxWidth = 6,
+    openRadius = 5,
+    highGroundHeight = 4,
+    highGroundRadius = 4,
+    rampMinSlope = 20
+} = {}) {
+    const { elevation, width, height, cellSize = 1, components } = terrain;
+    const size = width * height;
+
+    const blocked = new Uint8Array(size);
+    let passableCount = 0;
+    for (let i = 0; i < size; i++) {
+        if (components[i] < 0) blocked[i] = 1;
+        else passableCount++;
+    }
+    const clearance = calculateClearance(blocked, width, height);
+
+    const features = new Uint8Array(size);
+    const chokepoints = findChokepoints(clearance, blocked, width, height, { chokeMaxWidth, openRadius });
+    for (const choke of chokepoints) {
+        features[choke.cell.y * width + choke.cell.x] |= FEATURE_CHOKEPOINT;
+    }
+
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const curvature = calculateCurvature(elevation, width, height, cellSize);
+    markHighGround(features, elevation, curvature, blocked, width, height, highGroundHeight, highGroundRadius);
+    markRamps(features, slopes, blocked, width, height, rampMinSlope);
+
+    let clearanceSum = 0;
+    const counts = { highGround: 0, ramps: 0, openField: 0 };
+    for (let i = 0; i < size; i++) {
+        if (blocked[i]) continue;
+        clearanceSum += clearance[i];
+        if (clearance[i] >= openRadius) features[i] |= FEATURE_OPEN_FIELD;
+        if (features[i] & FEATURE_HIGH_GROUND) counts.highGround++;
+        if (features[i] & FEATURE_RAMP) counts.ramps++;
+        if (features[i] & FEATURE_OPEN_FIELD) counts.openField++;
+    }
+
+    const share = (count) => (passableCount > 0 ? count / passableCount : 0);
+    const summary = {
+        chokepoints: chokepoints.map(({ cell, width: gapWidth, regions }) => ({
+            x: cell.x * cellSize,
+            z: cell.y * cellSize,
+            cell,
+            width: gapWidth * cellSize,
+            regions
+        })),
+        meanClearance: passableCount > 0 ? (clearanceSum / passableCount) * cellSize : 0,
+        highGroundFraction: share(counts.highGround),
+        rampCells: counts.ramps,
+        openFieldFraction: share(counts.openField),
+        openFields: countOpenFields(features, width, height)
+    };
+
+    return {
+        clearance,
+        features,
+        chokepoints: summary.chokepoints,
+        summary
+    };
+}
+
+/**
+ * Distance in cells from each passable cell to blocked ground; the map edge
+ * counts as blocked, so corridors along the border are narrow too
+ */
+function calculateClearance(blocked, width, height) {
+    const clearance = calculateDistanceField(blocked, width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const edge = Math.min(x + 1, y + 1, width - x, height - y);
+            clearance[i] = blocked[i] ? 0 : Math.min(clearance[i], edge);
+        }
+    }
+    return clearance;
+}
+
+/**
+ * Grow regions from clearance peaks (widest cells first, ties by index) and
+ * record the cell where two open regions first meet through a narrow gap
+ */
+function findChokepoints(clearance, blocked, width, height, { chokeMaxWidth, openRadius }) {
+    const order = [];
+    for (let i = 0; i < clearance.length; i++) {
+        if (!blocked[i]) order.push(i);
+    }
+    order.sort((a, b) => clearance[b] - clearance[a] || a - b);
+
+    const parent = new Int32Array(clearance.length).fill(-1);
+    const peak = new Float32Array(clearance.length);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    const chokepoints = [];
+    for (const idx of order) {
+        const x = idx % width;
+        const y = (idx - x) / width;
+
+        const roots = [];
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const n = ny * width + nx;
+            if (parent[n] < 0) continue;
+            const root = find(n);
+            if (!roots.includes(root)) roots.push(root);
+        }
+
+        if (roots.length === 0) {
+            parent[idx] = idx;
+            peak[idx] = clearance[idx];
+            continue;
+        }
+
+        // Merge into the region with the highest peak (lowest root breaks ties)
+        roots.sort((a, b) => peak[b] - peak[a] || a - b);
+        const main = roots[0];
+        parent[idx] = main;
+
+        // A corridor of clearance c is 2c - 1 cells wide
+        const gapWidth = 2 * clearance[idx] - 1;
+        for (let r = 1; r < roots.length; r++) {
+            if (gapWidth <= chokeMaxWidth && peak[roots[r]] >= openRadius) {
+                chokepoints.push({
+                    cell: { x, y },
+                    width: gapWidth,
+                    regions: [main, roots[r]]
+                });
+            }
+            parent[roots[r]] = main;
+        }
+    }
+
+    // Number regions in the order their first chokepoint was found
+    const regionIds = new Map();
+    const regionId = (root) => {
+        if (!regionIds.has(root)) regionIds.set(root, regionIds.size);
+        return regionIds.get(root);
+    };
+    return chokepoints.map(choke => ({ ...choke, regions: choke.regions.map(regionId) }));
+}
+
+/**
+ * Crest cells standing at least `minHeight` above some passable cell within
+ * `radius`; the Laplacian is negative on hilltops and plateau rims
+ */
+function markHighGround(features, elevation, curvature, blocked, width, height, minHeight, radius) {
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (blocked[i] || curvature[i] > 0) continue;
+
+            let lowest = Infinity;
+            for (let dy = -radius; dy <= radius; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width || dx * dx + dy * dy > radius * radius) continue;
+                    const n = ny * width + nx;
+                    if (!blocked[n] && elevation[n] < lowest) lowest = elevation[n];
+                }
+            }
+
+            if (elevation[i] - lowest >= minHeight) features[i] |= FEATURE_HIGH_GROUND;
+        }
+    }
+}
+
+/**
+ * Passable slopes of at least `minSlope` next to high ground (and not on it)
+ */
+function markRamps(features, slopes, blocked, width, height, minSlope) {
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (blocked[i] || slopes[i] < minSlope || (features[i] & FEATURE_HIGH_GROUND)) continue;
+
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                if (features[ny * width + nx] & FEATURE_HIGH_GROUND) {
+                    features[i] |= FEATURE_RAMP;
+                    break;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Number of 8-connected open field regions
+ */
+function countOpenFields(features, width, height) {
+    const visited = new Uint8Array(width * height);
+    let count = 0;
+
+    for (let start = 0; start < features.length; start++) {
+        if (visited[start] || !(features[start] & FEATURE_OPEN_FIELD)) continue;
+        count++;
+        visited[start] = 1;
+        const stack = [start];
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const x = idx % width;
+            const y = (idx - x) / width;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (!visited[n] && (features[n] & FEATURE_OPEN_FIELD)) {
+                    visited[n] = 1;
+                    stack.push(n);
+                }
+            }
+        }
+    }
+
+    return count;
+}
@@ -0,0 +1,467 @@
+/**
+ * Map Symmetry
+ *
+ * Symmetric layouts for fair multiplayer RTS maps. A symmetry is a small
+ * group of affine transforms over lattice coordinates (cell x/y, not
+ * meters) plus a fundamental domain - the slice every other slice copies:
+ *
+ * - 'mirrorX'   left half mirrored onto the right (west vs east)
+ * - 'mirrorY'   top half mirrored onto the bottom (north vs south)
+ * - 'diagonal'  mirrored across the main diagonal
+ * - 'rotate2'   2-fold (180°) rotation about the center
+ * - 'rotate4'   4-fold (90°) rotation about the center
+ * - 'radial'    N-fold rotation about the center (folds = player count)
+ *
+ * Fields are symmetrized with a weighted average over each cell's orbit.
+ * The weight is 1 inside the fundamental domain and fades to 0 across a
+ * seam band, so interiors are exact copies and the slices blend where
+ * they meet instead of leaving a crease.
+ *
+ * Diagonal and 4-fold rotation need a square map: on any other shape the
+ * stretched images fall between lattice cells and the result is not
+ * symmetric, so createSymmetry() rejects them. Radial symmetry is a true
+ * rotation: outside the inscribed circle orbits leave the map and those
+ * cells are left as generated.
+ */
+
+export const SYMMETRY_MODES = ['none', 'mirrorX', 'mirrorY', 'diagonal', 'rotate2', 'rotate4', 'radial'];
+
+// Modes that swap the axes and so only map square maps onto themselves
+const SQUARE_ONLY_MODES = ['diagonal', 'rotate4'];
+
+// Lattice coordinates closer than this to an integer count as integer
+const LATTICE_EPSILON = 1e-6;
+
+/**
+ * Check a symmetry mode against a map size
+ *
+ * @param {string} mode - One of SYMMETRY_MODES
+ * @param {number} width - Map width (cells)
+ * @param {number} height - Map height (cells)
+ * @param {Object} options - { folds: radial fold count }
+ * @returns {Array<string>} Error messages (empty when usable)
+ */
+export function validateSymmetry(mode, width, height, { folds = 6 } = {}) {
+    if (!SYMMETRY_MODES.includes(mode)) {
+        return [`Unknown symmetry mode "${mode}" (expected one of: ${SYMMETRY_MODES.join(', ')})`];
+    }
+    const errors = [];
+    if (SQUARE_ONLY_MODES.includes(mode) && width !== height) {
+        errors.push(`Symmetry "${mode}" needs a square map (got ${width}x${height})`);
+    }
+    if (mode === 'radial' && (!Number.isInteger(folds) || folds < 2)) {
+        errors.push(`Radial symmetry needs an integer fold count >= 2 (got ${folds})`);
+    }
+    return errors;
+}
+
+/**
+ * Build a symmetry description for a map
+ *
+ * @param {string} mode - One of SYMMETRY_MODES
+ * @param {number} width - Map width (cells)
+ * @param {number} height - Map height (cells)
+ * @param {Object} options - { folds: radial fold count, seamWidth: blend band (cells) }
+ * @returns {Object|null} { mode, folds, seamWidth, transforms, exact, width, height }
+ *          or null for 'none'
+ */
+export function createSymmetry(mode, width, height, { folds = 6, seamWidth = 8 } = {}) {
+    const errors = validateSymmetry(mode, width, height, { folds });
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+    if (mode === 'none') return null;
+
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    // Diagonal/rotate4 run on square maps only, where these are 1
+    const sx = (width - 1) / Math.max(1, height - 1);
+    const sy = (height - 1) / Math.max(1, width - 1);
+
+    let transforms;
+    let domainDistance;
+
+    switch (mode) {
+        case 'mirrorX':
+            transforms = [identity(), affine(-1, 0, 0, 1, 2 * cx, 0)];
+            domainDistance = (x) => cx - x;
+            break;
+        case 'mirrorY':
+            transforms = [identity(), affine(1, 0, 0, -1, 0, 2 * cy)];
+            domainDistance = (x, y) => cy - y;
+            break;
+        case 'diagonal': {
+            // (x, y) -> (y, x) in normalized coordinates; domain below the diagonal
+            transforms = [identity(), affine(0, sx, sy, 0, 0, 0)];
+            const scale = (Math.min(width, height) - 1) / Math.SQRT2;
+            domainDistance = (x, y) => (y / Math.max(1, height - 1) - x / Math.max(1, width - 1)) * scale;
+            break;
+        }
+        case 'rotate2':
+            folds = 2;
+            transforms = rotationGroup(2, cx, cy, 1, 1);
+            domainDistance = wedgeDistance(2, cx, cy, 1, 1);
+            break;
+        case 'rotate4':
+            folds = 4;
+            transforms = rotationGroup(4, cx, cy, sx, sy);
+            domainDistance = wedgeDistance(4, cx, cy, Math.min(1, 1 / sx), Math.min(1, 1 / sy));
+            break;
+        case 'radial':
+            transforms = rotationGroup(folds, cx, cy, 1, 1);
+            domainDistance = wedgeDistance(folds, cx, cy, 1, 1);
+            break;
+    }
+
+    // Exact symmetries map lattice points onto lattice points, so fields can
+    // be copied cell for cell; anything else is resampled bilinearly
+    const exact = transforms.every(t =>
+        [[0, 0], [1, 0], [0, 1]].every(([x, y]) => {
+            const p = apply(t, x, y);
+            return isLattice(p.x) && isLattice(p.y);
+        })
+    );
+
+    return {
+        mode,
+        folds: mode === 'radial' || mode.startsWith('rotate') ? folds : 2,
+        seamWidth,
+        transforms,
+        exact,
+        width,
+        height,
+        domainDistance
+    };
+}
+
+/**
+ * Weight of a point in the fundamental domain: 1 inside, 0 outside, a
+ * smoothstep across the seam band (symmetric, so mirrored pairs sum to 1)
+ */
+export function domainWeight(symmetry, x, y) {
+    const d = symmetry.domainDistance(x, y);
+    const half = symmetry.seamWidth / 2;
+    if (half <= 0) return d > 0 ? 1 : d < 0 ? 0 : 0.5;
+
+    const t = Math.max(0, Math.min(1, (d + half) / (2 * half)));
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Symmetrize a per-cell field
+ *
+ * @param {Float32Array} field - Values per cell (row-major)
+ * @param {Object} symmetry - From createSymmetry()
+ * @returns {Float32Array} New symmetric field of the same type
+ */
+export function symmetrizeField(field, symmetry) {
+    const { width, height } = symmetry;
+    const out = new field.constructor(field.length);
+
+    if (symmetry.exact) {
+        // One weighted sum per orbit (in index order) written to every member,
+        // so mirrored cells end up bit-identical
+        const done = new Uint8Array(field.length);
+        for (let i = 0; i < field.length; i++) {
+            if (done[i]) continue;
+
+            const orbit = latticeOrbit(symmetry, i % width, Math.floor(i / width));
+            let sum = 0;
+            let weightSum = 0;
+            for (const j of orbit) {
+                const w = domainWeight(symmetry, j % width, Math.floor(j / width));
+                sum += w * field[j];
+                weightSum += w;
+            }
+
+            const value = weightSum > 0 ? sum / weightSum : field[i];
+            for (const j of orbit) {
+                out[j] = value;
+                done[j] = 1;
+            }
+        }
+        return out;
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            let sum = 0;
+            let weightSum = 0;
+            for (const t of symmetry.transforms) {
+                const p = apply(t, x, y);
+                if (!inBounds(p.x, p.y, width, height)) continue;
+                const w = domainWeight(symmetry, p.x, p.y);
+                sum += w * sampleBilinear(field, width, height, p.x, p.y);
+                weightSum += w;
+            }
+            out[i] = weightSum > 0 ? sum / weightSum : field[i];
+        }
+    }
+    return out;
+}
+
+/**
+ * Make a point set symmetric (e.g. tree positions)
+ * Points in the fundamental domain are replicated by every transform; an
+ * orbit is kept only if all of its images fit on the map and respect
+ * minSpacing against previously kept points, which stitches the seams
+ * without breaking symmetry.
+ *
+ * @param {Array<Object>} points - [{ x, z, ... }] in meters
+ * @param {Object} symmetry - From createSymmetry()
+ * @param {Object} options - { cellSize, minSpacing (meters) }
+ * @returns {Array<Object>} Symmetric point list (extra fields copied)
+ */
+export function symmetrizePoints(points, symmetry, { cellSize = 1, minSpacing = 0 } = {}) {
+    const { width, height } = symmetry;
+    const kept = [];
+    const bucketSize = Math.max(minSpacing, cellSize);
+    const buckets = new Map();
+    const bucketKey = (x, z) => `${Math.floor(x / bucketSize)},${Math.floor(z / bucketSize)}`;
+
+    const isClear = (x, z) => {
+        if (minSpacing <= 0) return true;
+        const bx = Math.floor(x / bucketSize);
+        const bz = Math.floor(z / bucketSize);
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (const other of buckets.get(`${bx + dx},${bz + dz}`) || []) {
+                    if (Math.hypot(other.x - x, other.z - z) < minSpacing) return false;
+                }
+            }
+        }
+        return true;
+    };
+
+    for (const point of points) {
+        const cellX = point.x / cellSize;
+        const cellZ = point.z / cellSize;
+        if (symmetry.domainDistance(cellX, cellZ) <= 0) continue;
+
+        const images = [];
+        let fits = true;
+        for (const t of symmetry.transforms) {
+            const p = apply(t, cellX, cellZ);
+            if (!inBounds(p.x, p.y, width, height)) {
+                fits = false;
+                break;
+            }
+            images.push({ ...point, x: p.x * cellSize, z: p.y * cellSize });
+        }
+        if (!fits) continue;
+
+        // Images must clear each other (orbits near the center or a seam) and earlier orbits
+        const clear = images.every((image, k) =>
+            isClear(image.x, image.z) &&
+            images.slice(0, k).every(other => Math.hypot(other.x - image.x, other.z - image.z) >= minSpacing)
+        );
+        if (!clear) continue;
+
+        for (const image of images) {
+            kept.push(image);
+            const key = bucketKey(image.x, image.z);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(image);
+        }
+    }
+
+    return kept;
+}
+
+/**
+ * Measure how far a field is from symmetric
+ * Compares every cell whose whole orbit lies on the map against its images.
+ * Lattice symmetries look the image cell up exactly. Resampled images fall
+ * between cells, where symmetrizeField() read a bilinear sample, so a cell
+ * only counts as off by how far it lies outside the range of the four
+ * cells around its image.
+ *
+ * @param {TypedArray} field - Values per cell
+ * @param {Object} symmetry - From createSymmetry()
+ * @param {Object} options - { categorical: compare cells for equality instead of values (biomes),
+ *     tolerance: largest error a cell may have and still count as matched }
+ * @returns {Object} { maxError, mismatched (fraction of checked cells), checked }
+ */
+export function measureSymmetry(field, symmetry, { categorical = false, tolerance = 0 } = {}) {
+    const { width, height } = symmetry;
+    // Resampled images read neighbor cells, which must have whole orbits too
+    const margin = symmetry.exact ? 0 : 1.5;
+    let maxError = 0;
+    let mismatched = 0;
+    let checked = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = field[y * width + x];
+            let error = 0;
+            let inside = true;
+
+            for (const t of symmetry.transforms) {
+                const p = apply(t, x, y);
+                if (!inBounds(p.x - margin, p.y - margin, width - 2 * margin, height - 2 * margin)) {
+                    inside = false;
+                    break;
+                }
+                if (categorical) {
+                    // Resampled images fall between cells; any surrounding cell may match
+                    error = Math.max(error, surroundingCells(p.x, p.y, width, height, symmetry.exact)
+                        .some(j => field[j] === value) ? 0 : 1);
+                } else {
+                    let low = Infinity;
+                    let high = -Infinity;
+                    for (const j of surroundingCells(p.x, p.y, width, height, symmetry.exact)) {
+                        low = Math.min(low, field[j]);
+                        high = Math.max(high, field[j]);
+                    }
+                    error = Math.max(error, value < low ? low - value : value > high ? value - high : 0);
+                }
+            }
+            if (!inside) continue;
+
+            checked++;
+            if (error > tolerance) mismatched++;
+            maxError = Math.max(maxError, error);
+        }
+    }
+
+    return { maxError, mismatched: checked > 0 ? mismatched / checked : 0, checked };
+}
+
+/**
+ * Largest distance (meters) from any point's image to the nearest point
+ * in the set; 0 for a perfectly symmetric point set
+ */
+export function measurePointSymmetry(points, symmetry, cellSize = 1) {
+    const bucketSize = 4 * cellSize;
+    const buckets = new Map();
+    for (const point of points) {
+        const key = `${Math.floor(point.x / bucketSize)},${Math.floor(point.z / bucketSize)}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(point);
+    }
+
+    let maxError = 0;
+    for (const point of points) {
+        for (const t of symmetry.transforms) {
+            const p = apply(t, point.x / cellSize, point.z / cellSize);
+            const x = p.x * cellSize;
+            const z = p.y * cellSize;
+            const bx = Math.floor(x / bucketSize);
+            const bz = Math.floor(z / bucketSize);
+
+            let nearest = Infinity;
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (const other of buckets.get(`${bx + dx},${bz + dz}`) || []) {
+                        nearest = Math.min(nearest, Math.hypot(other.x - x, other.z - z));
+                    }
+                }
+            }
+            maxError = Math.max(maxError, nearest);
+        }
+    }
+    return maxError;
+}
+
+/**
+ * Sorted, de-duplicated cell indices of a lattice point's orbit
+ */
+function latticeOrbit(symmetry, x, y) {
+    const { width, height } = symmetry;
+    const orbit = new Set();
+    for (const t of symmetry.transforms) {
+        const p = apply(t, x, y);
+        const px = Math.round(p.x);
+        const py = Math.round(p.y);
+        if (px >= 0 && px < width && py >= 0 && py < height) {
+            orbit.add(py * width + px);
+        }
+    }
+    return Array.from(orbit).sort((a, b) => a - b);
+}
+
+/**
+ * Rotations by 2πk/folds about (cx, cy); (sx, sy) stretch the rotated
+ * square back onto a non-square map
+ */
+function rotationGroup(folds, cx, cy, sx, sy) {
+    const transforms = [];
+    for (let k = 0; k < folds; k++) {
+        const angle = (2 * Math.PI * k) / folds;
+        // Snap so quarter turns stay exact lattice maps
+        const cos = snap(Math.cos(angle));
+        const sin = snap(Math.sin(angle));
+        const a = cos;
+        const b = -sin * sx;
+        const c = sin * sy;
+        const d = cos;
+        transforms.push(affine(a, b, c, d, cx - a * cx - b * cy, cy - c * cx - d * cy));
+    }
+    return transforms;
+}
+
+/**
+ * Signed distance to a wedge of angle 2π/folds centered on "north" (-y),
+ * positive inside; (sx, sy) measure in the rotation's normalized frame
+ */
+function wedgeDistance(folds, cx, cy, sx, sy) {
+    const halfAngle = Math.PI / folds;
+    return (x, y) => {
+        const dx = (x - cx) * sx;
+        const dy = (y - cy) * sy;
+        const radius = Math.hypot(dx, dy);
+        // Angle away from north, in [-π, π]
+        const delta = Math.atan2(dx, -dy);
+        return radius * Math.min(Math.sin(halfAngle - delta), Math.sin(halfAngle + delta));
+    };
+}
+
+function identity() {
+    return affine(1, 0, 0, 1, 0, 0);
+}
+
+function affine(a, b, c, d, e, f) {
+    return { a, b, c, d, e, f };
+}
+
+function apply(t, x, y) {
+    return { x: t.a * x + t.b * y + t.e, y: t.c * x + t.d * y + t.f };
+}
+
+function snap(value) {
+    const rounded = Math.round(value);
+    return Math.abs(value - rounded) < 1e-12 ? rounded : value;
+}
+
+function isLattice(value) {
+    return Math.abs(value - Math.round(value)) < LATTICE_EPSILON;
+}
+
+function inBounds(x, y, width, height) {
+    return x > -LATTICE_EPSILON && x < width - 1 + LATTICE_EPSILON &&
+        y > -LATTICE_EPSILON && y < height - 1 + LATTICE_EPSILON;
+}
+
+function surroundingCells(x, y, width, height, exact) {
+    if (exact) return [Math.round(y) * width + Math.round(x)];
+
+    const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+    const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    return [y0 * width + x0, y0 * width + x1, y1 * width + x0, y1 * width + x1];
+}
+
+function sampleBilinear(field, width, height, x, y) {
+    const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+    const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = Math.max(0, Math.min(1, x - x0));
+    const fy = Math.max(0, Math.min(1, y - y0));
+
+    const top = field[y0 * width + x0] * (1 - fx) + field[y0 * width + x1] * fx;
+    const bottom = field[y1 * width + x0] * (1 - fx) + field[y1 * width + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+}
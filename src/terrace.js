@@ -0,0 +1,791 @@
+/**
+ * RTS Plateau Terracing
+ *
+ * Turns land into discrete cliff levels with walkable ramps between them,
+ * the classic RTS layout the TERRACED_RTS curve only approximates:
+ *
+ * - level      land is split into `levels` bands by elevation quantile and
+ *              every cell snaps to its band's height, so each octagon tile
+ *              sits on exactly one level
+ * - clean      a majority filter over each tile's 8 neighbors removes
+ *              notches and spurs, an opening clears strips too thin to
+ *              walk, and plateaus smaller than `minPlateau` merge into the
+ *              level around them
+ * - plateau    8-connected cells of one level on dry land
+ * - ramp       a straight graded strip `rampWidth` cells wide along a lattice
+ *              axis, climbing from a lower plateau to a higher one at
+ *              `rampSlope` degrees (two levels at once only where a double
+ *              cliff leaves no other way)
+ *
+ * Ramp sites come from Poisson disk sampling over the whole map (like the
+ * lakes) snapped to the nearest cliff edge, so they are evenly spread. Sites
+ * that join separate walkable regions are taken first, then extra ramps up to
+ * `ramps`. Walkable regions are then relabeled and any still cut off get a
+ * ramp along their longest cliff edge, so the count is raised when the map
+ * needs more to reach every plateau. Reachability is 4-connected, as for
+ * navigation's A*, and on symmetric maps every ramp is carved with all of
+ * its images.
+ *
+ * Sea cells are never changed, so water coverage is preserved.
+ */
+
+import { labelLandComponents } from './connectivity.js';
+import { poissonDiskSampling } from './poisson.js';
+import { calculateSlopes } from './slope.js';
+import { symmetrizePoints } from './symmetry.js';
+
+const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// Clean passes; the majority filter adopts a level held by at least this many of the 8 neighbors
+const CLEAN_PASSES = 3;
+const CLEAN_MAJORITY = 5;
+
+// Ramp repair rounds against relabeled passable components
+const REPAIR_ROUNDS = 4;
+
+// Heights are blurred over this radius (cells) before banding
+const BAND_BLUR_RADIUS = 2;
+
+// Small-plateau merge passes (each pass can expose new small plateaus)
+const MERGE_PASSES = 4;
+
+/**
+ * Snap land to cliff levels and carve ramps, modifying elevation in place
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel }
+ * @param {Object} rng - RNG stream (next() in [0, 1))
+ * @param {Object} options - {
+ *     levels, levelHeight (m), minPlateau (cells), ramps, rampSpacing (cells),
+ *     rampWidth (cells), rampSlope (degrees), maxSlope (passability, degrees), symmetry
+ * }
+ * @returns {Object} { levelMap: Int8Array (-1 = water), rampMask: Uint8Array (1 = ramp cell), ramps, summary }
+ */
+export function terraceTerrain(terrain, rng, {
+    levels = 4,
+    levelHeight = 5,
+    minPlateau = 100,
+    ramps = 8,
+    rampSpacing = 16,
+    rampWidth = 4,
+    rampSlope = 35,
+    maxSlope = 50,
+    symmetry = null
+} = {}) {
+    if (rampSlope >= maxSlope) {
+        throw new Error(`Terrace ramp slope (${rampSlope}°) must be below the passable slope (${maxSlope}°)`);
+    }
+
+    const { elevation, width, height, cellSize = 1, seaLevel } = terrain;
+    const levelMap = assignLevels(elevation, seaLevel, levels, width, height);
+    cleanLevels(levelMap, width, height, minPlateau);
+
+    for (let i = 0; i < levelMap.length; i++) {
+        if (levelMap[i] >= 0) elevation[i] = levelElevation(seaLevel, levelMap[i], levelHeight);
+    }
+
+    const plateaus = labelRegions(levelMap, width, height);
+    const edges = findCliffEdges(levelMap, plateaus.labels, width, height);
+    const sites = sampleRampSites(edges, width, height, rng, rampSpacing, symmetry);
+
+    const ramp = {
+        levelMap, elevation, width, height, cellSize, seaLevel,
+        levelHeight, rampWidth, rampSlope, symmetry, carved: new Uint8Array(width * height)
+    };
+    const placed = placeRamps(ramp, terrain, edges, sites, { count: ramps, spacing: rampSpacing, maxSlope });
+
+    const unreachable = countUnreachable(terrain, levelMap, plateaus, maxSlope);
+    const summary = {
+        levels,
+        levelHeight,
+        plateaus: plateaus.sizes.length,
+        ramps: placed.length,
+        unreachablePlateaus: unreachable
+    };
+
+    return { levelMap, rampMask: ramp.carved, ramps: placed, summary };
+}
+
+/**
+ * Drop trees standing on a ramp or next to impassable ground. Terraced land
+ * is flat, so forests grow dense, and a single trunk at the foot of a cliff
+ * or on a ramp can seal the only way between two plateaus.
+ *
+ * @param {Array} trees - [{ x, z, height }] in meters
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap }
+ * @param {Uint8Array} rampMask - From terraceTerrain
+ * @param {Object} options - { maxSlope (degrees) }
+ * @returns {Array} Trees that leave every passage open
+ */
+export function clearTerraceTrees(trees, terrain, rampMask, { maxSlope = 50 } = {}) {
+    const { width, height, cellSize = 1 } = terrain;
+    const { components } = labelLandComponents(terrain, { maxSlope });
+
+    return trees.filter(tree => {
+        const x = Math.min(width - 1, Math.round(tree.x / cellSize));
+        const y = Math.min(height - 1, Math.round(tree.z / cellSize));
+        if (rampMask[y * width + x]) return false;
+
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            if (components[ny * width + nx] < 0) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Height of a level: the lowest sits half a level above the sea
+ */
+function levelElevation(seaLevel, level, levelHeight) {
+    return seaLevel + (level + 0.5) * levelHeight;
+}
+
+/**
+ * Level per land cell from elevation quantiles (equal land share per level).
+ * Bands come from a blurred copy of the heights so level borders follow the
+ * broad landforms instead of every bump.
+ */
+function assignLevels(elevation, seaLevel, levels, width, height) {
+    const smooth = boxBlur(elevation, width, height, BAND_BLUR_RADIUS);
+    const levelMap = new Int8Array(elevation.length).fill(-1);
+    const land = [];
+    for (let i = 0; i < elevation.length; i++) {
+        if (elevation[i] > seaLevel) land.push(smooth[i]);
+    }
+    land.sort((a, b) => a - b);
+
+    const thresholds = [];
+    for (let k = 1; k < levels; k++) {
+        thresholds.push(land[Math.floor((k / levels) * land.length)]);
+    }
+
+    for (let i = 0; i < elevation.length; i++) {
+        if (elevation[i] <= seaLevel) continue;
+        let level = 0;
+        while (level < thresholds.length && smooth[i] >= thresholds[level]) level++;
+        levelMap[i] = level;
+    }
+    return levelMap;
+}
+
+/**
+ * Separable box blur (edges clamp)
+ */
+function boxBlur(field, width, height, radius) {
+    const rows = new Float32Array(field.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += field[y * width + Math.min(width - 1, Math.max(0, x + k))];
+            }
+            rows[y * width + x] = sum / (2 * radius + 1);
+        }
+    }
+
+    const out = new Float32Array(field.length);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += rows[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+            }
+            out[y * width + x] = sum / (2 * radius + 1);
+        }
+    }
+    return out;
+}
+
+/**
+ * Clean the level map: majority filter, an opening that clears strips and
+ * necks too thin to walk (every cell must sit in a solid 3x3 block of its
+ * level, since the cells on both sides of a cliff are too steep), then
+ * merge plateaus below `minPlateau` into the level around them
+ */
+function cleanLevels(levelMap, width, height, minPlateau) {
+    for (let pass = 0; pass < CLEAN_PASSES; pass++) {
+        majorityFilter(levelMap, width, height);
+        openLevels(levelMap, width, height);
+        mergeSmallPlateaus(levelMap, width, height, minPlateau);
+    }
+}
+
+/**
+ * A cell adopts a level held by at least CLEAN_MAJORITY of its 8 neighbors
+ */
+function majorityFilter(levelMap, width, height) {
+    const counts = new Int32Array(128);
+    const source = levelMap.slice();
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (source[i] < 0) continue;
+
+            counts.fill(0);
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const level = source[ny * width + nx];
+                if (level >= 0 && ++counts[level] >= CLEAN_MAJORITY) levelMap[i] = level;
+            }
+        }
+    }
+}
+
+/**
+ * Cells outside every solid 3x3 block of their level take the most common
+ * other land level around them (lower wins ties); the map edge counts as
+ * the cell's own level and water-only borders keep their level
+ */
+function openLevels(levelMap, width, height) {
+    const source = levelMap.slice();
+    const solid = new Uint8Array(levelMap.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (source[i] < 0) continue;
+            solid[i] = 1;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                if (source[ny * width + nx] !== source[i]) {
+                    solid[i] = 0;
+                    break;
+                }
+            }
+        }
+    }
+
+    const counts = new Int32Array(128);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (source[i] < 0 || solid[i]) continue;
+
+            let covered = false;
+            counts.fill(0);
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (source[n] === source[i] && solid[n]) covered = true;
+                if (source[n] >= 0 && source[n] !== source[i]) counts[source[n]]++;
+            }
+            if (covered) continue;
+
+            let best = -1;
+            for (let level = 0; level < counts.length; level++) {
+                if (counts[level] > 0 && (best < 0 || counts[level] > counts[best])) best = level;
+            }
+            if (best >= 0) levelMap[i] = best;
+        }
+    }
+}
+
+/**
+ * Plateaus below `minPlateau` take the level most common along their
+ * border (lower wins ties); islets with no land border keep their level
+ */
+function mergeSmallPlateaus(levelMap, width, height, minPlateau) {
+    for (let pass = 0; pass < MERGE_PASSES; pass++) {
+        const { labels, sizes } = labelRegions(levelMap, width, height);
+        const small = sizes.map(size => size < minPlateau);
+        if (!small.includes(true)) break;
+
+        const borders = new Map();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                if (labels[i] < 0 || !small[labels[i]]) continue;
+                for (const [dx, dy] of NEIGHBORS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (levelMap[n] < 0 || labels[n] === labels[i]) continue;
+                    if (!borders.has(labels[i])) borders.set(labels[i], new Map());
+                    const tally = borders.get(labels[i]);
+                    tally.set(levelMap[n], (tally.get(levelMap[n]) || 0) + 1);
+                }
+            }
+        }
+        if (borders.size === 0) break;
+
+        const target = new Map();
+        for (const [plateau, tally] of borders) {
+            let best = -1;
+            for (const [level, count] of tally) {
+                if (best < 0 || count > tally.get(best) || (count === tally.get(best) && level < best)) best = level;
+            }
+            target.set(plateau, best);
+        }
+
+        for (let i = 0; i < levelMap.length; i++) {
+            if (labels[i] >= 0 && target.has(labels[i])) levelMap[i] = target.get(labels[i]);
+        }
+    }
+}
+
+/**
+ * Label 8-connected regions of equal non-negative keys; ids ordered by size
+ * (ties keep scan order)
+ */
+function labelRegions(keys, width, height) {
+    const labels = new Int32Array(keys.length).fill(-1);
+    const regions = [];
+
+    for (let start = 0; start < keys.length; start++) {
+        if (keys[start] < 0 || labels[start] >= 0) continue;
+        const id = regions.length;
+        labels[start] = id;
+        const stack = [start];
+        let size = 0;
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            size++;
+            const x = idx % width;
+            const y = (idx - x) / width;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (labels[n] < 0 && keys[n] === keys[start]) {
+                    labels[n] = id;
+                    stack.push(n);
+                }
+            }
+        }
+        regions.push({ id, size });
+    }
+
+    const order = regions.slice().sort((a, b) => b.size - a.size || a.id - b.id);
+    const remap = new Int32Array(regions.length);
+    order.forEach((region, rank) => { remap[region.id] = rank; });
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] >= 0) labels[i] = remap[labels[i]];
+    }
+
+    return { labels, sizes: order.map(region => region.size) };
+}
+
+/**
+ * Cliff edge cells: upper-level cells with a lower land neighbor, keyed by
+ * the (upper, lower) plateau pair they separate
+ */
+function findCliffEdges(levelMap, plateaus, width, height) {
+    const edgeMask = new Uint8Array(levelMap.length);
+    const pairs = new Map();
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (levelMap[i] < 0) continue;
+            for (const [dx, dy] of NEIGHBORS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (levelMap[n] < 0 || levelMap[n] >= levelMap[i]) continue;
+
+                edgeMask[i] = 1;
+                const key = `${plateaus[i]}:${plateaus[n]}`;
+                if (!pairs.has(key)) pairs.set(key, { upper: plateaus[i], lower: plateaus[n], cells: [] });
+                const cells = pairs.get(key).cells;
+                if (cells[cells.length - 1] !== i) cells.push(i);
+            }
+        }
+    }
+
+    return { mask: edgeMask, pairs: Array.from(pairs.values()) };
+}
+
+/**
+ * Poisson points over the whole map, each snapped to the nearest cliff edge
+ * cell within half the spacing
+ */
+function sampleRampSites(edges, width, height, rng, spacing, symmetry) {
+    let points = poissonDiskSampling(width, height, spacing, () => rng.next(), 30)
+        .map(p => ({ x: p.x, z: p.y }));
+    if (symmetry) {
+        points = symmetrizePoints(points, symmetry, { minSpacing: spacing });
+    }
+
+    const reach = Math.ceil(spacing / 2);
+    const sites = [];
+    const taken = new Set();
+    for (const point of points) {
+        const px = Math.min(width - 1, Math.floor(point.x));
+        const pz = Math.min(height - 1, Math.floor(point.z));
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let dy = -reach; dy <= reach; dy++) {
+            const y = pz + dy;
+            if (y < 0 || y >= height) continue;
+            for (let dx = -reach; dx <= reach; dx++) {
+                const x = px + dx;
+                if (x < 0 || x >= width) continue;
+                const distance = dx * dx + dy * dy;
+                if (edges.mask[y * width + x] && distance < bestDistance) {
+                    best = y * width + x;
+                    bestDistance = distance;
+                }
+            }
+        }
+        if (best >= 0 && !taken.has(best)) {
+            taken.add(best);
+            sites.push(best);
+        }
+    }
+    return sites;
+}
+
+/**
+ * Pick and carve ramps. Groups are the walkable components of the terrain
+ * (a plateau can be split by a neck too thin to walk, or by a ramp cut), so
+ * a ramp counts as joining only when its two landings are in different
+ * groups: Poisson sites that join groups first, then extra sites up to
+ * `count`, then repair rounds over every cliff edge (middle of the longest
+ * edges first) against freshly labeled components.
+ */
+function placeRamps(ramp, terrain, edges, sites, { count, spacing, maxSlope }) {
+    const { width } = ramp;
+    const placed = [];
+    let components;
+    let parent;
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const relabel = () => {
+        components = labelWalkable(terrain, maxSlope);
+        parent = Array.from({ length: components.length }, (_, i) => i);
+    };
+
+    const spaced = (cell) => placed.every(r =>
+        Math.hypot(r.cell.x - cell % width, r.cell.y - Math.floor(cell / width)) >= spacing / 2);
+    const tryPlace = (cell, joinOnly) => {
+        const orbit = planRamp(ramp, cell);
+        if (!orbit) return false;
+        const a = components[orbit[0].upperLanding];
+        const b = components[orbit[0].lowerLanding];
+        if (a < 0 || b < 0) return false;
+        if (joinOnly && find(a) === find(b)) return false;
+
+        for (const image of orbit) {
+            carveRamp(ramp, image);
+            const upper = components[image.upperLanding];
+            const lower = components[image.lowerLanding];
+            if (upper >= 0 && lower >= 0) parent[find(upper)] = find(lower);
+            placed.push(image);
+        }
+        return true;
+    };
+
+    relabel();
+    for (const cell of sites) tryPlace(cell, true);
+    for (const cell of sites) {
+        if (placed.length >= count) break;
+        if (!placed.some(r => r.site === cell) && spaced(cell)) tryPlace(cell, false);
+    }
+
+    const pairs = edges.pairs.slice().sort((a, b) => b.cells.length - a.cells.length || a.upper - b.upper || a.lower - b.lower);
+    const edgeOrder = pairs.map(pair => {
+        const middle = pair.cells.length >> 1;
+        return pair.cells.map((cell, k) => ({ cell, k }))
+            .sort((a, b) => Math.abs(a.k - middle) - Math.abs(b.k - middle) || a.k - b.k)
+            .map(({ cell }) => cell);
+    });
+
+    for (let round = 0; round < REPAIR_ROUNDS; round++) {
+        relabel();
+        const before = placed.length;
+        for (const cells of edgeOrder) {
+            for (const cell of cells) {
+                if (tryPlace(cell, true)) break;
+            }
+        }
+        if (placed.length === before) break;
+    }
+
+    return placed.map(({ site, half, upperLanding, lowerLanding, footprint, ...info }) => info);
+}
+
+/**
+ * Lay out a ramp through an edge cell: it runs downhill with half its
+ * length on each side of the cliff, and both ends must land on solid
+ * ground of the two levels it joins. Axis directions are tried in order
+ * of how closely they follow the level gradient (diagonal strips leave
+ * corner pinches that A* cannot pass).
+ *
+ * @returns {Array|null} The ramp followed by its symmetry images
+ */
+function planRamp(ramp, site) {
+    const { levelMap, width, height } = ramp;
+    const sx = site % width;
+    const sy = (site - sx) / width;
+
+    let dirX = 0;
+    let dirY = 0;
+    for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+            const x = sx + dx;
+            const y = sy + dy;
+            if (x < 0 || y < 0 || x >= width || y >= height) continue;
+            const level = levelMap[y * width + x];
+            if (level < 0) continue;
+            const drop = levelMap[site] - level;
+            dirX += dx * drop;
+            dirY += dy * drop;
+        }
+    }
+    const norm = Math.hypot(dirX, dirY);
+    if (norm === 0) return null;
+    const gradient = { x: dirX / norm, z: dirY / norm };
+
+    const directions = NEIGHBORS.slice(0, 4)
+        .map(([dx, dy]) => ({ x: dx, z: dy }))
+        .filter(d => d.x * gradient.x + d.z * gradient.z > 0)
+        .sort((a, b) => (b.x * gradient.x + b.z * gradient.z) - (a.x * gradient.x + a.z * gradient.z));
+
+    // Single-level ramps first; a plateau ringed by a double cliff needs a longer one
+    for (let drop = 1; drop <= levelMap[site]; drop++) {
+        for (const direction of directions) {
+            const plan = planRampAlong(ramp, sx, sy, direction, drop);
+            const orbit = plan && planOrbit(ramp, plan);
+            if (orbit) return orbit;
+        }
+    }
+    return null;
+}
+
+/**
+ * A ramp and its images under the map symmetry, or null when any image does
+ * not fit, so symmetric maps only ever get whole orbits of ramps. Images may
+ * only overlap when they run the same way (a ramp along a mirror axis), in
+ * which case the strips grade identically and merge into one wider ramp.
+ */
+function planOrbit(ramp, plan) {
+    const { symmetry } = ramp;
+    if (!symmetry) return [plan];
+
+    const orbit = [plan];
+    const used = new Set(plan.footprint.map(({ i }) => i));
+    const parallel = (a, b) => a.direction.x * b.direction.x + a.direction.z * b.direction.z > 0.999 && a.to === b.to;
+    for (const t of symmetry.transforms.slice(1)) {
+        const x = Math.round(t.a * plan.cell.x + t.b * plan.cell.y + t.e);
+        const y = Math.round(t.c * plan.cell.x + t.d * plan.cell.y + t.f);
+        const dx = t.a * plan.direction.x + t.b * plan.direction.z;
+        const dz = t.c * plan.direction.x + t.d * plan.direction.z;
+        const norm = Math.hypot(dx, dz);
+        if (x < 0 || y < 0 || x >= ramp.width || y >= ramp.height || norm === 0) return null;
+
+        const image = planRampAlong(ramp, x, y, { x: dx / norm, z: dz / norm }, plan.to - plan.from);
+        if (!image) return null;
+        if (image.footprint.some(({ i }) => used.has(i)) && !orbit.every(other => parallel(other, image))) return null;
+        for (const { i } of image.footprint) used.add(i);
+        orbit.push(image);
+    }
+    return orbit;
+}
+
+/**
+ * Ramp through (sx, sy) going down `direction` by `drop` levels, or null
+ * when it does not fit
+ */
+function planRampAlong(ramp, sx, sy, direction, drop) {
+    const { levelMap, width, height, cellSize, levelHeight, rampWidth, rampSlope, seaLevel } = ramp;
+    const site = sy * width + sx;
+    const rise = drop * levelHeight;
+    const length = Math.max(2, rise / (Math.tan(rampSlope * Math.PI / 180) * cellSize));
+    const half = length / 2;
+
+    const at = (t) => {
+        const x = Math.round(sx + direction.x * t);
+        const y = Math.round(sy + direction.z * t);
+        return x < 0 || y < 0 || x >= width || y >= height ? -1 : y * width + x;
+    };
+
+    // Both landings must be solid ground (not a cliff rim or another ramp) on the two levels
+    const upperLevel = levelMap[site];
+    const lowerLevel = upperLevel - drop;
+    if (lowerLevel < 0) return null;
+    for (const t of [half + 1, half + 2]) {
+        if (!isLanding(ramp, at(-t), upperLevel) || !isLanding(ramp, at(t), lowerLevel)) return null;
+    }
+
+    for (let t = -half; t <= half; t += 0.5) {
+        const cell = at(t);
+        if (cell < 0 || levelMap[cell] < 0) return null;
+    }
+
+    const top = levelElevation(seaLevel, upperLevel, levelHeight);
+    const plan = {
+        site,
+        x: sx * cellSize,
+        z: sy * cellSize,
+        cell: { x: sx, y: sy },
+        from: lowerLevel,
+        to: upperLevel,
+        upperLanding: at(-half - 1),
+        lowerLanding: at(half + 1),
+        direction,
+        length: length * cellSize,
+        width: rampWidth * cellSize,
+        top,
+        bottom: top - rise,
+        half
+    };
+
+    // Ramps never cross each other
+    plan.footprint = rampFootprint(ramp, plan);
+    if (plan.footprint.some(({ i }) => ramp.carved[i])) return null;
+    return plan;
+}
+
+/**
+ * Cells of the ramp strip (land only) with their position t along it
+ */
+function rampFootprint(ramp, plan) {
+    const { levelMap, width, height, rampWidth } = ramp;
+    const { cell, direction, half } = plan;
+    const reach = Math.ceil(half + rampWidth);
+    const cells = [];
+
+    for (let dy = -reach; dy <= reach; dy++) {
+        const y = cell.y + dy;
+        if (y < 0 || y >= height) continue;
+        for (let dx = -reach; dx <= reach; dx++) {
+            const x = cell.x + dx;
+            if (x < 0 || x >= width) continue;
+            const i = y * width + x;
+            if (levelMap[i] < 0) continue;
+
+            const t = dx * direction.x + dy * direction.z;
+            const s = dy * direction.x - dx * direction.z;
+            if (Math.abs(t) <= half && Math.abs(s) <= rampWidth / 2) cells.push({ i, t });
+        }
+    }
+    return cells;
+}
+
+/**
+ * Grade the ramp strip between its end heights
+ */
+function carveRamp(ramp, plan) {
+    const { elevation, carved } = ramp;
+    const { half, top, bottom } = plan;
+    for (const { i, t } of plan.footprint) {
+        elevation[i] = top + (bottom - top) * (t + half) / (2 * half);
+        carved[i] = 1;
+    }
+}
+
+/**
+ * Landing cell: on `level`, not carved, and all 8 neighbors on the same level
+ */
+function isLanding({ levelMap, carved, width, height }, cell, level) {
+    if (cell < 0 || levelMap[cell] !== level || carved[cell]) return false;
+    const x = cell % width;
+    const y = (cell - x) / width;
+    for (const [dx, dy] of NEIGHBORS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        if (levelMap[ny * width + nx] !== level) return false;
+    }
+    return true;
+}
+
+/**
+ * Plateaus with no passable cell in the main passable component of their
+ * landmass (the component holding most of the landmass's passable cells);
+ * islets with no passable ground at all are left to the connectivity checks
+ */
+function countUnreachable(terrain, levelMap, plateaus, maxSlope) {
+    const { width, height } = terrain;
+    const components = labelWalkable(terrain, maxSlope);
+
+    const landKeys = new Int8Array(levelMap.length);
+    for (let i = 0; i < levelMap.length; i++) landKeys[i] = levelMap[i] >= 0 ? 0 : -1;
+    const landmasses = labelRegions(landKeys, width, height).labels;
+
+    // Passable cells per (landmass, component)
+    const tallies = new Map();
+    for (let i = 0; i < components.length; i++) {
+        if (components[i] < 0 || landmasses[i] < 0) continue;
+        if (!tallies.has(landmasses[i])) tallies.set(landmasses[i], new Map());
+        const tally = tallies.get(landmasses[i]);
+        tally.set(components[i], (tally.get(components[i]) || 0) + 1);
+    }
+    const main = new Map();
+    for (const [landmass, tally] of tallies) {
+        let best = -1;
+        for (const [component, count] of tally) {
+            if (best < 0 || count > tally.get(best) || (count === tally.get(best) && component < best)) best = component;
+        }
+        main.set(landmass, best);
+    }
+
+    const reached = new Uint8Array(plateaus.sizes.length);
+    for (let i = 0; i < components.length; i++) {
+        if (plateaus.labels[i] >= 0 && components[i] >= 0 && components[i] === main.get(landmasses[i])) {
+            reached[plateaus.labels[i]] = 1;
+        }
+    }
+
+    let unreachable = 0;
+    const walkable = new Uint8Array(plateaus.sizes.length);
+    for (let i = 0; i < components.length; i++) {
+        if (plateaus.labels[i] >= 0 && tallies.has(landmasses[i])) walkable[plateaus.labels[i]] = 1;
+    }
+    for (let p = 0; p < reached.length; p++) {
+        if (walkable[p] && !reached[p]) unreachable++;
+    }
+    return unreachable;
+}
+
+/**
+ * Walkable components of dry land, 4-connected: navigation's A* never cuts
+ * a corner between two blocked cells, so a diagonal pinch at a ramp end or
+ * between two cliff corners does not join anything
+ */
+function labelWalkable({ elevation, width, height, cellSize = 1, seaLevel }, maxSlope) {
+    const slopes = calculateSlopes(elevation, width, height, cellSize);
+    const components = new Int32Array(elevation.length).fill(-1);
+    const walkable = (i) => elevation[i] > seaLevel && slopes[i] <= maxSlope;
+
+    let count = 0;
+    for (let start = 0; start < components.length; start++) {
+        if (components[start] >= 0 || !walkable(start)) continue;
+        components[start] = count;
+        const stack = [start];
+        while (stack.length > 0) {
+            const idx = stack.pop();
+            const x = idx % width;
+            const y = (idx - x) / width;
+            for (const [dx, dy] of NEIGHBORS.slice(0, 4)) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                const n = ny * width + nx;
+                if (components[n] < 0 && walkable(n)) {
+                    components[n] = count;
+                    stack.push(n);
+                }
+            }
+        }
+        count++;
+    }
+    return components;
+}
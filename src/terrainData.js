@@ -0,0 +1,168 @@
+/**
+ * Normalized Terrain Data Contract
+ *
+ * Generators return different result shapes (v1.0 uses normalized 0..1
+ * heights and per-cell splat objects, v1.1 uses meters and per-channel
+ * arrays). The renderer only consumes the normalized shape below.
+ *
+ * {
+ *   version,             // Generator version that produced the data
+ *   elevation,           // Float32Array - heights in meters
+ *   seaLevel,            // Sea level in meters
+ *   seaLevelNormalized,  // Sea level as fraction of ELEVATION_SCALE
+ *   elevationScale,      // Meters per normalized unit
+ *   width, height,       // Lattice dimensions (cells)
+ *   cellSize,            // Meters per cell
+ *   moisture,            // Float32Array 0..1
+ *   temperature,         // Float32Array 0..1
+ *   waterDistance,       // Float32Array meters to sea, lake or river (see waterDistance.js), or null
+ *   biomes,              // Uint8Array of BiomeType
+ *   splatWeights,        // { grass, rock, sand, snow } Float32Arrays
+ *   flowMap,             // Float32Array or null
+ *   trees,               // [{ x, z, height }] precomputed placement, or null
+ *   rivers,              // River polylines (see rivers.js), [] if none
+ *   lakes,               // Lakes with their own water levels (see depressions.js)
+ *   lakeMap,             // Int32Array lake id per cell (-1 = none), or null
+ *   startLocations,      // [{ player, x, z, cell }] player starts (see startLocations.js)
+ *   resources,           // Resource deposits with prop layouts (see resources.js)
+ *   landComponents,      // Int32Array passable land component per cell (-1 = impassable), or null
+ *   navigation,          // { width, height, cellSize, cost: Uint8Array, classes: { [unit class]: Uint8Array } }
+ *                        // AI cost grids (see navigation.js, tilePathfinding.js), or null
+ *   strategic,           // { clearance, features, chokepoints } (see strategic.js), or null
+ *   terrace,             // { levelMap: Int8Array (-1 = water), rampMask, ramps } (see terrace.js), or null
+ *   pipeline,            // Stage list spec (v1.1) or null
+ *   metrics, subSeeds, rngStates
+ * }
+ */
+
+/**
+ * Convert a generator result into the normalized terrain data contract
+ *
+ * @param {Object} result - Output of a registered generator's generate()
+ * @param {Object} config - Config used for generation
+ * @param {string} version - Generator version that produced the result
+ * @returns {Object} Normalized terrain data
+ */
+export function normalizeTerrainData(result, config, version = config.VERSION) {
+    if (result.normalized) return result;
+
+    const scale = config.ELEVATION_SCALE;
+    const size = result.width * result.height;
+    const inMeters = typeof result.seaLevel === 'number';
+
+    // Legacy results carry normalized heights and no solved sea level
+    let elevation = result.elevation;
+    let seaLevel = result.seaLevel;
+    if (!inMeters) {
+        elevation = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            elevation[i] = result.elevation[i] * scale;
+        }
+        seaLevel = config.SEA_LEVEL * scale;
+    }
+
+    return {
+        normalized: true,
+        version,
+        elevation,
+        seaLevel,
+        seaLevelNormalized: seaLevel / scale,
+        elevationScale: scale,
+        width: result.width,
+        height: result.height,
+        cellSize: result.cellSize ?? config.CELL_SIZE,
+        moisture: result.moisture,
+        temperature: result.temperature,
+        waterDistance: result.waterDistance || null,
+        biomes: toBiomeArray(result.biomes, size),
+        splatWeights: toSplatChannels(result.splatWeights, size),
+        flowMap: result.flowMap || null,
+        trees: result.trees || null,
+        rivers: result.rivers || [],
+        lakes: result.lakes || [],
+        lakeMap: result.lakeMap || null,
+        startLocations: result.startLocations || [],
+        resources: result.resources || [],
+        landComponents: result.landComponents || null,
+        navigation: result.navigation || null,
+        strategic: result.strategic || null,
+        terrace: result.terrace || null,
+        pipeline: result.pipeline || null,
+        metrics: result.metrics || {},
+        subSeeds: result.subSeeds || {},
+        rngStates: result.rngStates || {}
+    };
+}
+
+/**
+ * Ensure biomes are a per-cell Uint8Array
+ */
+function toBiomeArray(biomes, size) {
+    if (biomes instanceof Uint8Array) return biomes;
+
+    const out = new Uint8Array(size);
+    if (biomes && typeof biomes.length === 'number') {
+        for (let i = 0; i < size; i++) out[i] = biomes[i];
+    }
+    return out;
+}
+
+/**
+ * Convert per-cell splat objects ({grass, rock, sand, snow}[]) into
+ * per-channel Float32Arrays; channel-shaped input is passed through
+ */
+function toSplatChannels(splatWeights, size) {
+    if (splatWeights && !Array.isArray(splatWeights) && splatWeights.grass) {
+        return splatWeights;
+    }
+
+    const channels = {
+        grass: new Float32Array(size),
+        rock: new Float32Array(size),
+        sand: new Float32Array(size),
+        snow: new Float32Array(size)
+    };
+
+    if (!splatWeights) return channels;
+
+    for (let i = 0; i < size; i++) {
+        const w = splatWeights[i];
+        channels.grass[i] = w.grass;
+        channels.rock[i] = w.rock;
+        channels.sand[i] = w.sand;
+        channels.snow[i] = w.snow;
+    }
+    return channels;
+}
+
+/**
+ * Collect the ArrayBuffers of a normalized terrain data object so it can
+ * be posted from a worker without copying
+ */
+export function getTransferables(terrainData) {
+    const arrays = [
+        terrainData.elevation,
+        terrainData.moisture,
+        terrainData.temperature,
+        terrainData.waterDistance,
+        terrainData.biomes,
+        terrainData.flowMap,
+        terrainData.lakeMap,
+        terrainData.landComponents,
+        terrainData.navigation?.cost,
+        ...Object.values(terrainData.navigation?.classes || {}),
+        terrainData.strategic?.clearance,
+        terrainData.strategic?.features,
+        terrainData.terrace?.levelMap,
+        terrainData.terrace?.rampMask,
+        ...Object.values(terrainData.splatWeights)
+    ];
+
+    const buffers = new Set();
+    for (const array of arrays) {
+        if (array && array.buffer instanceof ArrayBuffer) {
+            buffers.add(array.buffer);
+        }
+    }
+    return Array.from(buffers);
+}
@@ -4,10 +4,12 @@ import { HydraulicErosion, applyThermalErosion } from './erosion.js';
 import { generateNoiseField } from './noise.js';
 
 export class TerrainGenerator {
-    constructor(config) {
+    // options.onProgress(phase) is called as each phase starts
+    constructor(config, options = {}) {
         this.config = config;
         this.width = config.MAP_WIDTH;
         this.height = config.MAP_HEIGHT;
+        this.onProgress = options.onProgress || null;
     }
     
     // Generate complete terrain data
@@ -17,20 +19,26 @@ export class TerrainGenerator {
         
         // Step 1: Generate noise fields
         console.log('  → Generating noise fields...');
+        this._reportProgress('elevation');
         const elevation = this._generateElevation();
+        this._reportProgress('moisture');
         const moisture = this._generateMoisture();
+        this._reportProgress('temperature');
         const temperature = this._generateTemperature();
         
         // Step 2: Apply erosion
         console.log('  → Applying erosion...');
+        this._reportProgress('erosion');
         const flowMap = this._applyErosion(elevation);
         
         // Step 3: Classify biomes
         console.log('  → Classifying biomes...');
+        this._reportProgress('biomes');
         const biomes = this._classifyBiomes(elevation, moisture, temperature);
         
         // Step 4: Calculate splat weights
         console.log('  → Calculating terrain textures...');
+        this._reportProgress('splatWeights');
         const splatWeights = this._calculateSplatWeights(elevation, biomes);
         
         const elapsed = performance.now() - start;
@@ -48,6 +56,13 @@ export class TerrainGenerator {
         };
     }
     
+    // Notify the progress callback that a phase is starting
+    _reportProgress(phase) {
+        if (this.onProgress) {
+            this.onProgress(phase);
+        }
+    }
+    
     // Generate elevation map
     _generateElevation() {
         const seed = this.config.SEED;
@@ -7,25 +7,372 @@
  * - Quantile solver for exact water coverage
  * - Poisson disk lake placement
  * - Elevation curve presets
+ * - Ridged multifractal mountain chains
+ * - Per-band domain warping
  * - Metrics and validation
+ * - Pluggable pipeline stages (see pipeline.js)
+ * - Priority-flood lakes with per-lake spill levels
+ * - River network extraction (Strahler order, carved beds)
+ * - Partial regeneration of stages affected by config changes
+ * - Mirror/rotational/radial map symmetry for fair multiplayer layouts
+ * - Player start placement with per-player fairness scoring
+ * - Resource deposits (per-player and contested gold, stone, wood)
+ * - Land connectivity checks (largest landmass, reachable starts, pockets)
+ * - Generate-until-valid mode: land repairs and deterministic retry seeds
+ * - Terrace mode: discrete cliff levels joined by Poisson-placed ramps
+ * - Navigation cost grid for game AI (water/cliffs/trees blocked, A* start paths)
+ * - Strategic features: chokepoints, high ground, ramps and open fields
  */
 
-import { BiomeClassifier } from './biomes.js';
+import { BiomeType, classifyBiomeField } from './biomes.js';
+import { analyzeConnectivity, labelLandComponents, repairLandConnectivity } from './connectivity.js';
+import { findLakes, summarizeLakes } from './depressions.js';
 import { getPreset } from './elevationCurve.js';
-import { HydraulicErosion } from './erosion.js';
-import { generateNoiseField } from './noise.js';
+import { DropletErosion, HydraulicErosion, applyThermalWeathering } from './erosion.js';
+import { simulateRainShadow } from './moisture.js';
+import { generateNoiseField, generateRidgeField } from './noise.js';
+import { Pipeline, registerStage } from './pipeline.js';
 import { poissonDiskSampling } from './poisson.js';
 import { calculateTerrainStats, solveSeaLevel, validateWaterCoverage } from './quantile.js';
-import { MultiStreamRNG } from './rng.js';
+import { placeResources } from './resources.js';
+import { createNavigationGrid, measureStartPaths, NAV_BLOCKED } from './navigation.js';
+import { createUnitNavigation } from './tilePathfinding.js';
+import { MultiStreamRNG, hashSeed } from './rng.js';
+import { analyzeStrategicFeatures } from './strategic.js';
+import { clearTerraceTrees, terraceTerrain } from './terrace.js';
+import { extractRivers, summarizeRivers } from './rivers.js';
+import { placeStartLocations } from './startLocations.js';
+import { createSymmetry, measurePointSymmetry, measureSymmetry, symmetrizeField, symmetrizePoints } from './symmetry.js';
+import { calculateTreeMetrics, generateTreePositions } from './treePlacement.js';
+import { calculateWaterDistance, waterProximity } from './waterDistance.js';
+
+// Config keys of every stage whose output is made symmetric
+const SYMMETRY_KEYS = ['SYMMETRY_MODE', 'SYMMETRY_FOLDS', 'SYMMETRY_SEAM_WIDTH'];
+
+/**
+ * Built-in v1.1 stages, in execution order
+ * Each wraps one generator phase; custom stages can be inserted around them
+ * (e.g. pipeline.insertAfter('elevation', studioStage)) or replace them.
+ *
+ * `inputs`/`outputs` name the state fields a stage reads/writes and
+ * `configKeys` the config it depends on; regenerate() uses them as the
+ * dependency graph for partial regeneration.
+ */
+export const BUILTIN_STAGES = [
+    {
+        name: 'elevation',
+        stream: 'terrain',
+        streams: ['terrain', 'warp', 'lakes'],
+        inputs: [],
+        outputs: ['elevation'],
+        configKeys: [
+            'NOISE_MACRO', 'NOISE_MESO', 'NOISE_MICRO', 'NOISE_WARP_STRENGTH', 'NOISE_WARP_ITERATIONS',
+            'ELEVATION_CURVE', 'ELEVATION_SCALE',
+            'RIDGES_ENABLED', 'RIDGES_FREQUENCY', 'RIDGES_DIRECTION', 'RIDGES_STRENGTH', 'RIDGES_SHARPNESS',
+            'RIDGES_OCTAVES', 'RIDGES_ELONGATION', 'RIDGES_MASK_TO_MACRO', 'RIDGES_MASK_THRESHOLD',
+            'SEA_LEVEL', 'WATER_PERCENTAGE', 'LAKE_MIN_SPACING', 'LAKE_DEPTH_MIN', 'LAKE_DEPTH_MAX',
+            'LAKE_SHAPE_SQUARENESS', 'LAKE_EDGE_NOISE_AMP'
+        ],
+        run: (state, { generator }) => {
+            state.elevation = generator._generateElevation();
+        }
+    },
+    {
+        name: 'erosion',
+        stream: 'erosion',
+        inputs: ['elevation'],
+        outputs: ['elevation'],
+        configKeys: [
+            'EROSION_ITERATIONS', 'EROSION_STRENGTH', 'EROSION_DROPLET_COUNT', 'EROSION_STRATIFIED',
+            'EROSION_INERTIA', 'EROSION_CAPACITY', 'EROSION_MIN_SLOPE', 'EROSION_DEPOSITION',
+            'EROSION_EVAPORATION', 'EROSION_GRAVITY', 'EROSION_RADIUS', 'ELEVATION_SCALE', 'VERSION'
+        ],
+        run: (state, { generator, config }) => {
+            if (config.EROSION_ITERATIONS > 0) {
+                // v1.1 eroded by flow and renormalized heights to 0..1; later versions keep meters
+                if (config.VERSION === '1.1') {
+                    generator._applyFlowErosion(state.elevation);
+                } else {
+                    generator._applyErosion(state.elevation);
+                }
+            }
+        }
+    },
+    {
+        name: 'thermalErosion',
+        inputs: ['elevation'],
+        outputs: ['elevation'],
+        configKeys: ['THERMAL_ITERATIONS', 'THERMAL_TALUS_ANGLE', 'THERMAL_RATE', 'CELL_SIZE'],
+        run: (state, { generator, config }) => {
+            if (config.THERMAL_ITERATIONS > 0) {
+                generator._applyThermalErosion(state.elevation);
+            }
+        }
+    },
+    {
+        name: 'symmetry',
+        inputs: ['elevation'],
+        outputs: ['elevation'],
+        configKeys: SYMMETRY_KEYS,
+        run: (state, { generator }) => {
+            generator._applySymmetry(state.elevation);
+        }
+    },
+    {
+        name: 'seaLevel',
+        inputs: ['elevation'],
+        outputs: ['seaLevelData', 'elevation'], // 0% water raises terrain in place
+        configKeys: ['WATER_PERCENTAGE', 'WATER_EPSILON', 'WATER_TOLERANCE'],
+        run: (state, { generator }) => {
+            state.seaLevelData = generator._solveSeaLevel(state.elevation);
+        }
+    },
+    {
+        name: 'terrace',
+        stream: 'terrace',
+        inputs: ['elevation', 'seaLevelData'],
+        outputs: ['elevation', 'terrace'],
+        configKeys: [
+            'TERRACE_ENABLED', 'TERRACE_LEVELS', 'TERRACE_LEVEL_HEIGHT', 'TERRACE_MIN_PLATEAU', 'TERRACE_RAMPS',
+            'TERRACE_RAMP_SPACING', 'TERRACE_RAMP_WIDTH', 'TERRACE_RAMP_SLOPE', 'PASSABLE_MAX_SLOPE', 'CELL_SIZE',
+            ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator, config, rng }) => {
+            if (config.TERRACE_ENABLED) {
+                state.terrace = generator._terraceLand(state, rng);
+            } else {
+                state.terrace = null;
+                delete generator.metrics.terrace;
+            }
+        }
+    },
+    {
+        name: 'depressions',
+        inputs: ['elevation', 'seaLevelData'],
+        outputs: ['lakes', 'lakeMap', 'elevation'], // Fills basins too small for lakes
+        configKeys: ['LAKE_MIN_AREA', 'LAKE_MIN_DEPTH', 'CELL_SIZE'],
+        run: (state, { generator }) => {
+            Object.assign(state, generator._findLakes(state.elevation, state.seaLevelData.seaLevel));
+        }
+    },
+    {
+        name: 'rivers',
+        inputs: ['elevation', 'seaLevelData', 'lakes', 'lakeMap'],
+        outputs: ['rivers', 'flowMap', 'elevation'], // Carves river beds
+        configKeys: [
+            'RIVERS_ENABLED', 'RIVER_FLOW_THRESHOLD', 'RIVER_WIDTH_MIN', 'RIVER_WIDTH_SCALE',
+            'RIVER_BED_DEPTH', 'CELL_SIZE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator, config }) => {
+            if (config.RIVERS_ENABLED) {
+                Object.assign(state, generator._extractRivers(
+                    state.elevation,
+                    state.seaLevelData.seaLevel,
+                    state.lakes,
+                    state.lakeMap
+                ));
+            } else {
+                state.rivers = [];
+                state.flowMap = null;
+            }
+        }
+    },
+    {
+        // No-op unless the attempt needs repairs (see generate())
+        name: 'landRepair',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap'],
+        outputs: ['elevation', 'seaLevelData'],
+        configKeys: ['PASSABLE_MAX_SLOPE', 'WATER_PERCENTAGE', 'WATER_TOLERANCE', 'CELL_SIZE', ...SYMMETRY_KEYS],
+        run: (state, { generator }) => {
+            if (generator.landRepaired) {
+                generator._repairLand(state);
+            } else {
+                delete generator.metrics.landRepair;
+            }
+        }
+    },
+    {
+        name: 'waterDistance',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'rivers'],
+        outputs: ['waterDistance'],
+        configKeys: ['CELL_SIZE', ...SYMMETRY_KEYS],
+        run: (state, { generator }) => {
+            state.waterDistance = generator._calculateWaterDistance(state);
+        }
+    },
+    {
+        name: 'moisture',
+        stream: 'moisture',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'waterDistance'],
+        outputs: ['moisture'],
+        configKeys: [
+            'NOISE_MOIST', 'MOISTURE_RAIN_SHADOW_WEIGHT', 'MOISTURE_WIND_DIRECTION', 'MOISTURE_INFLOW',
+            'MOISTURE_EVAPORATION', 'MOISTURE_RAIN_RATE', 'MOISTURE_OROGRAPHIC', 'MOISTURE_COASTAL_BOOST',
+            'CLIMATE_COAST_RANGE', 'CELL_SIZE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator }) => {
+            state.moisture = generator._generateMoisture(
+                state.elevation, state.seaLevelData.seaLevel, state.lakeMap, state.waterDistance
+            );
+        }
+    },
+    {
+        name: 'temperature',
+        stream: 'temperature',
+        inputs: ['elevation', 'seaLevelData', 'waterDistance'],
+        outputs: ['temperature'],
+        configKeys: [
+            'NOISE_TEMP', 'TEMP_LAPSE_RATE', 'TEMP_LATITUDE_EFFECT', 'TEMP_COASTAL_MODERATION',
+            'CLIMATE_COAST_RANGE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator }) => {
+            state.temperature = generator._generateTemperature(
+                state.elevation, state.seaLevelData.seaLevel, state.waterDistance
+            );
+        }
+    },
+    {
+        name: 'biomes',
+        inputs: ['elevation', 'moisture', 'temperature', 'seaLevelData', 'lakeMap', 'waterDistance'],
+        outputs: ['biomes'],
+        configKeys: ['BIOME_TABLE'],
+        run: (state, { generator }) => {
+            state.biomes = generator._classifyBiomes(
+                state.elevation,
+                state.moisture,
+                state.temperature,
+                state.seaLevelData.seaLevel,
+                state.lakeMap,
+                state.waterDistance
+            );
+        }
+    },
+    {
+        name: 'splatWeights',
+        inputs: ['elevation', 'biomes'],
+        outputs: ['splatWeights'],
+        configKeys: [],
+        run: (state, { generator }) => {
+            state.splatWeights = generator._calculateSplatWeights(state.elevation, state.biomes);
+        }
+    },
+    {
+        name: 'trees',
+        stream: 'trees',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'terrace', 'moisture', 'waterDistance'],
+        outputs: ['trees'],
+        configKeys: [
+            'FOREST_PERCENTAGE', 'TREE_MIN_SPACING', 'TREE_MIN_HEIGHT', 'TREE_MAX_HEIGHT',
+            'TREE_MAX_SLOPE', 'TREE_BEACH_BUFFER', 'TREE_MIN_MOISTURE', 'TREE_MIN_WATER_DISTANCE',
+            'PASSABLE_MAX_SLOPE', 'CELL_SIZE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator, rng }) => {
+            state.trees = generator._placeTrees(
+                state.elevation, state.seaLevelData.seaLevel, rng, state.lakeMap, state.terrace,
+                state.moisture, state.waterDistance
+            );
+        }
+    },
+    {
+        name: 'connectivity',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap'],
+        outputs: ['landComponents'],
+        configKeys: ['PASSABLE_MAX_SLOPE', 'CELL_SIZE'],
+        run: (state, { generator }) => {
+            state.landComponents = generator._labelLandComponents(state);
+        }
+    },
+    {
+        name: 'startLocations',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'rivers', 'trees'],
+        outputs: ['startLocations'],
+        configKeys: [
+            'START_PLAYERS', 'START_MAX_SLOPE', 'START_MIN_AREA', 'START_RADIUS', 'CELL_SIZE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator, config }) => {
+            state.startLocations = config.START_PLAYERS > 0 ? generator._placeStartLocations(state) : [];
+        }
+    },
+    {
+        name: 'resources',
+        stream: 'resources',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'rivers', 'startLocations'],
+        outputs: ['resources'],
+        configKeys: [
+            'RESOURCES_ENABLED', 'RESOURCE_PER_PLAYER', 'RESOURCE_CONTESTED', 'RESOURCE_MIN_SPACING',
+            'RESOURCE_NEAR_MIN', 'RESOURCE_NEAR_MAX', 'TREE_MAX_SLOPE', 'TREE_MAX_HEIGHT', 'TREE_BEACH_BUFFER',
+            'CELL_SIZE', ...SYMMETRY_KEYS
+        ],
+        run: (state, { generator, config, rng }) => {
+            state.resources = config.RESOURCES_ENABLED ? generator._placeResources(state, rng) : [];
+        }
+    },
+    {
+        name: 'navigation',
+        inputs: ['elevation', 'seaLevelData', 'lakeMap', 'rivers', 'trees', 'startLocations'],
+        outputs: ['navigation'],
+        configKeys: ['PASSABLE_MAX_SLOPE', 'NAV_SLOPE_COST', 'NAV_RIVER_COST', 'NAV_UNIT_CLASSES', 'CELL_SIZE'],
+        run: (state, { generator }) => {
+            state.navigation = generator._buildNavigation(state);
+        }
+    },
+    {
+        name: 'strategic',
+        inputs: ['elevation', 'landComponents'],
+        outputs: ['strategic'],
+        configKeys: [
+            'STRATEGIC_CHOKE_MAX_WIDTH', 'STRATEGIC_OPEN_RADIUS', 'STRATEGIC_HIGH_GROUND_HEIGHT',
+            'STRATEGIC_HIGH_GROUND_RADIUS', 'STRATEGIC_RAMP_MIN_SLOPE', 'CELL_SIZE'
+        ],
+        run: (state, { generator }) => {
+            state.strategic = generator._analyzeStrategicFeatures(state);
+        }
+    }
+];
+
+// Config keys that invalidate every cached stage (new RNG, grid or stage list)
+const FULL_REGENERATION_KEYS = [
+    'VERSION', 'SEED', 'MAP_WIDTH', 'MAP_HEIGHT', 'PIPELINE_STAGES', 'GENERATE_UNTIL_VALID',
+    'GENERATION_MAX_ATTEMPTS', 'GENERATION_REPAIRS', 'GENERATION_ATTEMPT', 'GENERATION_REPAIRED'
+];
+
+for (const stage of BUILTIN_STAGES) {
+    registerStage(stage);
+}
+
+/**
+ * Create a fresh pipeline containing the built-in stages
+ */
+export function createDefaultPipeline() {
+    return new Pipeline(BUILTIN_STAGES);
+}
 
 export class TerrainGeneratorV1_1 {
-    constructor(config) {
+    /**
+     * @param {Object} config - Generation config
+     * @param {Object} options - { onProgress(phase) } called as each stage starts,
+     *                            { pipeline } to run a custom Pipeline
+     */
+    constructor(config, options = {}) {
         this.config = config;
+        this.onProgress = options.onProgress || null;
         this.width = config.MAP_WIDTH;
         this.height = config.MAP_HEIGHT;
         
+        // Stage list: explicit pipeline, else the one recorded in config/MapSpec, else built-ins
+        this.explicitPipeline = options.pipeline || null;
+        this.pipeline = this.explicitPipeline || this._pipelineFromConfig();
+        
+        // Per-stage output snapshots and the config they were built from (for regenerate())
+        this.stageCache = new Map();
+        this.generatedConfig = null;
+        
+        // Attempt whose derived seed drives the streams, and whether its land was repaired
+        this.attempt = config.GENERATION_ATTEMPT || 0;
+        this.landRepaired = Boolean(config.GENERATION_REPAIRED);
+        
         // Multi-stream RNG for deterministic independence
-        this.rng = new MultiStreamRNG(config.SEED);
+        this.rng = new MultiStreamRNG(this._attemptSeed(this.attempt));
         
         // Metrics tracking
         this.metrics = {
@@ -39,35 +386,179 @@ export class TerrainGeneratorV1_1 {
     
     /**
      * Main generation pipeline
+     * Runs each enabled stage in order; see BUILTIN_STAGES and pipeline.js.
+     * Starts at GENERATION_ATTEMPT; with GENERATE_UNTIL_VALID, attempts that fail
+     * an invariant are repaired and/or retried (see _generateUntilValid()).
      */
     generate() {
-        console.log(`🌍 Generating terrain v1.1 (seed: ${this.config.SEED})...`);
-        const totalStart = performance.now();
+        this._setAttempt(this.config.GENERATION_ATTEMPT || 0, Boolean(this.config.GENERATION_REPAIRED));
         
-        try {
-            // Phase 1: Generate base elevation (simulation heights in meters)
-            const elevation = this._generateElevation();
+        let result;
+        let attempts = 1;
+        if (this.config.GENERATE_UNTIL_VALID) {
+            ({ result, attempts } = this._generateUntilValid());
+        } else {
+            result = this._generateAttempt();
+        }
+        
+        this.metrics.generation = {
+            attempt: this.attempt,
+            seed: this._attemptSeed(this.attempt),
+            repaired: this.landRepaired,
+            attempts,
+            valid: this._failedInvariants().length === 0
+        };
+        return result;
+    }
+    
+    /**
+     * Try successive attempts until every invariant passes. A failed attempt is
+     * first re-run with land repairs (GENERATION_REPAIRS) reusing its cached
+     * stages, then the next attempt seed is tried. When all
+     * GENERATION_MAX_ATTEMPTS fail, the attempt with the fewest failed
+     * invariants is kept.
+     */
+    _generateUntilValid() {
+        const firstAttempt = this.attempt;
+        const maxAttempts = Math.max(1, this.config.GENERATION_MAX_ATTEMPTS);
+        let result = null;
+        let best = null;
+        
+        for (let n = 0; n < maxAttempts; n++) {
+            if (n > 0) this._setAttempt(firstAttempt + n, false);
+            result = this._generateAttempt();
             
-            // Phase 2: Apply erosion (optional, deterministic)
-            if (this.config.EROSION_ITERATIONS > 0) {
-                this._applyErosion(elevation);
+            if (this._failedInvariants().length > 0 && this.config.GENERATION_REPAIRS && !this.landRepaired) {
+                console.log(`🔧 Attempt ${this.attempt} failed validation, repairing land...`);
+                this.landRepaired = true;
+                const dirty = this._findDirtyStages([], ['landRepair']);
+                result = this._runPipeline(stage => dirty.has(stage.name));
             }
             
-            // Phase 3: Solve for exact sea level
-            const seaLevelData = this._solveSeaLevel(elevation);
-            
-            // Phase 4: Generate auxiliary fields
-            const moisture = this._generateMoisture();
-            const temperature = this._generateTemperature(elevation, seaLevelData.seaLevel);
+            const failed = this._failedInvariants();
+            if (failed.length === 0) {
+                console.log(`✓ Attempt ${this.attempt} passed validation${this.landRepaired ? ' after repairs' : ''}`);
+                return { result, attempts: n + 1 };
+            }
+            console.warn(`⚠️ Attempt ${this.attempt} rejected: ${failed.join(', ')}`);
             
-            // Phase 5: Classify biomes
-            const biomes = this._classifyBiomes(elevation, moisture, temperature, seaLevelData.seaLevel);
+            if (!best || failed.length < best.failed) {
+                best = { attempt: this.attempt, repaired: this.landRepaired, failed: failed.length };
+            }
+        }
+        
+        console.warn(`⚠️ No valid map in ${maxAttempts} attempts; keeping attempt ${best.attempt}`);
+        if (best.attempt !== this.attempt || best.repaired !== this.landRepaired) {
+            this._setAttempt(best.attempt, best.repaired);
+            result = this._generateAttempt();
+        }
+        return { result, attempts: maxAttempts };
+    }
+    
+    /**
+     * Seed for an attempt: the master seed first, then seeds derived from it
+     */
+    _attemptSeed(attempt) {
+        return attempt === 0 ? this.config.SEED : hashSeed(this.config.SEED, `attempt:${attempt}`);
+    }
+    
+    _setAttempt(attempt, repaired) {
+        this.attempt = attempt;
+        this.landRepaired = repaired;
+        this.rng = new MultiStreamRNG(this._attemptSeed(attempt));
+    }
+    
+    /**
+     * Names of the invariants the last run failed
+     */
+    _failedInvariants() {
+        const invariants = this.metrics.invariants || {};
+        return Object.keys(invariants).filter(name => !invariants[name]);
+    }
+    
+    /**
+     * Run every active stage from scratch for the current attempt
+     */
+    _generateAttempt() {
+        const seed = this._attemptSeed(this.attempt);
+        console.log(`🌍 Generating terrain v1.1 (seed: ${this.config.SEED}${this.attempt > 0 ? `, attempt ${this.attempt}: ${seed}` : ''})...`);
+        
+        this.stageCache.clear();
+        this.metrics = {
+            buildTime: {},
+            waterCoverage: {},
+            forestCoverage: {},
+            terrainStats: {},
+            invariants: {}
+        };
+        
+        return this._runPipeline(() => true);
+    }
+    
+    /**
+     * Partial regeneration: apply config changes and re-run only the stages
+     * that depend on them, reusing cached outputs of every other stage.
+     * The result matches a full generate() with the same config. With
+     * GENERATE_UNTIL_VALID the current attempt is kept (the one a MapSpec
+     * records) while it still passes; one that fails is regenerated in full.
+     *
+     * @param {Object} changes - Config overrides, e.g. { FOREST_PERCENTAGE: 40 }.
+     *                           Changes already applied to the config object are detected too.
+     * @returns {Object} Same shape as generate()
+     */
+    regenerate(changes = {}) {
+        Object.assign(this.config, changes);
+        
+        const changedKeys = this._changedConfigKeys();
+        if (!this.generatedConfig || changedKeys.some(key => FULL_REGENERATION_KEYS.includes(key))) {
+            this.width = this.config.MAP_WIDTH;
+            this.height = this.config.MAP_HEIGHT;
+            if (!this.explicitPipeline) this.pipeline = this._pipelineFromConfig();
+            return this.generate();
+        }
+        
+        const dirty = this._findDirtyStages(changedKeys);
+        console.log(`🔁 Regenerating stages: ${dirty.size > 0 ? Array.from(dirty).join(', ') : '(none)'}`);
+        
+        const result = this._runPipeline(stage => dirty.has(stage.name));
+        const valid = this._failedInvariants().length === 0;
+        if (this.config.GENERATE_UNTIL_VALID && !valid) {
+            console.warn(`⚠️ Attempt ${this.attempt} no longer passes validation, regenerating...`);
+            return this.generate();
+        }
+        if (this.metrics.generation) this.metrics.generation.valid = valid;
+        return result;
+    }
+    
+    /**
+     * Run the active stages; stages not selected by isDirty restore their cached outputs
+     */
+    _runPipeline(isDirty) {
+        const totalStart = performance.now();
+        
+        try {
+            const state = {};
+            const ranStages = [];
+            for (const stage of this.pipeline.getActiveStages()) {
+                if (isDirty(stage) || !this.stageCache.has(stage.name)) {
+                    this._runStage(stage, state);
+                    ranStages.push(stage.name);
+                    this.stageCache.set(stage.name, this._snapshotOutputs(stage, state));
+                } else {
+                    // Clone so in-place stages downstream never corrupt the cache
+                    Object.assign(state, structuredClone(this.stageCache.get(stage.name)));
+                }
+            }
+            this.generatedConfig = structuredClone({ ...this.config });
+            this.metrics.stagesRun = ranStages;
             
-            // Phase 6: Calculate splat weights (for non-guide rendering)
-            const splatWeights = this._calculateSplatWeights(elevation, biomes);
+            const { elevation, seaLevelData } = state;
+            if (!elevation || !seaLevelData) {
+                throw new Error('Pipeline produced no elevation/seaLevelData - are the elevation or seaLevel stages disabled?');
+            }
             
             // Calculate final metrics
-            this._calculateMetrics(elevation, seaLevelData);
+            this._calculateMetrics(elevation, seaLevelData, state);
             
             const totalTime = performance.now() - totalStart;
             this.metrics.buildTime.total = totalTime;
@@ -83,10 +574,22 @@ export class TerrainGeneratorV1_1 {
                 seaLevelNormalized: seaLevelData.seaLevel / this.config.ELEVATION_SCALE,
                 
                 // Auxiliary fields
-                moisture,
-                temperature,
-                biomes,
-                splatWeights,
+                moisture: state.moisture,
+                temperature: state.temperature,
+                waterDistance: state.waterDistance || null,
+                biomes: state.biomes,
+                splatWeights: state.splatWeights,
+                trees: state.trees,
+                rivers: state.rivers || [],
+                lakes: state.lakes || [],
+                lakeMap: state.lakeMap || null,
+                flowMap: state.flowMap || null,
+                startLocations: state.startLocations || [],
+                resources: state.resources || [],
+                landComponents: state.landComponents ? state.landComponents.components : null,
+                navigation: state.navigation || null,
+                strategic: state.strategic || null,
+                terrace: state.terrace || null,
                 
                 // Metadata
                 width: this.width,
@@ -96,6 +599,9 @@ export class TerrainGeneratorV1_1 {
                 // Metrics
                 metrics: this.metrics,
                 
+                // Stage list (for serialization/reproduction)
+                pipeline: this.pipeline.toSpec(),
+                
                 // RNG state (for serialization)
                 subSeeds: this.rng.getSubSeeds(),
                 rngStates: this.rng.getStreamStates()
@@ -107,25 +613,126 @@ export class TerrainGeneratorV1_1 {
         }
     }
     
+    /**
+     * Walk the stage graph: a stage is dirty when its config keys changed or
+     * it reads a field written by an upstream dirty stage (forcedStages are
+     * dirty regardless). Stages that don't
+     * declare configKeys/inputs/outputs are treated conservatively.
+     */
+    _findDirtyStages(changedKeys, forcedStages = []) {
+        const changed = new Set(changedKeys);
+        const dirtyFields = new Set();
+        const dirty = new Set();
+        let undeclaredDirty = false; // A dirty stage with unknown outputs may affect anything downstream
+        
+        for (const stage of this.pipeline.getActiveStages()) {
+            const configHit = stage.configKeys
+                ? stage.configKeys.some(key => changed.has(key))
+                : changed.size > 0;
+            const inputHit = undeclaredDirty || (stage.inputs
+                ? stage.inputs.some(field => dirtyFields.has(field))
+                : dirtyFields.size > 0);
+            
+            if (configHit || inputHit || forcedStages.includes(stage.name) || !this.stageCache.has(stage.name)) {
+                dirty.add(stage.name);
+                if (stage.outputs) {
+                    stage.outputs.forEach(field => dirtyFields.add(field));
+                } else {
+                    undeclaredDirty = true;
+                }
+            }
+        }
+        
+        return dirty;
+    }
+    
+    /**
+     * Keys whose values differ from the config used for the last run
+     */
+    _changedConfigKeys() {
+        const previous = this.generatedConfig || {};
+        const keys = new Set([...Object.keys(previous), ...Object.keys(this.config)]);
+        return Array.from(keys).filter(key =>
+            JSON.stringify(previous[key]) !== JSON.stringify(this.config[key])
+        );
+    }
+    
+    /**
+     * Deep copy of the fields a stage produced (whole state if undeclared)
+     */
+    _snapshotOutputs(stage, state) {
+        if (!stage.outputs) return structuredClone(state);
+        
+        const snapshot = {};
+        for (const field of stage.outputs) {
+            if (field in state) snapshot[field] = state[field];
+        }
+        return structuredClone(snapshot);
+    }
+    
+    _pipelineFromConfig() {
+        return this.config.PIPELINE_STAGES
+            ? Pipeline.fromSpec(this.config.PIPELINE_STAGES, createDefaultPipeline())
+            : createDefaultPipeline();
+    }
+    
+    /**
+     * Run a single pipeline stage with its own RNG stream and timing
+     */
+    _runStage(stage, state) {
+        const start = performance.now();
+        this._reportProgress(stage.name);
+        
+        // Fresh streams so a re-run stage draws the same numbers as in a full run
+        for (const label of stage.streams || [stage.stream]) {
+            this.rng.resetStream(label);
+        }
+        
+        const rng = this.rng;
+        const context = {
+            // Resolved lazily so stages without randomness don't create streams
+            get rng() { return rng.getStream(stage.stream); },
+            params: stage.params,
+            config: this.config,
+            generator: this,
+            width: this.width,
+            height: this.height
+        };
+        
+        stage.run(state, context);
+        
+        this.metrics.buildTime[stage.name] = performance.now() - start;
+    }
+    
     /**
      * Phase 1: Generate elevation with multi-band noise composition
      */
     _generateElevation() {
-        const start = performance.now();
         console.log('  → Phase 1: Generating elevation...');
         
         const terrainRng = this.rng.getStream('terrain');
         
+        // Domain warp seeds come from their own stream (always drawn in band
+        // order, so changing one band's warp never reseeds the others)
+        const warpRng = this.rng.getStream('warp');
+        const warpSeeds = {
+            macro: warpRng.nextInt(0, 1000000),
+            meso: warpRng.nextInt(0, 1000000),
+            micro: warpRng.nextInt(0, 1000000)
+        };
+        
         // Multi-band noise composition
         let elevation = new Float32Array(this.width * this.height);
         
         // Macro (continents)
+        let macro = null;
         if (this.config.NOISE_MACRO.amplitude > 0) {
-            const macro = generateNoiseField(
+            macro = generateNoiseField(
                 this.width, 
                 this.height, 
                 terrainRng.nextInt(0, 1000000),
-                this.config.NOISE_MACRO
+                this.config.NOISE_MACRO,
+                this._getBandWarp(this.config.NOISE_MACRO, warpSeeds.macro)
             );
             const weight = this.config.NOISE_MACRO.amplitude;
             for (let i = 0; i < elevation.length; i++) {
@@ -139,7 +746,8 @@ export class TerrainGeneratorV1_1 {
                 this.width,
                 this.height,
                 terrainRng.nextInt(0, 1000000),
-                this.config.NOISE_MESO
+                this.config.NOISE_MESO,
+                this._getBandWarp(this.config.NOISE_MESO, warpSeeds.meso)
             );
             const weight = this.config.NOISE_MESO.amplitude;
             for (let i = 0; i < elevation.length; i++) {
@@ -153,7 +761,8 @@ export class TerrainGeneratorV1_1 {
                 this.width,
                 this.height,
                 terrainRng.nextInt(0, 1000000),
-                this.config.NOISE_MICRO
+                this.config.NOISE_MICRO,
+                this._getBandWarp(this.config.NOISE_MICRO, warpSeeds.micro)
             );
             const weight = this.config.NOISE_MICRO.amplitude;
             for (let i = 0; i < elevation.length; i++) {
@@ -161,6 +770,11 @@ export class TerrainGeneratorV1_1 {
             }
         }
         
+        // Ridges (mountain chains along RIDGES_DIRECTION)
+        if (this.config.RIDGES_ENABLED && this.config.RIDGES_STRENGTH > 0) {
+            this._addRidges(elevation, macro, terrainRng.nextInt(0, 1000000));
+        }
+        
         // Normalize to 0-1 range, then boost contrast so hills/mountains emerge
         this._normalizeArray(elevation);
         for (let i = 0; i < elevation.length; i++) {
@@ -188,10 +802,57 @@ export class TerrainGeneratorV1_1 {
             console.log(`   ↪ Elevation[m] stats → min: ${min.toFixed(2)}, max: ${max.toFixed(2)}, avg: ${avg.toFixed(2)}`);
         }
         
-        this.metrics.buildTime.elevation = performance.now() - start;
         return elevation;
     }
     
+    /**
+     * Warp settings for a noise band: the band's own `warp` overrides the
+     * global NOISE_WARP_STRENGTH / NOISE_WARP_ITERATIONS
+     */
+    _getBandWarp(bandParams, seed) {
+        const warp = bandParams.warp || {};
+        const strength = warp.strength ?? this.config.NOISE_WARP_STRENGTH;
+        if (!(strength > 0)) return null;
+        
+        return {
+            seed,
+            strength,
+            iterations: warp.iterations ?? this.config.NOISE_WARP_ITERATIONS
+        };
+    }
+    
+    /**
+     * Blend ridged multifractal noise into the composition, optionally only
+     * where the macro (continent) band is high so chains sit inland
+     */
+    _addRidges(elevation, macro, seed) {
+        const ridges = generateRidgeField(this.width, this.height, seed, {
+            octaves: this.config.RIDGES_OCTAVES,
+            frequency: this.config.RIDGES_FREQUENCY,
+            gain: 0.5,
+            lacunarity: 2.0,
+            sharpness: this.config.RIDGES_SHARPNESS,
+            direction: this.config.RIDGES_DIRECTION,
+            elongation: this.config.RIDGES_ELONGATION
+        });
+        
+        const useMask = this.config.RIDGES_MASK_TO_MACRO && macro;
+        const threshold = this.config.RIDGES_MASK_THRESHOLD;
+        const weight = this.config.RIDGES_STRENGTH;
+        
+        for (let i = 0; i < elevation.length; i++) {
+            let mask = 1;
+            if (useMask) {
+                // Smoothstep over 0.2 of macro range above the threshold
+                const t = Math.min(1, Math.max(0, (macro[i] - threshold) / 0.2));
+                mask = t * t * (3 - 2 * t);
+            }
+            elevation[i] += ridges[i] * weight * mask;
+        }
+        
+        console.log(`    → Ridges: ${this.config.RIDGES_DIRECTION}° direction, strength ${weight}${useMask ? ', masked to high macro' : ''}`);
+    }
+    
     /**
      * Add lakes using Poisson disk sampling
      */
@@ -199,6 +860,7 @@ export class TerrainGeneratorV1_1 {
         if (this.config.WATER_PERCENTAGE <= 0) return;
         
         const start = performance.now();
+        this._reportProgress('lakes');
         const lakesRng = this.rng.getStream('lakes');
         
         // Calculate how many lake cells we need
@@ -317,33 +979,153 @@ export class TerrainGeneratorV1_1 {
     }
     
     /**
-     * Phase 2: Apply deterministic erosion
+     * Phase 2: Apply deterministic droplet erosion
+     * EROSION_DROPLET_COUNT droplets, each living up to EROSION_ITERATIONS steps
      */
     _applyErosion(elevation) {
-        const start = performance.now();
         console.log('  → Phase 2: Applying erosion...');
         
         const erosionRng = this.rng.getStream('erosion');
+        const starts = this._getDropletStarts(erosionRng);
+        
+        const erosionSystem = new DropletErosion(this.width, this.height, {
+            heightScale: this.config.ELEVATION_SCALE,
+            maxLifetime: this.config.EROSION_ITERATIONS,
+            erodeSpeed: this.config.EROSION_STRENGTH,
+            inertia: this.config.EROSION_INERTIA,
+            capacity: this.config.EROSION_CAPACITY,
+            minSlope: this.config.EROSION_MIN_SLOPE,
+            depositSpeed: this.config.EROSION_DEPOSITION,
+            evaporation: this.config.EROSION_EVAPORATION,
+            gravity: this.config.EROSION_GRAVITY,
+            radius: this.config.EROSION_RADIUS
+        });
+        
+        const stats = erosionSystem.erode(elevation, starts);
+        
+        console.log(`    → ${stats.droplets} droplets: eroded ${stats.eroded.toFixed(1)}m, deposited ${stats.deposited.toFixed(1)}m (summed over cells)`);
+        this.metrics.erosion = stats;
+    }
+    
+    /**
+     * Phase 2a: Thermal weathering - slopes above the angle of repose
+     * shed talus onto their lower neighbors
+     */
+    _applyThermalErosion(elevation) {
+        console.log('  → Applying thermal erosion...');
+        
+        const moved = applyThermalWeathering(elevation, this.width, this.height, {
+            talusAngle: this.config.THERMAL_TALUS_ANGLE,
+            iterations: this.config.THERMAL_ITERATIONS,
+            rate: this.config.THERMAL_RATE,
+            cellSize: this.config.CELL_SIZE
+        });
         
-        // Use stratified droplet positions for even coverage
+        console.log(`    → ${this.config.THERMAL_ITERATIONS} iterations at ${this.config.THERMAL_TALUS_ANGLE}°: moved ${moved.toFixed(1)}m (summed over cells)`);
+        this.metrics.thermalErosion = {
+            iterations: this.config.THERMAL_ITERATIONS,
+            talusAngle: this.config.THERMAL_TALUS_ANGLE,
+            moved
+        };
+    }
+    
+    /**
+     * Phase 2 as v1.1 shipped it, kept so v1.1 MapSpecs reproduce: flow-based
+     * erosion that renormalizes the heights to 0..1 (ELEVATION_SCALE is lost)
+     */
+    _applyFlowErosion(elevation) {
+        console.log('  → Phase 2: Applying erosion (v1.1 flow-based)...');
+        
+        const erosionSystem = new HydraulicErosion(this.width, this.height);
+        erosionSystem.erode(elevation, this.config.EROSION_ITERATIONS, this.config.EROSION_STRENGTH);
+    }
+    
+    /**
+     * Droplet start positions from the erosion stream
+     * Stratified: one jittered droplet per grid cell, cells visited in shuffled
+     * order so a partial last pass doesn't bias one side of the map
+     */
+    _getDropletStarts(rng) {
         const dropletCount = this.config.EROSION_DROPLET_COUNT;
+        const maxX = this.width - 1;
+        const maxY = this.height - 1;
+        const starts = new Array(dropletCount);
+        
+        if (!this.config.EROSION_STRATIFIED) {
+            for (let i = 0; i < dropletCount; i++) {
+                starts[i] = { x: rng.nextFloat(0, maxX), y: rng.nextFloat(0, maxY) };
+            }
+            return starts;
+        }
+        
         const gridSize = Math.ceil(Math.sqrt(dropletCount));
-        const cellWidth = this.width / gridSize;
-        const cellHeight = this.height / gridSize;
+        const cellWidth = maxX / gridSize;
+        const cellHeight = maxY / gridSize;
         
-        const erosionSystem = new HydraulicErosion(this.width, this.height);
+        const cells = Array.from({ length: gridSize * gridSize }, (_, i) => i);
+        rng.shuffle(cells);
         
-        // Apply erosion (note: current erosion system doesn't use droplets parameter)
-        erosionSystem.erode(elevation, this.config.EROSION_ITERATIONS, this.config.EROSION_STRENGTH);
+        for (let i = 0; i < dropletCount; i++) {
+            const gx = cells[i] % gridSize;
+            const gy = Math.floor(cells[i] / gridSize);
+            starts[i] = {
+                x: (gx + rng.next()) * cellWidth,
+                y: (gy + rng.next()) * cellHeight
+            };
+        }
         
-        this.metrics.buildTime.erosion = performance.now() - start;
+        return starts;
+    }
+    
+    /**
+     * Phase 2b: Find closed basins (priority-flood) and turn them into lakes
+     * with their own spill-point water levels
+     */
+    _findLakes(elevation, seaLevel) {
+        console.log('  → Analyzing depressions...');
+        
+        const { lakes, lakeMap, filledBasins } = findLakes(elevation, this.width, this.height, seaLevel, {
+            cellSize: this.config.CELL_SIZE,
+            minArea: this.config.LAKE_MIN_AREA,
+            minDepth: this.config.LAKE_MIN_DEPTH
+        });
+        
+        this.metrics.lakes = summarizeLakes(lakes, this.width * this.height, this.config.CELL_SIZE);
+        console.log(`    → ${lakes.length} lakes above sea level, ${filledBasins} small basins filled`);
+        
+        return { lakes, lakeMap };
+    }
+    
+    /**
+     * Phase 2c: Extract river network from flow accumulation and carve beds
+     */
+    _extractRivers(elevation, seaLevel, lakes = [], lakeMap = null) {
+        console.log('  → Extracting rivers...');
+        
+        const { rivers, flowMap } = extractRivers(elevation, this.width, this.height, seaLevel, {
+            cellSize: this.config.CELL_SIZE,
+            threshold: this.config.RIVER_FLOW_THRESHOLD,
+            widthMin: this.config.RIVER_WIDTH_MIN,
+            widthScale: this.config.RIVER_WIDTH_SCALE,
+            bedDepth: this.config.RIVER_BED_DEPTH,
+            lakes,
+            lakeMap
+        });
+        
+        // Carving follows flow ties that mirrored halves can break differently;
+        // re-stitch so the terrain stays exactly symmetric
+        this._applySymmetry(elevation);
+        
+        this.metrics.rivers = summarizeRivers(rivers);
+        console.log(`    → ${rivers.length} river segments (max Strahler order ${this.metrics.rivers.maxOrder})`);
+        
+        return { rivers, flowMap };
     }
     
     /**
      * Phase 3: Solve for exact sea level using quantile solver
      */
     _solveSeaLevel(elevation) {
-        const start = performance.now();
         console.log('  → Phase 3: Solving for sea level...');
         
         const result = solveSeaLevel(
@@ -373,17 +1155,109 @@ export class TerrainGeneratorV1_1 {
             method: result.method
         };
         
-        this.metrics.buildTime.seaLevel = performance.now() - start;
         
         return result;
     }
     
     /**
-     * Phase 4a: Generate moisture field
+     * Phase 3a: Repair land connectivity by bridging cut-off land to the main landmass
      */
-    _generateMoisture() {
-        const start = performance.now();
+    _repairLand(state) {
+        console.log('  → Phase 3a: Repairing land connectivity...');
+        
+        const { seaLevel, actualPercentage } = state.seaLevelData;
+        
+        // Bridges over the sea may only use up what is left of the water tolerance
+        const waterSlack = this.config.WATER_TOLERANCE - Math.abs(actualPercentage - this.config.WATER_PERCENTAGE);
+        const maxSeaCells = Math.max(0, Math.floor(waterSlack / 100 * this.width * this.height));
+        
+        const repair = repairLandConnectivity({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel,
+            lakeMap: state.lakeMap
+        }, {
+            maxSlope: this.config.PASSABLE_MAX_SLOPE,
+            maxSeaCells
+        });
+        this._applySymmetry(state.elevation);
+        
+        // Raised shallows are land now
+        const validation = validateWaterCoverage(
+            state.elevation,
+            seaLevel,
+            this.config.WATER_PERCENTAGE,
+            this.config.WATER_TOLERANCE
+        );
+        state.seaLevelData = { ...state.seaLevelData, actualPercentage: validation.actualPercentage };
+        Object.assign(this.metrics.waterCoverage, {
+            actual: validation.actualPercentage,
+            error: validation.error,
+            validated: validation.passed
+        });
+        
+        this.metrics.landRepair = repair;
+        console.log(`    → ${repair.bridges} bridges in ${repair.passes} passes, ${repair.cellsChanged} cells regraded`);
+    }
+    
+    /**
+     * Phase 3b: Snap land to discrete cliff levels and carve ramps between them
+     */
+    _terraceLand(state, rng) {
+        console.log('  → Phase 3b: Terracing land...');
+        
+        const { levelMap, rampMask, ramps, summary } = terraceTerrain({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel
+        }, rng, {
+            levels: this.config.TERRACE_LEVELS,
+            levelHeight: this.config.TERRACE_LEVEL_HEIGHT,
+            minPlateau: this.config.TERRACE_MIN_PLATEAU,
+            ramps: this.config.TERRACE_RAMPS,
+            rampSpacing: this.config.TERRACE_RAMP_SPACING,
+            rampWidth: this.config.TERRACE_RAMP_WIDTH,
+            rampSlope: this.config.TERRACE_RAMP_SLOPE,
+            maxSlope: this.config.PASSABLE_MAX_SLOPE,
+            symmetry: this._getSymmetry()
+        });
+        
+        this.metrics.terrace = { ...summary, rampSites: ramps };
+        console.log(`    → ${summary.plateaus} plateaus on ${summary.levels} levels, ${summary.ramps} ramps`);
+        if (summary.unreachablePlateaus > 0) {
+            console.warn(`    ⚠️ ${summary.unreachablePlateaus} plateaus have no walkable ramp`);
+        }
         
+        return { levelMap, rampMask, ramps };
+    }
+    
+    /**
+     * Phase 4: Distance to the nearest sea, lake or river cell (meters)
+     */
+    _calculateWaterDistance(state) {
+        const distance = calculateWaterDistance({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel,
+            lakeMap: state.lakeMap,
+            rivers: state.rivers
+        });
+        
+        // River polylines are traced per cell and need not mirror exactly
+        return this._applySymmetry(distance);
+    }
+    
+    /**
+     * Phase 4a: Generate moisture field (noise blended with the rain shadow
+     * of a prevailing wind, moistened along shores)
+     */
+    _generateMoisture(elevation, seaLevel, lakeMap = null, waterDistance = null) {
         const moistureRng = this.rng.getStream('moisture');
         const moisture = generateNoiseField(
             this.width,
@@ -392,16 +1266,44 @@ export class TerrainGeneratorV1_1 {
             this.config.NOISE_MOIST
         );
         
-        this.metrics.buildTime.moisture = performance.now() - start;
-        return moisture;
+        const weight = this.config.MOISTURE_RAIN_SHADOW_WEIGHT;
+        if (weight > 0) {
+            console.log(`  → Rain shadow: wind from ${this.config.MOISTURE_WIND_DIRECTION}°, weight ${weight}`);
+            const rainShadow = simulateRainShadow({
+                elevation,
+                width: this.width,
+                height: this.height,
+                cellSize: this.config.CELL_SIZE,
+                seaLevel,
+                lakeMap
+            }, {
+                windDirection: this.config.MOISTURE_WIND_DIRECTION,
+                inflow: this.config.MOISTURE_INFLOW,
+                evaporation: this.config.MOISTURE_EVAPORATION,
+                rainRate: this.config.MOISTURE_RAIN_RATE,
+                orographic: this.config.MOISTURE_OROGRAPHIC
+            });
+            for (let i = 0; i < moisture.length; i++) {
+                moisture[i] = moisture[i] * (1 - weight) + rainShadow[i] * weight;
+            }
+        }
+        
+        const boost = this.config.MOISTURE_COASTAL_BOOST;
+        if (waterDistance && boost > 0) {
+            const range = this.config.CLIMATE_COAST_RANGE;
+            for (let i = 0; i < moisture.length; i++) {
+                moisture[i] += (1 - moisture[i]) * boost * waterProximity(waterDistance[i], range);
+            }
+        }
+        
+        // The wind has a direction; symmetric layouts share one climate
+        return this._applySymmetry(moisture);
     }
     
     /**
      * Phase 4b: Generate temperature field with elevation lapse rate
      */
-    _generateTemperature(elevation, seaLevel) {
-        const start = performance.now();
-        
+    _generateTemperature(elevation, seaLevel, waterDistance = null) {
         const tempRng = this.rng.getStream('temperature');
         const temperature = generateNoiseField(
             this.width,
@@ -430,23 +1332,45 @@ export class TerrainGeneratorV1_1 {
             }
         }
         
+        // Water evens out temperature: pull shores toward the map mean
+        const moderation = this.config.TEMP_COASTAL_MODERATION;
+        if (waterDistance && moderation > 0) {
+            let mean = 0;
+            for (let i = 0; i < temperature.length; i++) mean += temperature[i];
+            mean /= temperature.length;
+            
+            const range = this.config.CLIMATE_COAST_RANGE;
+            for (let i = 0; i < temperature.length; i++) {
+                temperature[i] += (mean - temperature[i]) * moderation * waterProximity(waterDistance[i], range);
+            }
+        }
+        
+        // Latitude and noise ignore the layout; symmetrize before normalizing
+        this._applySymmetry(temperature);
+        
         // Normalize
         this._normalizeArray(temperature);
         
-        this.metrics.buildTime.temperature = performance.now() - start;
         return temperature;
     }
     
     /**
      * Phase 5: Classify biomes
      */
-    _classifyBiomes(elevation, moisture, temperature, seaLevel) {
-        const start = performance.now();
+    _classifyBiomes(elevation, moisture, temperature, seaLevel, lakeMap = null, waterDistance = null) {
+        // Heights are already meters, as the table's elevation bands are
+        const biomes = classifyBiomeField(
+            { elevation, moisture, temperature, seaLevel, waterDistance },
+            this.config.BIOME_TABLE
+        );
         
-        const classifier = new BiomeClassifier(this.config);
-        const biomes = classifier.classify(elevation, moisture, temperature, this.width, this.height, seaLevel);
+        // Lakes above sea level are open water too
+        if (lakeMap) {
+            for (let i = 0; i < biomes.length; i++) {
+                if (lakeMap[i] >= 0) biomes[i] = BiomeType.OCEAN;
+            }
+        }
         
-        this.metrics.buildTime.biomes = performance.now() - start;
         return biomes;
     }
     
@@ -454,8 +1378,6 @@ export class TerrainGeneratorV1_1 {
      * Phase 6: Calculate splat weights (for texture blending)
      */
     _calculateSplatWeights(elevation, biomes) {
-        const start = performance.now();
-        
         // Placeholder - simplified for now
         const weights = {
             grass: new Float32Array(elevation.length),
@@ -495,14 +1417,310 @@ export class TerrainGeneratorV1_1 {
             }
         }
         
-        this.metrics.buildTime.splatWeights = performance.now() - start;
         return weights;
     }
     
+    /**
+     * Phase 7: Place trees (Poisson + slope constraints)
+     */
+    _placeTrees(elevation, seaLevel, rng, lakeMap = null, terrace = null, moisture = null, waterDistance = null) {
+        // Symmetric maps place trees in the fundamental domain only, then replicate them
+        const symmetry = this._getSymmetry();
+        const terrain = {
+            elevation,
+            seaLevel,
+            moisture,
+            waterDistance,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            mask: symmetry ? this._domainMask(symmetry) : null
+        };
+        let trees = generateTreePositions(terrain, this.config, rng);
+        
+        // Suitability only knows the global sea level; drop trees standing in lakes
+        if (lakeMap) {
+            const cellSize = this.config.CELL_SIZE;
+            trees = trees.filter(tree => {
+                const x = Math.min(this.width - 1, Math.round(tree.x / cellSize));
+                const z = Math.min(this.height - 1, Math.round(tree.z / cellSize));
+                return lakeMap[z * this.width + x] < 0;
+            });
+        }
+        
+        if (symmetry) {
+            trees = symmetrizePoints(trees, symmetry, {
+                cellSize: this.config.CELL_SIZE,
+                minSpacing: this.config.TREE_MIN_SPACING
+            });
+        }
+        
+        // Keep terrace ramps and cliff-foot passages clear
+        if (terrace) {
+            trees = clearTerraceTrees(trees, { ...terrain, lakeMap }, terrace.rampMask, {
+                maxSlope: this.config.PASSABLE_MAX_SLOPE
+            });
+        }
+        
+        this.metrics.forestCoverage = calculateTreeMetrics(
+            trees,
+            elevation,
+            this.width,
+            this.height,
+            this.config.CELL_SIZE,
+            this.config
+        );
+        
+        return trees;
+    }
+    
+    /**
+     * Phase 7a: Label connected components of passable land (slope <= PASSABLE_MAX_SLOPE)
+     */
+    _labelLandComponents(state) {
+        console.log('  → Labeling land connectivity...');
+        
+        const labeling = labelLandComponents({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel,
+            lakeMap: state.lakeMap
+        }, {
+            maxSlope: this.config.PASSABLE_MAX_SLOPE
+        });
+        
+        console.log(`    → ${labeling.sizes.length} passable components`);
+        
+        return labeling;
+    }
+    
+    /**
+     * Phase 8: Pick player start locations and report how fair they are
+     */
+    _placeStartLocations(state) {
+        console.log('  → Placing player start locations...');
+        
+        const { starts, report } = placeStartLocations({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel,
+            lakeMap: state.lakeMap,
+            rivers: state.rivers,
+            trees: state.trees
+        }, {
+            players: this.config.START_PLAYERS,
+            maxSlope: this.config.START_MAX_SLOPE,
+            minArea: this.config.START_MIN_AREA,
+            radius: this.config.START_RADIUS,
+            symmetry: this._getSymmetry()
+        });
+        
+        this.metrics.startLocations = report;
+        console.log(`    → ${starts.length}/${report.players} starts, min distance ${(report.minDistance ?? 0).toFixed(1)}m, fairness ${report.fairness.toFixed(2)}`);
+        
+        return starts.map(({ player, x, z, cell }) => ({ player, x, z, cell }));
+    }
+    
+    /**
+     * Phase 9: Place resource deposits around the starts and between them
+     */
+    _placeResources(state, rng) {
+        console.log('  → Placing resource deposits...');
+        
+        const { deposits, summary } = placeResources({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel,
+            lakeMap: state.lakeMap,
+            rivers: state.rivers
+        }, state.startLocations || [], rng, {
+            perPlayer: this.config.RESOURCE_PER_PLAYER,
+            contested: this.config.RESOURCE_CONTESTED,
+            minSpacing: this.config.RESOURCE_MIN_SPACING,
+            nearMin: this.config.RESOURCE_NEAR_MIN,
+            nearMax: this.config.RESOURCE_NEAR_MAX,
+            treeMaxSlope: this.config.TREE_MAX_SLOPE,
+            treeMaxHeight: this.config.TREE_MAX_HEIGHT,
+            beachBuffer: this.config.TREE_BEACH_BUFFER,
+            symmetry: this._getSymmetry()
+        });
+        
+        this.metrics.resources = summary;
+        console.log(`    → ${deposits.length} deposits`);
+        
+        return deposits;
+    }
+    
+    /**
+     * Phase 10: Navigation cost grid and A* path lengths between the starts
+     */
+    _buildNavigation(state) {
+        console.log('  → Building navigation grid...');
+        
+        const terrain = {
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            seaLevel: state.seaLevelData.seaLevel,
+            lakeMap: state.lakeMap,
+            rivers: state.rivers,
+            trees: state.trees
+        };
+        const options = {
+            maxSlope: this.config.PASSABLE_MAX_SLOPE,
+            slopeCost: this.config.NAV_SLOPE_COST,
+            riverCost: this.config.NAV_RIVER_COST
+        };
+        const navigation = createNavigationGrid(terrain, options);
+        
+        // Unit classes share the dimensions, so only their cost arrays are kept
+        const classGrids = createUnitNavigation(terrain, this.config.NAV_UNIT_CLASSES || {}, options);
+        navigation.classes = {};
+        for (const [name, grid] of Object.entries(classGrids)) {
+            navigation.classes[name] = grid.cost;
+        }
+        
+        let blocked = 0;
+        for (let i = 0; i < navigation.cost.length; i++) {
+            if (navigation.cost[i] === NAV_BLOCKED) blocked++;
+        }
+        const startPaths = measureStartPaths(navigation, state.startLocations || []);
+        
+        this.metrics.navigation = {
+            blockedFraction: blocked / navigation.cost.length,
+            startPaths
+        };
+        console.log(`    → ${(100 * blocked / navigation.cost.length).toFixed(1)}% blocked, ${startPaths.filter(p => p.length !== null).length}/${startPaths.length} start paths`);
+        
+        return navigation;
+    }
+    
+    /**
+     * Phase 11: Chokepoints, high ground, ramps and open fields on passable land
+     */
+    _analyzeStrategicFeatures(state) {
+        // Features are measured on passable land, which the connectivity stage labels
+        if (!state.landComponents) {
+            console.log('  → Strategic features skipped (connectivity stage disabled)');
+            return null;
+        }
+        
+        console.log('  → Analyzing strategic features...');
+        
+        const { clearance, features, chokepoints, summary } = analyzeStrategicFeatures({
+            elevation: state.elevation,
+            width: this.width,
+            height: this.height,
+            cellSize: this.config.CELL_SIZE,
+            components: state.landComponents.components
+        }, {
+            chokeMaxWidth: this.config.STRATEGIC_CHOKE_MAX_WIDTH,
+            openRadius: this.config.STRATEGIC_OPEN_RADIUS,
+            highGroundHeight: this.config.STRATEGIC_HIGH_GROUND_HEIGHT,
+            highGroundRadius: this.config.STRATEGIC_HIGH_GROUND_RADIUS,
+            rampMinSlope: this.config.STRATEGIC_RAMP_MIN_SLOPE
+        });
+        
+        this.metrics.strategic = summary;
+        console.log(`    → ${chokepoints.length} chokepoints, ${summary.openFields} open fields, ${(100 * summary.highGroundFraction).toFixed(1)}% high ground`);
+        
+        return { clearance, features, chokepoints };
+    }
+    
+    /**
+     * Symmetry for the current config, or null when SYMMETRY_MODE is 'none'
+     */
+    _getSymmetry() {
+        return createSymmetry(this.config.SYMMETRY_MODE || 'none', this.width, this.height, {
+            folds: this.config.SYMMETRY_FOLDS,
+            seamWidth: this.config.SYMMETRY_SEAM_WIDTH
+        });
+    }
+    
+    /**
+     * Make a per-cell field symmetric in place (no-op without symmetry)
+     */
+    _applySymmetry(field) {
+        const symmetry = this._getSymmetry();
+        if (symmetry) {
+            field.set(symmetrizeField(field, symmetry));
+        }
+        return field;
+    }
+    
+    /**
+     * Cells inside the symmetry's fundamental domain
+     */
+    _domainMask(symmetry) {
+        const mask = new Uint8Array(this.width * this.height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                mask[y * this.width + x] = symmetry.domainDistance(x, y) > 0 ? 1 : 0;
+            }
+        }
+        return mask;
+    }
+    
+    /**
+     * Measure symmetry of the final fields; lattice symmetries must match
+     * exactly. Resampled (radial) ones are measured like biomes: a step
+     * between cells (a shoreline in the moisture) cannot be resampled
+     * exactly, so field errors are the fraction of cells off by more than
+     * 5% of the field's range.
+     */
+    _checkSymmetry(symmetry, elevation, state) {
+        const errors = {};
+        const fieldError = (field) => {
+            if (!field) return 0;
+            let min = Infinity;
+            let max = -Infinity;
+            for (let i = 0; i < field.length; i++) {
+                min = Math.min(min, field[i]);
+                max = Math.max(max, field[i]);
+            }
+            if (symmetry.exact) {
+                return max > min ? measureSymmetry(field, symmetry).maxError / (max - min) : 0;
+            }
+            return measureSymmetry(field, symmetry, { tolerance: 0.05 * (max - min) }).mismatched;
+        };
+        
+        errors.elevation = fieldError(elevation);
+        errors.moisture = fieldError(state.moisture);
+        errors.temperature = fieldError(state.temperature);
+        errors.biomes = state.biomes ? measureSymmetry(state.biomes, symmetry, { categorical: true }).mismatched : 0;
+        errors.trees = state.trees ? measurePointSymmetry(state.trees, symmetry, this.config.CELL_SIZE) : 0;
+        
+        const fieldTolerance = symmetry.exact ? 0 : 0.02;
+        const biomeTolerance = symmetry.exact ? 0 : 0.05;
+        const treeTolerance = 1e-3 * this.config.CELL_SIZE;
+        const passed =
+            errors.elevation <= fieldTolerance &&
+            errors.moisture <= fieldTolerance &&
+            errors.temperature <= fieldTolerance &&
+            errors.biomes <= biomeTolerance &&
+            errors.trees <= treeTolerance;
+        
+        this.metrics.symmetry = {
+            mode: symmetry.mode,
+            folds: symmetry.folds,
+            exact: symmetry.exact,
+            errors
+        };
+        
+        return passed;
+    }
+    
     /**
      * Calculate final metrics and validate invariants
      */
-    _calculateMetrics(elevation, seaLevelData) {
+    _calculateMetrics(elevation, seaLevelData, state = {}) {
         // Terrain statistics
         this.metrics.terrainStats = calculateTerrainStats(elevation);
         
@@ -524,6 +1742,36 @@ export class TerrainGeneratorV1_1 {
             seaLevelData.seaLevel >= 0 &&
             seaLevelData.seaLevel <= this.config.ELEVATION_SCALE;
         
+        // 4. Symmetric layouts really are symmetric
+        const symmetry = this._getSymmetry();
+        if (symmetry) {
+            invariants.symmetric = this._checkSymmetry(symmetry, elevation, state);
+        } else {
+            delete this.metrics.symmetry;
+        }
+        
+        // 5. Land is connected: big main landmass, starts share a component, no stranded pockets
+        if (state.landComponents) {
+            const connectivity = analyzeConnectivity(state.landComponents, {
+                starts: state.startLocations || [],
+                width: this.width,
+                height: this.height,
+                minLandmassFraction: this.config.MIN_LANDMASS_FRACTION,
+                minPocketSize: this.config.LAND_MIN_POCKET_SIZE
+            });
+            this.metrics.connectivity = { maxSlope: this.config.PASSABLE_MAX_SLOPE, ...connectivity };
+            invariants.landmassValid = connectivity.landmassValid;
+            invariants.startsReachable = connectivity.startsReachable;
+            invariants.noSmallPockets = connectivity.noSmallPockets;
+        } else {
+            delete this.metrics.connectivity;
+        }
+        
+        // 6. Terraced maps: every plateau has a walkable way up
+        if (state.terrace) {
+            invariants.plateausReachable = this.metrics.terrace.unreachablePlateaus === 0;
+        }
+        
         this.metrics.invariants = invariants;
         
         // Check if all invariants pass
@@ -535,6 +1783,15 @@ export class TerrainGeneratorV1_1 {
         return allPass;
     }
     
+    /**
+     * Notify progress listener that a phase is starting
+     */
+    _reportProgress(phase) {
+        if (this.onProgress) {
+            this.onProgress(phase);
+        }
+    }
+    
     /**
      * Utility: Normalize array to 0-1 range
      */
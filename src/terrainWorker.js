@@ -0,0 +1,82 @@
+/**
+ * Terrain Generation Worker
+ *
+ * Runs the selected generator off the main thread, reports per-phase
+ * progress and posts back normalized terrain data with its typed arrays
+ * transferred (not copied). v1.1 generators are reused between jobs so
+ * only stages affected by a config change are re-run.
+ *
+ * Jobs are cancelled cooperatively: only the latest queued 'generate'
+ * starts, and a 'cancel' drops its job if it has not started yet. A job
+ * that is already running finishes (generation is synchronous) and the
+ * client ignores its result; the worker and its cached generator stay alive.
+ *
+ * Messages in:  { type: 'generate', jobId, config }
+ *               { type: 'cancel', jobId }
+ * Messages out: { type: 'progress', jobId, phase }
+ *               { type: 'result', jobId, terrainData }
+ *               { type: 'error', jobId, message }
+ */
+
+import { Config } from './config.js';
+import { createGenerator } from './generatorRegistry.js';
+import { MultiStreamRNG } from './rng.js';
+import { getTransferables, normalizeTerrainData } from './terrainData.js';
+import { generateTreePositions } from './treePlacement.js';
+
+// Generator kept between jobs so v1.1 can re-run only the stages a config change touches
+let cachedGenerator = null;
+
+function getGenerator(config, onProgress) {
+    if (cachedGenerator && cachedGenerator.regenerate && cachedGenerator.config.VERSION === config.VERSION) {
+        cachedGenerator.onProgress = onProgress;
+        return cachedGenerator;
+    }
+    cachedGenerator = createGenerator(config, { onProgress });
+    return cachedGenerator;
+}
+
+// Latest job waiting to start; a newer 'generate' or a matching 'cancel' replaces it
+let queuedJob = null;
+
+self.onmessage = (event) => {
+    const { type, jobId } = event.data;
+
+    if (type === 'cancel') {
+        if (queuedJob && queuedJob.jobId === jobId) queuedJob = null;
+        return;
+    }
+    if (type !== 'generate') return;
+
+    // Start from a later task so messages that arrived while the previous
+    // job was running can supersede or cancel this one first
+    queuedJob = event.data;
+    setTimeout(runQueuedJob, 0);
+};
+
+function runQueuedJob() {
+    if (!queuedJob) return;
+    const { jobId, config: configData } = queuedJob;
+    queuedJob = null;
+
+    try {
+        // Structured clone drops the Config prototype; rebuild it
+        const config = new Config(configData);
+        const onProgress = (phase) => self.postMessage({ type: 'progress', jobId, phase });
+
+        const generator = getGenerator(config, onProgress);
+        const result = generator.regenerate ? generator.regenerate(config) : generator.generate();
+        const terrainData = normalizeTerrainData(result, config);
+
+        // v1.1+ places trees in its 'trees' stage; legacy maps keep the renderer spawner
+        if (terrainData.version !== '1.0' && !terrainData.trees) {
+            onProgress('trees');
+            const rng = generator.rng || new MultiStreamRNG(config.SEED);
+            terrainData.trees = generateTreePositions(terrainData, config, rng.getStream('trees'));
+        }
+
+        self.postMessage({ type: 'result', jobId, terrainData }, getTransferables(terrainData));
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+}
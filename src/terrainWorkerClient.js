@@ -0,0 +1,117 @@
+/**
+ * Terrain Worker Client
+ *
+ * Main-thread side of terrainWorker.js. Runs one generation job at a
+ * time; starting a new job cancels the superseded one so dragging a
+ * slider never queues stale work behind the latest request. Cancelling
+ * tells the worker which job to drop instead of terminating it, so the
+ * worker keeps its cached generator for partial regeneration.
+ */
+
+// Built-in phase order reported by the worker (used to derive a 0..1 progress);
+// custom pipeline stages report their own names and keep the last progress value
+export const GENERATION_PHASES = [
+    'elevation', 'lakes', 'erosion', 'thermalErosion', 'symmetry', 'seaLevel', 'terrace', 'depressions', 'rivers',
+    'landRepair', 'waterDistance', 'moisture', 'temperature', 'biomes', 'splatWeights', 'trees', 'connectivity', 'startLocations',
+    'resources', 'navigation', 'strategic'
+];
+
+// Phase order of the legacy v1.0 generator
+export const LEGACY_GENERATION_PHASES = [
+    'elevation', 'moisture', 'temperature', 'erosion', 'biomes', 'splatWeights'
+];
+
+export class TerrainWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.jobId = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Generate terrain in the worker
+     * @param {Object} config - Generation config (copied to the worker)
+     * @param {function} onProgress - (phase, progress 0..1) => void
+     * @returns {Promise<Object>} Normalized terrain data; rejects with
+     *          `error.cancelled === true` when superseded
+     */
+    generate(config, onProgress = null) {
+        this.cancel();
+
+        const jobId = ++this.jobId;
+        const worker = this._getWorker();
+
+        const phases = config.VERSION === '1.0' ? LEGACY_GENERATION_PHASES : GENERATION_PHASES;
+
+        return new Promise((resolve, reject) => {
+            this.pending = { jobId, resolve, reject, onProgress, phases, progress: 0 };
+            worker.postMessage({ type: 'generate', jobId, config: { ...config } });
+        });
+    }
+
+    /**
+     * Cancel the in-flight job, if any
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        // The worker drops the job if it has not started; a running job's
+        // result is ignored by _onMessage once pending no longer matches
+        this.worker.postMessage({ type: 'cancel', jobId: this.pending.jobId });
+
+        const error = new Error(`Generation job ${this.pending.jobId} cancelled`);
+        error.cancelled = true;
+        this.pending.reject(error);
+        this.pending = null;
+    }
+
+    /**
+     * Terminate the worker and reject any pending job
+     */
+    dispose() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./terrainWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this._onMessage(event.data);
+            this.worker.onerror = (event) => this._fail(new Error(event.message || 'Terrain worker error'));
+        }
+        return this.worker;
+    }
+
+    _onMessage(message) {
+        const pending = this.pending;
+        if (!pending || message.jobId !== pending.jobId) return; // Stale job
+
+        switch (message.type) {
+            case 'progress': {
+                if (pending.onProgress) {
+                    const index = pending.phases.indexOf(message.phase);
+                    if (index >= 0) pending.progress = index / pending.phases.length;
+                    pending.onProgress(message.phase, pending.progress);
+                }
+                break;
+            }
+            case 'result':
+                this.pending = null;
+                pending.resolve(message.terrainData);
+                break;
+            case 'error':
+                this._fail(new Error(message.message));
+                break;
+        }
+    }
+
+    _fail(error) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        pending.reject(error);
+    }
+}
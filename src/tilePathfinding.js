@@ -0,0 +1,302 @@
+/**
+ * Tile Pathfinding
+ *
+ * A* and flow fields over the 4.8.8 tiling units actually walk on: the
+ * octagons and connector squares from OctagonGrid (see its header for the
+ * brick-offset coordinates). Tile costs come from a navigation cost grid
+ * (navigation.js), sampled the same way as toOctagonTiles(), so slopes,
+ * water and tree trunks block or slow tiles exactly as they do cells. Each
+ * unit class gets its own cost grid from createUnitNavigation().
+ *
+ * Graph edges:
+ * - octagon ↔ connector square (E/W squares join two octagons, so E/W moves
+ *   always pass through the square between them)
+ * - octagon ↔ diagonal neighbor (NE, NW, SE, SW)
+ * - octagon ↔ octagon two rows away (N, S), only when the N/S squares on
+ *   both sides of the gap are passable
+ *
+ * Step weights are integers (length in thousandths of a tile spacing times
+ * the summed tile costs) and every tie is broken by node index, so paths
+ * are identical on every machine and safe for lockstep multiplayer.
+ */
+
+import { CellQueue } from './depressions.js';
+import { createNavigationGrid, NAV_BLOCKED, sampleTileCost } from './navigation.js';
+
+// Step lengths in thousandths of the tile spacing
+const SQUARE_STEP = 500;                               // octagon center to connector square
+const DIAGONAL_STEP = Math.round(1000 * Math.hypot(0.5, 1));
+const STRAIGHT_STEP = 2000;                            // N/S, two rows apart
+
+/**
+ * Per-unit-class navigation grids. A class table overrides the base options
+ * ({ maxSlope, slopeCost, riverCost } as for createNavigationGrid).
+ *
+ * @param {Object} terrain - As for createNavigationGrid
+ * @param {Object} unitClasses - { [name]: { maxSlope?, slopeCost?, riverCost? } }
+ * @param {Object} baseOptions - Defaults for options a class leaves out
+ * @returns {Object} { [name]: navigation grid }
+ */
+export function createUnitNavigation(terrain, unitClasses, baseOptions = {}) {
+    const grids = {};
+    for (const name of Object.keys(unitClasses).sort()) {
+        grids[name] = createNavigationGrid(terrain, { ...baseOptions, ...unitClasses[name] });
+    }
+    return grids;
+}
+
+/**
+ * Build the octagon + square graph for one navigation grid
+ *
+ * @param {Object} navigation - Output of createNavigationGrid (one unit class)
+ * @param {OctagonGrid} grid - Tile layout, MAP_WIDTH × MAP_HEIGHT octagons
+ * @returns {Object} { grid, width, height, nodeCount, cost: Uint8Array, offsets, targets, weights }
+ *     Nodes 0..width*height-1 are octagons (gridY * width + gridX), the rest squares.
+ */
+export function createTileGraph(navigation, grid) {
+    const width = grid.config.MAP_WIDTH;
+    const height = grid.config.MAP_HEIGHT;
+    const graph = { grid, width, height, squareColumns: 2 * width + 2 };
+    graph.nodeCount = width * height + graph.squareColumns * (2 * height + 1);
+
+    // Unused square slots (octagon centers, squares off the map) stay blocked
+    const cost = new Uint8Array(graph.nodeCount);
+    const sample = (pos) => sampleTileCost(navigation, pos.x / grid.spacing, pos.z / grid.spacing);
+    for (let gridY = 0; gridY < height; gridY++) {
+        for (let gridX = 0; gridX < width; gridX++) {
+            cost[gridY * width + gridX] = sample(grid.getOctagonPosition(gridX, gridY));
+            for (const square of grid.getSquares(gridX, gridY)) {
+                cost[squareNode(graph, square.squareX, square.squareZ)] = sample(square);
+            }
+        }
+    }
+    graph.cost = cost;
+
+    // Edge list, both directions
+    const from = [];
+    const to = [];
+    const weights = [];
+    const link = (a, b, length) => {
+        if (cost[a] === NAV_BLOCKED || cost[b] === NAV_BLOCKED) return;
+        const weight = length * (cost[a] + cost[b]);
+        from.push(a, b);
+        to.push(b, a);
+        weights.push(weight, weight);
+    };
+    for (let gridY = 0; gridY < height; gridY++) {
+        for (let gridX = 0; gridX < width; gridX++) {
+            const node = gridY * width + gridX;
+            const squares = grid.getSquares(gridX, gridY);
+            for (const square of squares) {
+                link(node, squareNode(graph, square.squareX, square.squareZ), SQUARE_STEP);
+            }
+
+            // Each octagon links to the neighbors after it (SE, S, SW) to add every edge once
+            const south = squares.find(square => square.dir === 'S');
+            for (const neighbor of grid.getNeighbors(gridX, gridY)) {
+                const other = neighbor.gridY * width + neighbor.gridX;
+                if (neighbor.dir === 'SE' || neighbor.dir === 'SW') {
+                    link(node, other, DIAGONAL_STEP);
+                } else if (neighbor.dir === 'S') {
+                    const north = grid.getSquares(neighbor.gridX, neighbor.gridY).find(square => square.dir === 'N');
+                    if (cost[squareNode(graph, south.squareX, south.squareZ)] !== NAV_BLOCKED &&
+                        cost[squareNode(graph, north.squareX, north.squareZ)] !== NAV_BLOCKED) {
+                        link(node, other, STRAIGHT_STEP);
+                    }
+                }
+            }
+        }
+    }
+
+    // Compressed adjacency (counting sort by source keeps the build order per node)
+    graph.offsets = new Int32Array(graph.nodeCount + 1);
+    for (const node of from) graph.offsets[node + 1]++;
+    for (let node = 0; node < graph.nodeCount; node++) graph.offsets[node + 1] += graph.offsets[node];
+    const fill = graph.offsets.slice(0, graph.nodeCount);
+    const slots = new Int32Array(from.length);
+    for (let e = 0; e < from.length; e++) slots[fill[from[e]]++] = e;
+    graph.targets = Int32Array.from(slots, e => to[e]);
+    graph.weights = Uint32Array.from(slots, e => weights[e]);
+
+    return graph;
+}
+
+/**
+ * Graph node of a tile ({ type: 'octagon', gridX, gridY } or
+ * { type: 'square', squareX, squareZ }, as returned by OctagonGrid.pickTile),
+ * or -1 when it is not on the map
+ */
+export function tileToNode(graph, tile) {
+    if (tile.type === 'square') {
+        if (graph.grid.getSquareOctagons(tile.squareX, tile.squareZ).length === 0) return -1;
+        return squareNode(graph, tile.squareX, tile.squareZ);
+    }
+    return graph.grid.isInBounds(tile.gridX, tile.gridY) ? tile.gridY * graph.width + tile.gridX : -1;
+}
+
+/**
+ * Tile of a graph node
+ */
+export function nodeToTile(graph, node) {
+    const octagons = graph.width * graph.height;
+    if (node < octagons) {
+        return { type: 'octagon', gridX: node % graph.width, gridY: Math.floor(node / graph.width) };
+    }
+    const index = node - octagons;
+    return {
+        type: 'square',
+        squareX: (index % graph.squareColumns) - 1,
+        squareZ: Math.floor(index / graph.squareColumns) - 1
+    };
+}
+
+/**
+ * Deterministic A* between two tiles
+ *
+ * @param {Object} graph - From createTileGraph
+ * @param {Object} start - Tile (see tileToNode)
+ * @param {Object} goal - Tile
+ * @returns {Object|null} { tiles, cost, length (world units) }, or null when unreachable
+ */
+export function findTilePath(graph, start, goal) {
+    const startNode = tileToNode(graph, start);
+    const goalNode = tileToNode(graph, goal);
+    if (startNode < 0 || goalNode < 0) return null;
+    if (graph.cost[startNode] === NAV_BLOCKED || graph.cost[goalNode] === NAV_BLOCKED) return null;
+
+    // Every tile step of getDistance() costs at least a square step on each side at the cheapest cost
+    let minCost = Infinity;
+    for (let node = 0; node < graph.nodeCount; node++) {
+        if (graph.cost[node] !== NAV_BLOCKED && graph.cost[node] < minCost) minCost = graph.cost[node];
+    }
+    const goalOctagons = nodeOctagons(graph, goalNode);
+    const heuristic = (node) => {
+        let steps = Infinity;
+        for (const a of nodeOctagons(graph, node)) {
+            for (const b of goalOctagons) steps = Math.min(steps, graph.grid.getDistance(a, b));
+        }
+        // A square is half a step from its octagons
+        const slack = (node >= graph.width * graph.height ? 1 : 0) + (goalNode >= graph.width * graph.height ? 1 : 0);
+        return Math.max(0, steps - slack) * 2 * SQUARE_STEP * 2 * minCost;
+    };
+
+    const g = new Float64Array(graph.nodeCount).fill(Infinity);
+    const parent = new Int32Array(graph.nodeCount).fill(-1);
+    const closed = new Uint8Array(graph.nodeCount);
+    const open = new CellQueue();
+    g[startNode] = 0;
+    open.push(heuristic(startNode), startNode);
+
+    while (open.size > 0) {
+        const node = open.pop();
+        if (closed[node]) continue;
+        if (node === goalNode) break;
+        closed[node] = 1;
+
+        for (let e = graph.offsets[node]; e < graph.offsets[node + 1]; e++) {
+            const next = graph.targets[e];
+            if (closed[next]) continue;
+            const cost = g[node] + graph.weights[e];
+            if (cost < g[next]) {
+                g[next] = cost;
+                parent[next] = node;
+                open.push(cost + heuristic(next), next);
+            }
+        }
+    }
+
+    if (!Number.isFinite(g[goalNode])) return null;
+
+    const nodes = [];
+    for (let node = goalNode; node >= 0; node = parent[node]) nodes.push(node);
+    nodes.reverse();
+    return {
+        tiles: nodes.map(node => nodeToTile(graph, node)),
+        cost: g[goalNode],
+        length: pathLength(graph, nodes)
+    };
+}
+
+/**
+ * Flow field toward a goal tile: Dijkstra from the goal over the whole
+ * graph, so any number of units share one search
+ *
+ * @param {Object} graph - From createTileGraph
+ * @param {Object} goal - Tile
+ * @returns {Object} { goal (node), distance: Float64Array (Infinity = unreachable), next: Int32Array (-1 = none) }
+ */
+export function createFlowField(graph, goal) {
+    const goalNode = tileToNode(graph, goal);
+    const distance = new Float64Array(graph.nodeCount).fill(Infinity);
+    const next = new Int32Array(graph.nodeCount).fill(-1);
+    if (goalNode < 0 || graph.cost[goalNode] === NAV_BLOCKED) return { goal: goalNode, distance, next };
+
+    // Edges are symmetric, so the search tree toward the goal is the flow
+    const closed = new Uint8Array(graph.nodeCount);
+    const open = new CellQueue();
+    distance[goalNode] = 0;
+    open.push(0, goalNode);
+
+    while (open.size > 0) {
+        const node = open.pop();
+        if (closed[node]) continue;
+        closed[node] = 1;
+
+        for (let e = graph.offsets[node]; e < graph.offsets[node + 1]; e++) {
+            const other = graph.targets[e];
+            const cost = distance[node] + graph.weights[e];
+            if (cost < distance[other] || (cost === distance[other] && node < next[other])) {
+                distance[other] = cost;
+                next[other] = node;
+                open.push(cost, other);
+            }
+        }
+    }
+
+    return { goal: goalNode, distance, next };
+}
+
+/**
+ * Next tile from `tile` along a flow field, or null at the goal or when the
+ * goal cannot be reached
+ */
+export function followFlowField(graph, field, tile) {
+    const node = tileToNode(graph, tile);
+    if (node < 0 || field.next[node] < 0) return null;
+    return nodeToTile(graph, field.next[node]);
+}
+
+/**
+ * Node index of a square on the half-spacing lattice
+ */
+function squareNode(graph, squareX, squareZ) {
+    return graph.width * graph.height + (squareZ + 1) * graph.squareColumns + (squareX + 1);
+}
+
+/**
+ * The octagon itself, or the octagons a square touches
+ */
+function nodeOctagons(graph, node) {
+    const tile = nodeToTile(graph, node);
+    if (tile.type === 'octagon') return [tile];
+    return graph.grid.getSquareOctagons(tile.squareX, tile.squareZ);
+}
+
+/**
+ * World length of a node path
+ */
+function pathLength(graph, nodes) {
+    const position = (node) => {
+        const tile = nodeToTile(graph, node);
+        return tile.type === 'octagon'
+            ? graph.grid.getOctagonPosition(tile.gridX, tile.gridY)
+            : graph.grid.getSquarePosition(tile.squareX, tile.squareZ);
+    };
+    let length = 0;
+    for (let k = 1; k < nodes.length; k++) {
+        const a = position(nodes[k - 1]);
+        const b = position(nodes[k]);
+        length += Math.hypot(b.x - a.x, b.z - a.z);
+    }
+    return length;
+}
@@ -0,0 +1,243 @@
+/**
+ * Tilings
+ *
+ * The renderer draws the heightmap as flat tiles laid over the lattice. Every
+ * tiling below shares one interface, so the low-poly and instanced mesh
+ * builders work with any of them:
+ *
+ * - type                          TILING name
+ * - spacing                       World units per lattice cell
+ * - isInBounds(gridX, gridY)
+ * - getTilePosition(gridX, gridY) { x, z } world center of a tile
+ * - getNeighbors(gridX, gridY)    [{ gridX, gridY, dir }] edge neighbors on the map
+ * - getTilePolygon(gridX, gridY)  [{ x, z }] corners relative to the center,
+ *                                 in fan order (angle increasing, z grows south)
+ * - generateTiles()               { tiles: [{ gridX, gridY, x, z, type, rotation }],
+ *                                   connectors: [] } — only the 4.8.8 tiling has
+ *                                 connector squares
+ *
+ * All tilings keep tile (gridX, gridY) within a cell of world
+ * (gridX, gridY) × spacing, so the heightmap, water and overlays line up
+ * whichever one is selected. Hexes are stretched to the square lattice
+ * (one row or column per cell) rather than kept regular. Triangles
+ * alternate pointing north and south; a south-pointing triangle is the
+ * north-pointing one turned half a turn (tile.rotation), so one instanced
+ * geometry covers both.
+ */
+
+import { OctagonGrid } from './octagonGrid.js';
+
+export const TILING_TYPES = ['octagon', 'hexPointy', 'hexFlat', 'square', 'triangle'];
+
+// Edge neighbor steps, clockwise from east (z grows south)
+const SQUARE_STEPS = [
+    { dx: 1, dy: 0, dir: 'E' },
+    { dx: 0, dy: 1, dir: 'S' },
+    { dx: -1, dy: 0, dir: 'W' },
+    { dx: 0, dy: -1, dir: 'N' }
+];
+
+// Hex steps in doubled coordinates (along the offset axis, across it)
+const HEX_POINTY_STEPS = [
+    { dCol: 2, dRow: 0, dir: 'E' },
+    { dCol: 1, dRow: 1, dir: 'SE' },
+    { dCol: -1, dRow: 1, dir: 'SW' },
+    { dCol: -2, dRow: 0, dir: 'W' },
+    { dCol: -1, dRow: -1, dir: 'NW' },
+    { dCol: 1, dRow: -1, dir: 'NE' }
+];
+const HEX_FLAT_STEPS = [
+    { dRow: 1, dCol: 1, dir: 'SE' },
+    { dRow: 2, dCol: 0, dir: 'S' },
+    { dRow: 1, dCol: -1, dir: 'SW' },
+    { dRow: -1, dCol: -1, dir: 'NW' },
+    { dRow: -2, dCol: 0, dir: 'N' },
+    { dRow: -1, dCol: 1, dir: 'NE' }
+];
+
+/**
+ * Tiling for config.TILING (default the 4.8.8 OctagonGrid)
+ */
+export function createTiling(config) {
+    switch (config.TILING || 'octagon') {
+        case 'octagon':
+            return new OctagonGrid(config);
+        case 'hexPointy':
+            return new HexTiling(config, 'pointy');
+        case 'hexFlat':
+            return new HexTiling(config, 'flat');
+        case 'square':
+            return new SquareTiling(config);
+        case 'triangle':
+            return new TriangleTiling(config);
+        default:
+            throw new Error(`Unknown tiling "${config.TILING}" (expected one of ${TILING_TYPES.join(', ')})`);
+    }
+}
+
+/**
+ * Shared lattice bookkeeping; subclasses set `type`, `tileType` and `shape`
+ * and provide getTilePosition() and getNeighbors()
+ */
+export class Tiling {
+    constructor(config) {
+        this.config = config;
+
+        // Same world scale as the 4.8.8 layout (2 * apothem + octagon side),
+        // so cameras and overlays don't move when the tiling changes
+        this.spacing = 2 * config.OCT_APOTHEM * (1 + Math.tan(Math.PI / 8));
+    }
+
+    isInBounds(gridX, gridY) {
+        return gridX >= 0 && gridY >= 0 && gridX < this.config.MAP_WIDTH && gridY < this.config.MAP_HEIGHT;
+    }
+
+    // Turn (radians about +Y) applied to `shape` for this tile
+    getTileRotation() {
+        return 0;
+    }
+
+    getTilePolygon(gridX, gridY) {
+        const rotation = this.getTileRotation(gridX, gridY);
+        if (rotation === 0) return this.shape.map(({ x, z }) => ({ x, z }));
+
+        // Three.js turns +X toward -Z for a positive Y rotation
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        return this.shape.map(({ x, z }) => ({ x: x * cos + z * sin, z: -x * sin + z * cos }));
+    }
+
+    generateTiles() {
+        const { MAP_WIDTH, MAP_HEIGHT } = this.config;
+        const tiles = [];
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                const pos = this.getTilePosition(x, y);
+                tiles.push({
+                    gridX: x,
+                    gridY: y,
+                    x: pos.x,
+                    z: pos.z,
+                    type: this.tileType,
+                    rotation: this.getTileRotation(x, y)
+                });
+            }
+        }
+        return { tiles, connectors: [] };
+    }
+
+    // Keep in-bounds neighbors of a list of (gridX, gridY, dir)
+    _inBounds(candidates) {
+        return candidates.filter(({ gridX, gridY }) => this.isInBounds(gridX, gridY));
+    }
+}
+
+/**
+ * Square tiles, one per cell, 4 edge neighbors
+ */
+export class SquareTiling extends Tiling {
+    constructor(config) {
+        super(config);
+        this.type = 'square';
+        this.tileType = 'square';
+
+        const h = this.spacing / 2;
+        this.shape = [{ x: h, z: -h }, { x: h, z: h }, { x: -h, z: h }, { x: -h, z: -h }];
+    }
+
+    getTilePosition(gridX, gridY) {
+        return { x: gridX * this.spacing, z: gridY * this.spacing };
+    }
+
+    getNeighbors(gridX, gridY) {
+        return this._inBounds(SQUARE_STEPS.map(({ dx, dy, dir }) => ({ gridX: gridX + dx, gridY: gridY + dy, dir })));
+    }
+}
+
+/**
+ * Hexagons with 6 edge neighbors. Pointy-top hexes shift odd rows east by
+ * half a spacing (the same brick offset as OctagonGrid); flat-top hexes
+ * shift odd columns south. Neighbor math uses doubled coordinates along the
+ * shifted axis, as in OctagonGrid.
+ */
+export class HexTiling extends Tiling {
+    constructor(config, orientation = 'pointy') {
+        super(config);
+        if (orientation !== 'pointy' && orientation !== 'flat') {
+            throw new Error(`Unknown hex orientation "${orientation}" (expected pointy or flat)`);
+        }
+        this.orientation = orientation;
+        this.type = orientation === 'pointy' ? 'hexPointy' : 'hexFlat';
+        this.tileType = 'hex';
+
+        // Rows (or columns) one spacing apart: the long axis is 4/3 spacing
+        const s = this.spacing;
+        this.shape = orientation === 'pointy'
+            ? [
+                { x: s / 2, z: -s / 3 }, { x: s / 2, z: s / 3 }, { x: 0, z: 2 * s / 3 },
+                { x: -s / 2, z: s / 3 }, { x: -s / 2, z: -s / 3 }, { x: 0, z: -2 * s / 3 }
+            ]
+            : [
+                { x: 2 * s / 3, z: 0 }, { x: s / 3, z: s / 2 }, { x: -s / 3, z: s / 2 },
+                { x: -2 * s / 3, z: 0 }, { x: -s / 3, z: -s / 2 }, { x: s / 3, z: -s / 2 }
+            ];
+    }
+
+    getTilePosition(gridX, gridY) {
+        if (this.orientation === 'pointy') {
+            return { x: (gridX + (gridY & 1) * 0.5) * this.spacing, z: gridY * this.spacing };
+        }
+        return { x: gridX * this.spacing, z: (gridY + (gridX & 1) * 0.5) * this.spacing };
+    }
+
+    getNeighbors(gridX, gridY) {
+        if (this.orientation === 'pointy') {
+            const col = 2 * gridX + (gridY & 1);
+            return this._inBounds(HEX_POINTY_STEPS.map(({ dCol, dRow, dir }) => {
+                const y = gridY + dRow;
+                return { gridX: (col + dCol - (y & 1)) / 2, gridY: y, dir };
+            }));
+        }
+        const row = 2 * gridY + (gridX & 1);
+        return this._inBounds(HEX_FLAT_STEPS.map(({ dCol, dRow, dir }) => {
+            const x = gridX + dCol;
+            return { gridX: x, gridY: (row + dRow - (x & 1)) / 2, dir };
+        }));
+    }
+}
+
+/**
+ * Triangles, 3 edge neighbors. Tiles with even gridX + gridY point north
+ * (base on the south side), the rest point south; each is two spacings wide
+ * and one tall, so neighbors in a row share slanted edges.
+ */
+export class TriangleTiling extends Tiling {
+    constructor(config) {
+        super(config);
+        this.type = 'triangle';
+        this.tileType = 'triangle';
+
+        const s = this.spacing;
+        this.shape = [{ x: 0, z: -s / 2 }, { x: s, z: s / 2 }, { x: -s, z: s / 2 }];
+    }
+
+    getTilePosition(gridX, gridY) {
+        return { x: gridX * this.spacing, z: gridY * this.spacing };
+    }
+
+    getTileRotation(gridX, gridY) {
+        return this._pointsNorth(gridX, gridY) ? 0 : Math.PI;
+    }
+
+    getNeighbors(gridX, gridY) {
+        const east = { gridX: gridX + 1, gridY, dir: 'E' };
+        const west = { gridX: gridX - 1, gridY, dir: 'W' };
+        return this._inBounds(this._pointsNorth(gridX, gridY)
+            ? [east, { gridX, gridY: gridY + 1, dir: 'S' }, west]
+            : [east, west, { gridX, gridY: gridY - 1, dir: 'N' }]);
+    }
+
+    _pointsNorth(gridX, gridY) {
+        return ((gridX + gridY) & 1) === 0;
+    }
+}
@@ -5,6 +5,9 @@
  * Ensures trees:
  * - Never in water or on beaches
  * - Never on steep slopes
+ * - Never on land drier than TREE_MIN_MOISTURE (when a moisture field is given)
+ * - Never closer than TREE_MIN_WATER_DISTANCE to sea, lakes or rivers (when
+ *   a water distance field is given)
  * - Evenly distributed (no clustering)
  * - Exact forest coverage percentage
  */
@@ -14,6 +17,7 @@ import { calculateSlopes } from './slope.js';
 
 /**
  * Generate tree positions using Poisson disk sampling with terrain constraints
+ * terrainData.mask (optional, per cell) restricts placement to nonzero cells
  */
 export function generateTreePositions(terrainData, config, rngStream) {
     const {
@@ -21,7 +25,10 @@ export function generateTreePositions(terrainData, config, rngStream) {
         seaLevel,
         width,
         height,
-        cellSize
+        cellSize,
+        moisture = null,
+        waterDistance = null,
+        mask = null
     } = terrainData;
     
     console.log('🌲 Generating tree positions with Poisson + slope constraints...');
@@ -37,8 +44,15 @@ export function generateTreePositions(terrainData, config, rngStream) {
         width,
         height,
         seaLevel,
-        config
+        config,
+        moisture,
+        waterDistance
     );
+    if (mask) {
+        for (let i = 0; i < suitabilityMask.length; i++) {
+            if (!mask[i]) suitabilityMask[i] = 0;
+        }
+    }
     
     // Step 3: Count suitable cells
     let suitableCells = 0;
@@ -58,7 +72,7 @@ export function generateTreePositions(terrainData, config, rngStream) {
         for (let i = 0; i < relaxedMask.length; i++) {
             const h = elevation[i];
             const s = slopes[i];
-            relaxedMask[i] = (h > relaxedMinHeight && h < (config.TREE_MAX_HEIGHT || 60) && s <= relaxedMaxSlope) ? 1.0 : 0.0;
+            relaxedMask[i] = (h > relaxedMinHeight && h < (config.TREE_MAX_HEIGHT || 60) && s <= relaxedMaxSlope && (!mask || mask[i])) ? 1.0 : 0.0;
         }
         let relaxedCount = 0;
         for (let i = 0; i < relaxedMask.length; i++) if (relaxedMask[i] > 0) relaxedCount++;
@@ -135,17 +149,21 @@ export function generateTreePositions(terrainData, config, rngStream) {
  * Create suitability mask for tree placement
  * Returns Float32Array where 0 = unsuitable, 1 = suitable
  */
-function createTreeSuitabilityMask(elevation, slopes, width, height, seaLevel, config) {
+function createTreeSuitabilityMask(elevation, slopes, width, height, seaLevel, config, moisture = null, waterDistance = null) {
     const mask = new Float32Array(width * height);
     
     const minHeight = seaLevel + (config.TREE_BEACH_BUFFER || 2.0);
     const maxHeight = config.TREE_MAX_HEIGHT || 60;
     const maxSlope = config.TREE_MAX_SLOPE || 35; // degrees
+    const minMoisture = config.TREE_MIN_MOISTURE || 0;
+    const minWaterDistance = config.TREE_MIN_WATER_DISTANCE || 0;
     
     let suitableCount = 0;
     let tooLowCount = 0;
     let tooHighCount = 0;
     let tooSteepCount = 0;
+    let tooDryCount = 0;
+    let shoreCount = 0;
     
     for (let i = 0; i < elevation.length; i++) {
         const h = elevation[i];
@@ -170,6 +188,18 @@ function createTreeSuitabilityMask(elevation, slopes, width, height, seaLevel, c
             continue;
         }
         
+        if (moisture && moisture[i] < minMoisture) {
+            tooDryCount++;
+            mask[i] = 0;
+            continue;
+        }
+        
+        if (waterDistance && waterDistance[i] < minWaterDistance) {
+            shoreCount++;
+            mask[i] = 0;
+            continue;
+        }
+        
         // Suitable!
         mask[i] = 1.0;
         suitableCount++;
@@ -180,6 +210,8 @@ function createTreeSuitabilityMask(elevation, slopes, width, height, seaLevel, c
     console.log(`      Too low (< ${minHeight.toFixed(1)}m): ${tooLowCount}`);
     console.log(`      Too high (> ${maxHeight}m): ${tooHighCount}`);
     console.log(`      Too steep (> ${maxSlope}°): ${tooSteepCount}`);
+    if (moisture) console.log(`      Too dry (< ${minMoisture} moisture): ${tooDryCount}`);
+    if (waterDistance) console.log(`      Too close to water (< ${minWaterDistance}m): ${shoreCount}`);
     
     return mask;
 }
@@ -0,0 +1,33 @@
+/**
+ * Distance to Water
+ *
+ * Meters from every cell to the nearest sea, lake or river cell (the water
+ * mask from createWaterMask), as one multi-source chamfer distance
+ * transform. Climate uses it to moderate coastal temperatures and moisten
+ * shores, the biome table to keep beaches and wetlands next to real water,
+ * and tree placement to keep trunks off the water's edge.
+ */
+
+import { calculateDistanceField } from './slope.js';
+import { createWaterMask } from './startLocations.js';
+
+/**
+ * Distance field to the nearest water
+ *
+ * @param {Object} terrain - { elevation, width, height, cellSize, seaLevel, lakeMap, rivers }
+ * @returns {Float32Array} Meters (0 on water; Infinity everywhere on a map without water)
+ */
+export function calculateWaterDistance(terrain) {
+    const { width, height, cellSize = 1 } = terrain;
+    const distance = calculateDistanceField(createWaterMask(terrain), width, height);
+    for (let i = 0; i < distance.length; i++) distance[i] *= cellSize;
+    return distance;
+}
+
+/**
+ * Influence of nearby water: 1 on the shore, falling off exponentially
+ * over `range` meters inland
+ */
+export function waterProximity(distance, range) {
+    return range > 0 ? Math.exp(-distance / range) : 0;
+}
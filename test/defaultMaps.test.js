@@ -0,0 +1,36 @@
+/**
+ * Maps generated with the default config pass every invariant from
+ * _calculateMetrics (landmass, reachable starts, no stranded pockets...),
+ * so the CLI accepts them.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Config } from '../src/config.js';
+import { TerrainGeneratorV1_1 } from '../src/terrainGeneratorV1_1.js';
+
+function generate(seed) {
+    const generator = new TerrainGeneratorV1_1(new Config({ SEED: seed }));
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        generator.generate();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+    return generator.metrics;
+}
+
+describe('Default maps', () => {
+    for (const seed of [1, 2, 3, 4, 5, 6]) {
+        it(`pass every invariant with seed ${seed}`, () => {
+            const metrics = generate(seed);
+            const failed = Object.keys(metrics.invariants).filter(name => !metrics.invariants[name]);
+            assert.deepEqual(failed, []);
+            assert.equal(metrics.generation.valid, true);
+        });
+    }
+});
@@ -0,0 +1,45 @@
+/**
+ * The legacy v1.0 generator reproduces old saves: its biomes match the
+ * ones it produced before BIOME_TABLE existed, and the table does not
+ * reach it.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Config } from '../src/config.js';
+import { TerrainGenerator } from '../src/terrainGenerator.js';
+
+// Rolling hash of the pre-table v1.0 biome map (seed 12345, 128 × 128)
+const LEGACY_BIOME_HASH = -1259945534;
+
+function legacyBiomes(overrides = {}) {
+    const config = new Config({ SEED: 12345, MAP_WIDTH: 128, MAP_HEIGHT: 128, ...overrides });
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return new TerrainGenerator(config).generate().biomes;
+    } finally {
+        console.log = log;
+    }
+}
+
+function hash(values) {
+    let h = 0;
+    for (const value of values) h = (h * 31 + value) | 0;
+    return h;
+}
+
+describe('Legacy v1.0 biomes', () => {
+    it('match the maps v1.0 made before the biome table', () => {
+        assert.equal(hash(legacyBiomes()), LEGACY_BIOME_HASH);
+    });
+
+    it('ignore BIOME_TABLE', () => {
+        const table = new Config().BIOME_TABLE;
+        const desert = {
+            ...table,
+            bands: table.bands.map(band => ({ ...band, biomes: band.biomes.map(row => row.map(() => 'DESERT')) }))
+        };
+        assert.equal(hash(legacyBiomes({ BIOME_TABLE: desert })), LEGACY_BIOME_HASH);
+    });
+});
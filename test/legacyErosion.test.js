@@ -0,0 +1,51 @@
+/**
+ * v1.1 MapSpecs reproduce: the v1.1 generator keeps its flow-based erosion
+ * and the 0..1 heights it ends up with, while v1.2 keeps meters.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Config } from '../src/config.js';
+import { createGenerator } from '../src/generatorRegistry.js';
+
+// Sea level v1.1 solved for seed 12345 (128 × 128) before droplet erosion existed
+const LEGACY_SEA_LEVEL = 0.20704282969236373;
+
+function generate(overrides) {
+    const config = new Config({ SEED: 12345, THERMAL_ITERATIONS: 0, ...overrides });
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return createGenerator(config).generate();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+function range(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    return { min, max };
+}
+
+describe('Erosion by generator version', () => {
+    it('keeps v1.1 heights at 0..1 and its old sea level', () => {
+        const result = generate({ VERSION: '1.1', CELL_SIZE: 1 });
+        const { min, max } = range(result.elevation);
+        assert.ok(min >= 0 && max <= 1, `heights ${min}..${max}`);
+        assert.equal(result.seaLevel, LEGACY_SEA_LEVEL);
+    });
+
+    it('keeps v1.2 heights in meters', () => {
+        const result = generate({ VERSION: '1.2' });
+        const { max } = range(result.elevation);
+        assert.ok(max > 1 && max <= new Config().ELEVATION_SCALE, `max height ${max}`);
+    });
+});
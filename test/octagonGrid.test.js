@@ -0,0 +1,207 @@
+/**
+ * OctagonGrid topology on the map edges: the first and last rows and
+ * columns, and the half-spacing offset of odd rows.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { OctagonGrid } from '../src/octagonGrid.js';
+
+const WIDTH = 6;
+const HEIGHT = 6;
+const grid = new OctagonGrid({ MAP_WIDTH: WIDTH, MAP_HEIGHT: HEIGHT, OCT_APOTHEM: 1 });
+
+const allTiles = [];
+for (let gridY = 0; gridY < HEIGHT; gridY++) {
+    for (let gridX = 0; gridX < WIDTH; gridX++) allTiles.push({ gridX, gridY });
+}
+const edgeTiles = allTiles.filter(({ gridX, gridY }) =>
+    gridX === 0 || gridY === 0 || gridX === WIDTH - 1 || gridY === HEIGHT - 1
+);
+
+const key = ({ gridX, gridY }) => `${gridX},${gridY}`;
+const sortedKeys = (tiles) => tiles.map(key).sort();
+
+describe('OctagonGrid.getNeighbors', () => {
+    it('clips the first row and column (even row)', () => {
+        assert.deepEqual(grid.getNeighbors(0, 0), [
+            { gridX: 1, gridY: 0, dir: 'E' },
+            { gridX: 0, gridY: 1, dir: 'SE' },
+            { gridX: 0, gridY: 2, dir: 'S' }
+        ]);
+    });
+
+    it('uses the odd-row offset on the first column', () => {
+        assert.deepEqual(grid.getNeighbors(0, 1), [
+            { gridX: 1, gridY: 1, dir: 'E' },
+            { gridX: 1, gridY: 2, dir: 'SE' },
+            { gridX: 0, gridY: 3, dir: 'S' },
+            { gridX: 0, gridY: 2, dir: 'SW' },
+            { gridX: 0, gridY: 0, dir: 'NW' },
+            { gridX: 1, gridY: 0, dir: 'NE' }
+        ]);
+    });
+
+    it('clips the last column on even and odd rows', () => {
+        assert.deepEqual(grid.getNeighbors(WIDTH - 1, 0), [
+            { gridX: 5, gridY: 1, dir: 'SE' },
+            { gridX: 5, gridY: 2, dir: 'S' },
+            { gridX: 4, gridY: 1, dir: 'SW' },
+            { gridX: 4, gridY: 0, dir: 'W' }
+        ]);
+        assert.deepEqual(grid.getNeighbors(WIDTH - 1, 1), [
+            { gridX: 5, gridY: 3, dir: 'S' },
+            { gridX: 5, gridY: 2, dir: 'SW' },
+            { gridX: 4, gridY: 1, dir: 'W' },
+            { gridX: 5, gridY: 0, dir: 'NW' }
+        ]);
+    });
+
+    it('clips the last row (odd) in the last column', () => {
+        assert.deepEqual(grid.getNeighbors(WIDTH - 1, HEIGHT - 1), [
+            { gridX: 4, gridY: 5, dir: 'W' },
+            { gridX: 5, gridY: 4, dir: 'NW' },
+            { gridX: 5, gridY: 3, dir: 'N' }
+        ]);
+    });
+
+    it('keeps every neighbor on the map, one step away and mutual', () => {
+        for (const tile of allTiles) {
+            const neighbors = grid.getNeighbors(tile.gridX, tile.gridY);
+            for (const neighbor of neighbors) {
+                assert.ok(grid.isInBounds(neighbor.gridX, neighbor.gridY), `${key(neighbor)} off the map`);
+                assert.equal(grid.getDistance(tile, neighbor), 1);
+                assert.ok(
+                    grid.getNeighbors(neighbor.gridX, neighbor.gridY).some(back => key(back) === key(tile)),
+                    `${key(neighbor)} does not list ${key(tile)}`
+                );
+            }
+        }
+        assert.equal(grid.getNeighbors(2, 2).length, 8);
+        assert.equal(grid.getNeighbors(2, 3).length, 8);
+    });
+
+    it('puts diagonal neighbors half a spacing across on odd and even rows', () => {
+        for (const tile of [{ gridX: 0, gridY: 1 }, { gridX: 0, gridY: 2 }]) {
+            const center = grid.getOctagonPosition(tile.gridX, tile.gridY);
+            for (const neighbor of grid.getNeighbors(tile.gridX, tile.gridY)) {
+                if (neighbor.dir.length !== 2) continue;
+                const pos = grid.getOctagonPosition(neighbor.gridX, neighbor.gridY);
+                assert.ok(Math.abs(Math.abs(pos.x - center.x) - grid.rowOffset) < 1e-9);
+                assert.ok(Math.abs(Math.abs(pos.z - center.z) - grid.spacing) < 1e-9);
+            }
+        }
+    });
+});
+
+describe('OctagonGrid.getSquares', () => {
+    it('links every square back to its octagon, including edge squares', () => {
+        for (const tile of allTiles) {
+            for (const square of grid.getSquares(tile.gridX, tile.gridY)) {
+                const octagons = grid.getSquareOctagons(square.squareX, square.squareZ);
+                assert.ok(octagons.some(octagon => key(octagon) === key(tile)), `${square.dir} square of ${key(tile)}`);
+            }
+        }
+    });
+
+    it('shares E/W squares inside a row but not past the first and last column', () => {
+        const [east, west] = grid.getSquares(0, 1);
+        assert.deepEqual(sortedKeys(grid.getSquareOctagons(east.squareX, east.squareZ)), ['0,1', '1,1']);
+        assert.deepEqual(grid.getSquareOctagons(west.squareX, west.squareZ), [{ gridX: 0, gridY: 1 }]);
+
+        const [lastEast] = grid.getSquares(WIDTH - 1, 0);
+        assert.deepEqual(grid.getSquareOctagons(lastEast.squareX, lastEast.squareZ), [{ gridX: WIDTH - 1, gridY: 0 }]);
+    });
+});
+
+describe('OctagonGrid.pickTile', () => {
+    it('picks edge octagons at their centers and near their rims', () => {
+        for (const tile of edgeTiles) {
+            const { x, z } = grid.getOctagonPosition(tile.gridX, tile.gridY);
+            assert.deepEqual(grid.pickTile(x, z), { type: 'octagon', ...tile });
+            assert.deepEqual(grid.pickTile(x + 0.9 * grid.apothem, z), { type: 'octagon', ...tile });
+            assert.deepEqual(grid.pickTile(x, z - 0.9 * grid.apothem), { type: 'octagon', ...tile });
+        }
+    });
+
+    it('picks edge squares at their centers', () => {
+        for (const tile of edgeTiles) {
+            for (const square of grid.getSquares(tile.gridX, tile.gridY)) {
+                assert.deepEqual(grid.pickTile(square.x, square.z), {
+                    type: 'square',
+                    squareX: square.squareX,
+                    squareZ: square.squareZ
+                });
+            }
+        }
+    });
+
+    it('returns null off the map', () => {
+        const beforeFirst = grid.getOctagonPosition(-1, 0);
+        const afterLast = grid.getOctagonPosition(WIDTH, 1);
+        const belowLast = grid.getOctagonPosition(0, HEIGHT + 1);
+        assert.equal(grid.pickTile(beforeFirst.x, beforeFirst.z), null);
+        assert.equal(grid.pickTile(afterLast.x, afterLast.z), null);
+        assert.equal(grid.pickTile(belowLast.x, belowLast.z), null);
+    });
+});
+
+describe('OctagonGrid.getRing', () => {
+    it('returns the tile itself at radius 0 and nothing off the map', () => {
+        assert.deepEqual(grid.getRing(0, 0, 0), [{ gridX: 0, gridY: 0 }]);
+        assert.deepEqual(grid.getRing(-1, 0, 0), []);
+    });
+
+    it('matches getNeighbors at radius 1 on the edges', () => {
+        for (const tile of edgeTiles) {
+            const neighbors = grid.getNeighbors(tile.gridX, tile.gridY).map(({ gridX, gridY }) => ({ gridX, gridY }));
+            assert.deepEqual(grid.getRing(tile.gridX, tile.gridY, 1), neighbors);
+        }
+    });
+
+    it('holds exactly the on-map tiles at each distance', () => {
+        for (const tile of edgeTiles) {
+            for (let radius = 1; radius <= 4; radius++) {
+                const expected = allTiles.filter(other => grid.getDistance(tile, other) === radius);
+                assert.deepEqual(
+                    sortedKeys(grid.getRing(tile.gridX, tile.gridY, radius)),
+                    sortedKeys(expected),
+                    `ring ${radius} around ${key(tile)}`
+                );
+            }
+        }
+    });
+});
+
+describe('OctagonGrid.getLine', () => {
+    it('runs straight along the first and last rows', () => {
+        const first = grid.getLine({ gridX: 0, gridY: 0 }, { gridX: WIDTH - 1, gridY: 0 });
+        assert.deepEqual(first, Array.from({ length: WIDTH }, (_, gridX) => ({ gridX, gridY: 0 })));
+
+        const last = grid.getLine({ gridX: WIDTH - 1, gridY: HEIGHT - 1 }, { gridX: 0, gridY: HEIGHT - 1 });
+        assert.deepEqual(last, Array.from({ length: WIDTH }, (_, k) => ({ gridX: WIDTH - 1 - k, gridY: HEIGHT - 1 })));
+    });
+
+    it('steps two rows at a time straight down the first column', () => {
+        assert.deepEqual(grid.getLine({ gridX: 0, gridY: 0 }, { gridX: 0, gridY: 4 }), [
+            { gridX: 0, gridY: 0 },
+            { gridX: 0, gridY: 2 },
+            { gridX: 0, gridY: 4 }
+        ]);
+    });
+
+    it('stays contiguous and on the map between any two edge tiles', () => {
+        for (const a of edgeTiles) {
+            for (const b of edgeTiles) {
+                const line = grid.getLine(a, b);
+                assert.equal(line.length, grid.getDistance(a, b) + 1);
+                assert.deepEqual(line[0], a);
+                assert.deepEqual(line[line.length - 1], b);
+                for (let k = 0; k < line.length; k++) {
+                    assert.ok(grid.isInBounds(line[k].gridX, line[k].gridY), `${key(line[k])} off the map`);
+                    if (k > 0) assert.equal(grid.getDistance(line[k - 1], line[k]), 1);
+                }
+            }
+        }
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Symmetric layouts pass the generator's own `symmetric` invariant with the
+ * default climate, including the directional rain shadow under radial
+ * (resampled) symmetry.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Config } from '../src/config.js';
+import { createSymmetry, measureSymmetry } from '../src/symmetry.js';
+import { TerrainGeneratorV1_1 } from '../src/terrainGeneratorV1_1.js';
+
+function generate(overrides) {
+    const generator = new TerrainGeneratorV1_1(new Config({ SEED: 12345, ...overrides }));
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return generator.generate();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+const generateSymmetric = (overrides) => generate(overrides).metrics;
+
+describe('Symmetric layouts', () => {
+    for (const folds of [3, 6, 8]) {
+        it(`keeps ${folds}-fold radial maps symmetric with the rain shadow on`, () => {
+            const metrics = generateSymmetric({ SYMMETRY_MODE: 'radial', SYMMETRY_FOLDS: folds });
+            assert.ok(new Config().MOISTURE_RAIN_SHADOW_WEIGHT > 0);
+            assert.equal(metrics.invariants.symmetric, true, JSON.stringify(metrics.symmetry.errors));
+        });
+    }
+
+    for (const mode of ['mirrorX', 'mirrorY', 'diagonal', 'rotate2', 'rotate4']) {
+        it(`keeps ${mode} maps exactly symmetric`, () => {
+            const metrics = generateSymmetric({ SYMMETRY_MODE: mode, MAP_WIDTH: 64, MAP_HEIGHT: 64 });
+            assert.equal(metrics.invariants.symmetric, true, JSON.stringify(metrics.symmetry.errors));
+        });
+    }
+
+    it('still tells an asymmetric climate apart under radial symmetry', () => {
+        const { moisture, width, height } = generate({});
+        const symmetry = createSymmetry('radial', width, height, { folds: 6 });
+        assert.ok(measureSymmetry(moisture, symmetry, { tolerance: 0.05 }).mismatched > 0.5);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tile pathfinding is lockstep-safe: repeated runs (and rebuilt graphs)
+ * give identical paths and flow fields, ties included, and A* agrees with
+ * the flow field on the cheapest cost.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createNavigationGrid, NAV_BASE_COST, NAV_BLOCKED } from '../src/navigation.js';
+import { OctagonGrid } from '../src/octagonGrid.js';
+import { createFlowField, createTileGraph, findTilePath, followFlowField, nodeToTile, tileToNode } from '../src/tilePathfinding.js';
+
+const SIZE = 16;
+const grid = new OctagonGrid({ MAP_WIDTH: SIZE, MAP_HEIGHT: SIZE, OCT_APOTHEM: 1 });
+
+// Flat open ground: many equally cheap paths, so every result depends on tie-breaking
+function flatNavigation() {
+    return { width: SIZE, height: SIZE, cellSize: 1, cost: new Uint8Array(SIZE * SIZE).fill(NAV_BASE_COST) };
+}
+
+// Hills, a lake, a river and a few trees, built the way the generator does
+function terrainNavigation() {
+    const elevation = new Float32Array(SIZE * SIZE);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const hill = 6 * Math.exp(-((x - 11) ** 2 + (y - 4) ** 2) / 8);
+            const lake = (x - 4) ** 2 + (y - 10) ** 2 < 6;
+            elevation[y * SIZE + x] = lake ? 0 : 5 + hill;
+        }
+    }
+    return createNavigationGrid({
+        elevation,
+        width: SIZE,
+        height: SIZE,
+        cellSize: 1,
+        seaLevel: 1,
+        rivers: [{ points: [{ x: 3, z: 0 }, { x: 3, z: 1 }, { x: 4, z: 2 }, { x: 4, z: 3 }] }],
+        trees: [{ x: 7, z: 9 }, { x: 8, z: 9 }, { x: 12, z: 13 }]
+    });
+}
+
+const cases = [
+    { name: 'flat ground', navigation: flatNavigation },
+    { name: 'terrain with water, slopes and trees', navigation: terrainNavigation }
+];
+
+const tiles = [
+    { type: 'octagon', gridX: 0, gridY: 0 },
+    { type: 'octagon', gridX: SIZE - 1, gridY: SIZE - 1 },
+    { type: 'octagon', gridX: 0, gridY: SIZE - 1 },
+    { type: 'octagon', gridX: 7, gridY: 3 },
+    { type: 'octagon', gridX: 4, gridY: 12 },
+    { type: 'square', squareX: 10, squareZ: 11 }
+];
+
+// Weight of the graph edge between two nodes, or undefined if they are not linked
+function edgeWeight(graph, a, b) {
+    for (let e = graph.offsets[a]; e < graph.offsets[a + 1]; e++) {
+        if (graph.targets[e] === b) return graph.weights[e];
+    }
+    return undefined;
+}
+
+for (const { name, navigation } of cases) {
+    describe(`Tile pathfinding on ${name}`, () => {
+        const graph = createTileGraph(navigation(), grid);
+
+        it('finds identical paths on repeated runs and rebuilt graphs', () => {
+            const rebuilt = createTileGraph(navigation(), grid);
+            for (const start of tiles) {
+                for (const goal of tiles) {
+                    const first = findTilePath(graph, start, goal);
+                    assert.deepEqual(findTilePath(graph, start, goal), first);
+                    assert.deepEqual(findTilePath(rebuilt, start, goal), first);
+                }
+            }
+        });
+
+        it('builds identical flow fields on repeated runs and rebuilt graphs', () => {
+            const rebuilt = createTileGraph(navigation(), grid);
+            for (const goal of tiles) {
+                const first = createFlowField(graph, goal);
+                assert.deepEqual(createFlowField(graph, goal), first);
+                assert.deepEqual(createFlowField(rebuilt, goal), first);
+            }
+        });
+
+        it('returns paths whose cost is the sum of their edges', () => {
+            for (const start of tiles) {
+                for (const goal of tiles) {
+                    const path = findTilePath(graph, start, goal);
+                    if (!path) continue;
+                    assert.deepEqual(path.tiles[0], { ...start });
+                    assert.deepEqual(path.tiles[path.tiles.length - 1], { ...goal });
+
+                    let cost = 0;
+                    for (let k = 1; k < path.tiles.length; k++) {
+                        const weight = edgeWeight(graph, tileToNode(graph, path.tiles[k - 1]), tileToNode(graph, path.tiles[k]));
+                        assert.notEqual(weight, undefined, 'path steps along a graph edge');
+                        cost += weight;
+                    }
+                    assert.equal(path.cost, cost);
+                }
+            }
+        });
+
+        it('matches the flow-field distance from the same goal', () => {
+            for (const goal of tiles) {
+                const field = createFlowField(graph, goal);
+                for (let node = 0; node < graph.nodeCount; node += 7) {
+                    if (graph.cost[node] === NAV_BLOCKED) continue;
+                    const path = findTilePath(graph, nodeToTile(graph, node), goal);
+                    const distance = field.distance[node];
+                    if (path) {
+                        assert.equal(path.cost, distance);
+                    } else {
+                        assert.equal(distance, Infinity);
+                    }
+                }
+            }
+        });
+
+        it('follows the flow field to the goal at the field distance', () => {
+            for (const goal of tiles) {
+                const field = createFlowField(graph, goal);
+                for (const start of tiles) {
+                    const startNode = tileToNode(graph, start);
+                    if (!Number.isFinite(field.distance[startNode])) continue;
+
+                    let tile = start;
+                    let node = startNode;
+                    let cost = 0;
+                    for (let next = followFlowField(graph, field, tile); next; next = followFlowField(graph, field, tile)) {
+                        const nextNode = tileToNode(graph, next);
+                        cost += edgeWeight(graph, node, nextNode);
+                        tile = next;
+                        node = nextNode;
+                    }
+                    assert.equal(node, field.goal);
+                    assert.equal(cost, field.distance[startNode]);
+                }
+            }
+        });
+    });
+}
+
+describe('Tile pathfinding tie-breaking', () => {
+    it('picks the same path among equally cheap ones on every machine', () => {
+        const graph = createTileGraph(flatNavigation(), grid);
+        const path = findTilePath(graph, { type: 'octagon', gridX: 0, gridY: 0 }, { type: 'octagon', gridX: 3, gridY: 2 });
+        assert.equal(path.cost, 84720);
+        assert.deepEqual(path.tiles, [
+            { type: 'octagon', gridX: 0, gridY: 0 },
+            { type: 'square', squareX: 1, squareZ: 0 },
+            { type: 'octagon', gridX: 1, gridY: 0 },
+            { type: 'square', squareX: 3, squareZ: 0 },
+            { type: 'octagon', gridX: 2, gridY: 0 },
+            { type: 'octagon', gridX: 2, gridY: 1 },
+            { type: 'octagon', gridX: 3, gridY: 2 }
+        ]);
+    });
+});